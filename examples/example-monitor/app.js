@@ -3,14 +3,9 @@
 const util = require('util');
 const Consul = require('consul');
 
-// replace it with the package if you use it outside the repo
-//const {ServiceInstancesMonitor} = require('../../index');
-// or
-// call `npm link ../../` - be careful with this approach, read npm link docs.
-const {ServiceInstancesMonitor} = require('consul-service-health-monitor');
-
-const CpuInfoExtractor = require('./src/extractors/CpuInfoExtractor');
-const StatusInfoExtractor = require('./src/extractors/StatusInfoExtractor');
+const {ServiceInstancesMonitor, Extractors} = require('consul-service-health-monitor');
+
+const {CpuInfoExtractor, StatusInfoExtractor} = Extractors;
 
 const consulConfig = {
     host: process.env.CONSUL_HOST,
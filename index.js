@@ -1,18 +1,38 @@
 'use strict';
 
 const ServiceInstancesMonitor = require('./src/ServiceInstancesMonitor');
+const ServiceRegistryMonitor  = require('./src/ServiceRegistryMonitor');
+const LoadBalancer            = require('./src/LoadBalancer');
+const HashSelector            = require('./src/HashSelector');
+const CircuitBreaker          = require('./src/CircuitBreaker');
+const CircuitBreakerRegistry  = require('./src/CircuitBreakerRegistry');
 const ServiceInstance         = require('./src/ServiceInstance');
 const ServiceInstances        = require('./src/ServiceInstances');
+const ServiceInstancesDiff    = require('./src/ServiceInstancesDiff');
 const ServiceInstanceInfo     = require('./src/ServiceInstanceInfo');
+const HealthCheck             = require('./src/HealthCheck');
+const CheckResult             = require('./src/CheckResult');
 const builders                = require('./src/Factory');
+const OutputParsers           = require('./src/OutputParser');
+const Extractors              = require('./src/Extractor');
 
 const Errors = require('./src/Error');
 
 module.exports = {
     ServiceInstancesMonitor,
+    ServiceRegistryMonitor,
+    LoadBalancer,
+    HashSelector,
+    CircuitBreaker,
+    CircuitBreakerRegistry,
     ServiceInstance,
     ServiceInstances,
+    ServiceInstancesDiff,
     ServiceInstanceInfo,
+    HealthCheck,
+    CheckResult,
     Errors,
+    OutputParsers,
+    Extractors,
     builders
 };
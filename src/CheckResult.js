@@ -0,0 +1,70 @@
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * Represents the result of the request of HTTP check parsed from the status line of check output, e.g.
+ * `HTTP GET http://172.16.3.3:3000/service/status: 503 Service Unavailable Output: {...}`
+ */
+class CheckResult {
+
+    /**
+     * @param {string} method - HTTP method of the request, e.g. `GET`
+     * @param {string} url - URL of the request
+     * @param {number} statusCode - HTTP status code of the response
+     * @param {string} reasonPhrase - reason phrase of the response, may be empty
+     * @throws {TypeError} on invalid type or value of one of arguments
+     */
+    constructor(method, url, statusCode, reasonPhrase) {
+        if (!_.isString(method) || _.isEmpty(method)) {
+            throw new TypeError('method must be a non-empty string');
+        }
+
+        if (!_.isString(url) || _.isEmpty(url)) {
+            throw new TypeError('url must be a non-empty string');
+        }
+
+        if (!_.isSafeInteger(statusCode)) {
+            throw new TypeError('statusCode must be an integer');
+        }
+
+        if (!_.isString(reasonPhrase)) {
+            throw new TypeError('reasonPhrase must be a string');
+        }
+
+        this._method = method;
+        this._url = url;
+        this._statusCode = statusCode;
+        this._reasonPhrase = reasonPhrase;
+    }
+
+    /**
+     * @returns {string}
+     */
+    getMethod() {
+        return this._method;
+    }
+
+    /**
+     * @returns {string}
+     */
+    getUrl() {
+        return this._url;
+    }
+
+    /**
+     * @returns {number}
+     */
+    getStatusCode() {
+        return this._statusCode;
+    }
+
+    /**
+     * @returns {string}
+     */
+    getReasonPhrase() {
+        return this._reasonPhrase;
+    }
+}
+
+module.exports = CheckResult;
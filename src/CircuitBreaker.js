@@ -0,0 +1,145 @@
+'use strict';
+
+const _ = require('lodash');
+
+const STATE_CLOSED = 'closed';
+const STATE_OPEN = 'open';
+const STATE_HALF_OPEN = 'halfOpen';
+
+/**
+ * Circuit breaker of a single instance. Breaker opens after `failureThreshold` failed calls in a row and rejects
+ * calls for `resetTimeoutMsec`. After that it becomes half-open and lets one trial call through: success of the call
+ * closes the breaker, failure opens it again. Trial call that is not settled in `resetTimeoutMsec` is considered lost,
+ * and the next trial call is let through.
+ *
+ * Breaker has no timers, the state is evaluated on every call, so a dropped breaker doesn't leak.
+ */
+class CircuitBreaker {
+
+    /**
+     * @return {string} closed
+     */
+    static get STATE_CLOSED() {
+        return STATE_CLOSED;
+    }
+
+    /**
+     * @return {string} open
+     */
+    static get STATE_OPEN() {
+        return STATE_OPEN;
+    }
+
+    /**
+     * @return {string} halfOpen
+     */
+    static get STATE_HALF_OPEN() {
+        return STATE_HALF_OPEN;
+    }
+
+    /**
+     * @param {number} [failureThreshold=5] - number of failed calls in a row that opens the breaker
+     * @param {number} [resetTimeoutMsec=30000] - time after which open breaker lets a trial call through
+     * @throws {TypeError} on invalid type or value of one of arguments
+     */
+    constructor(failureThreshold = 5, resetTimeoutMsec = 30000) {
+        if (!_.isSafeInteger(failureThreshold) || failureThreshold <= 0) {
+            throw new TypeError('failureThreshold must be a positive integer');
+        }
+
+        if (!_.isSafeInteger(resetTimeoutMsec) || resetTimeoutMsec <= 0) {
+            throw new TypeError('resetTimeoutMsec must be a positive integer');
+        }
+
+        this._failureThreshold = failureThreshold;
+        this._resetTimeoutMsec = resetTimeoutMsec;
+        this._failures = 0;
+        this._openedAt = null;
+        this._trialStartedAt = null;
+    }
+
+    /**
+     * @returns {string} `closed`, `open` or `halfOpen`
+     */
+    getState() {
+        if (this._openedAt === null) {
+            return STATE_CLOSED;
+        }
+
+        return Date.now() - this._openedAt >= this._resetTimeoutMsec ? STATE_HALF_OPEN : STATE_OPEN;
+    }
+
+    /**
+     * Returns true if the breaker lets a call through: it is closed, or it is half-open and no trial call is running
+     *
+     * @returns {boolean}
+     */
+    isCallPermitted() {
+        const state = this.getState();
+
+        return state === STATE_CLOSED || (state === STATE_HALF_OPEN && !this._isTrialInProgress());
+    }
+
+    /**
+     * Registers the start of a call, the call of half-open breaker is the trial one
+     *
+     * @returns {CircuitBreaker}
+     */
+    onCallStarted() {
+        if (this.getState() === STATE_HALF_OPEN) {
+            this._trialStartedAt = Date.now();
+        }
+
+        return this;
+    }
+
+    /**
+     * Registers success of a call: it closes half-open breaker and breaks the row of failures of closed one.
+     * Late success of a call that was started before the breaker opened is ignored.
+     *
+     * @returns {CircuitBreaker}
+     */
+    onSuccess() {
+        if (this.getState() !== STATE_OPEN) {
+            this._failures = 0;
+            this._openedAt = null;
+            this._trialStartedAt = null;
+        }
+
+        return this;
+    }
+
+    /**
+     * Registers failure of a call: it opens half-open breaker and closed one after `failureThreshold` failures
+     * in a row
+     *
+     * @returns {CircuitBreaker}
+     */
+    onFailure() {
+        const state = this.getState();
+
+        if (state === STATE_CLOSED) {
+            this._failures++;
+
+            if (this._failures >= this._failureThreshold) {
+                this._openedAt = Date.now();
+            }
+        } else if (state === STATE_HALF_OPEN) {
+            this._openedAt = Date.now();
+            this._trialStartedAt = null;
+        }
+
+        return this;
+    }
+
+    /**
+     * @returns {boolean}
+     * @private
+     */
+    _isTrialInProgress() {
+        // trial call may never settle, it must not block the breaker forever
+        return this._trialStartedAt !== null && Date.now() - this._trialStartedAt < this._resetTimeoutMsec;
+    }
+}
+
+module.exports = CircuitBreaker;
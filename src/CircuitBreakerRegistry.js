@@ -0,0 +1,157 @@
+'use strict';
+
+const _ = require('lodash');
+const CircuitBreaker = require('./CircuitBreaker');
+const NoAvailableInstanceError = require('./Error').NoAvailableInstanceError;
+
+/**
+ * Keeps a circuit breaker for every instance of `ServiceInstancesMonitor`. Breakers are keyed by
+ * `ServiceInstances::getKey()`: a breaker is created when the instance appears in the list and is dropped when the
+ * instance disappears, so the instance that registers again starts with a closed breaker.
+ *
+ * `execute(fn)` picks one of healthy instances whose breaker lets the call through, in turn, runs `fn` with the
+ * instance and feeds the outcome back to the breaker of the instance.
+ */
+class CircuitBreakerRegistry {
+
+    /**
+     * @param {ServiceInstancesMonitor} monitor
+     * @param {Object} [options]
+     * @param {number} [options.failureThreshold=5] - number of failed calls in a row that opens the breaker
+     * @param {number} [options.resetTimeoutMsec=30000] - time after which open breaker lets a trial call through
+     * @throws {TypeError} on invalid type or value of one of arguments
+     */
+    constructor(monitor, options = {}) {
+        // duck typing check
+        if (!_.isObject(monitor) || !_.isFunction(monitor.on) || !_.isFunction(monitor.removeListener) ||
+            !_.isFunction(monitor.getInstances)
+        ) {
+            throw new TypeError('monitor argument does not look like ServiceInstancesMonitor object');
+        }
+
+        if (!_.isPlainObject(options)) {
+            throw new TypeError('options must be an object');
+        }
+
+        for (const name of ['failureThreshold', 'resetTimeoutMsec']) {
+            if (_.has(options, name) && (!_.isSafeInteger(options[name]) || options[name] <= 0)) {
+                throw new TypeError(`options.${name} must be a positive integer`);
+            }
+        }
+
+        this._monitor = monitor;
+        // defaults of CircuitBreaker are used for absent options
+        this._failureThreshold = options.failureThreshold;
+        this._resetTimeoutMsec = options.resetTimeoutMsec;
+
+        // breakers by keys of instances and the last received list of instances
+        this._breakers = new Map();
+        this._instances = null;
+        this._counter = 0;
+
+        this._onChanged = this._onChanged.bind(this);
+        this._monitor.on('changed', this._onChanged);
+        this._onChanged(this._monitor.getInstances());
+    }
+
+    /**
+     * Returns breaker of the instance, or null if the instance is absent in the last received list
+     *
+     * @param {ServiceInstance} instance
+     * @returns {CircuitBreaker|null}
+     */
+    getBreaker(instance) {
+        if (this._instances === null) {
+            return null;
+        }
+
+        return _.defaultTo(this._breakers.get(this._instances.getKey(instance)), null);
+    }
+
+    /**
+     * @returns {number} number of breakers, the same as the number of instances in the last received list
+     */
+    getSize() {
+        return this._breakers.size;
+    }
+
+    /**
+     * Runs `fn` with one of healthy instances whose breaker lets the call through. The call succeeds if `fn` returns
+     * a value or a promise that resolves, otherwise it fails.
+     *
+     * Promise will be rejected with:
+     *   `NoAvailableInstanceError` if there is no healthy instance with closed or half-open breaker.
+     *   error of `fn`.
+     *
+     * @param {function(ServiceInstance): *} fn
+     * @returns {Promise<*,NoAvailableInstanceError|*>} result of `fn`
+     */
+    execute(fn) {
+        if (!_.isFunction(fn)) {
+            return Promise.reject(new TypeError('fn must be a function'));
+        }
+
+        const candidates = this._instances === null ? [] : this._instances.getHealthy().filter(
+            instance => this.getBreaker(instance).isCallPermitted()
+        );
+
+        if (candidates.length === 0) {
+            return Promise.reject(
+                new NoAvailableInstanceError('there is no healthy instance with closed circuit breaker')
+            );
+        }
+
+        const instance = candidates[this._counter++ % candidates.length];
+        const breaker = this.getBreaker(instance).onCallStarted();
+
+        return new Promise(resolve => resolve(fn(instance))).then(
+            result => {
+                breaker.onSuccess();
+
+                return result;
+            },
+            err => {
+                breaker.onFailure();
+
+                throw err;
+            }
+        );
+    }
+
+    /**
+     * Stops following changes of the monitor and drops all breakers
+     *
+     * @returns {CircuitBreakerRegistry}
+     */
+    close() {
+        this._monitor.removeListener('changed', this._onChanged);
+        this._breakers.clear();
+        this._instances = null;
+
+        return this;
+    }
+
+    /**
+     * @param {ServiceInstances} instances
+     * @private
+     */
+    _onChanged(instances) {
+        const keys = new Set(instances.getAll().map(instance => instances.getKey(instance)));
+
+        for (const key of [...this._breakers.keys()]) {
+            if (!keys.has(key)) {
+                this._breakers.delete(key);
+            }
+        }
+
+        keys.forEach(key => {
+            if (!this._breakers.has(key)) {
+                this._breakers.set(key, new CircuitBreaker(this._failureThreshold, this._resetTimeoutMsec));
+            }
+        });
+
+        this._instances = instances;
+    }
+}
+
+module.exports = CircuitBreakerRegistry;
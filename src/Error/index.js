@@ -4,11 +4,21 @@ class WatchError extends ExtendableError {}
 class WatchTimeoutError extends ExtendableError {}
 class AlreadyInitializedError extends ExtendableError {}
 class InvalidDataError extends ExtendableError {}
+class OutputTruncatedError extends InvalidDataError {}
+class ExtractorTimeoutError extends ExtendableError {}
+class SchemaValidationError extends InvalidDataError {}
+class UnknownPayloadVersionError extends InvalidDataError {}
+class NoAvailableInstanceError extends ExtendableError {}
 
 
 module.exports = {
     WatchError,
     WatchTimeoutError,
     AlreadyInitializedError,
-    InvalidDataError
+    InvalidDataError,
+    OutputTruncatedError,
+    ExtractorTimeoutError,
+    SchemaValidationError,
+    UnknownPayloadVersionError,
+    NoAvailableInstanceError
 };
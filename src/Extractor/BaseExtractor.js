@@ -0,0 +1,61 @@
+'use strict';
+
+const _ = require('lodash');
+const {SchemaValidationError} = require('../Error');
+
+/**
+ * Base class of extractors with `isMandatory` semantics: mandatory extractor throws `SchemaValidationError` on
+ * absent or invalid fields, while optional one returns `undefined`. Subclasses implement `_extract()`.
+ */
+class BaseExtractor {
+
+    /**
+     * @param {boolean} [isMandatory=true] - if false, the extractor returns `undefined` instead of throwing
+     *  on absent or invalid fields
+     * @throws {TypeError} on invalid type of argument
+     */
+    constructor(isMandatory = true) {
+        if (!_.isBoolean(isMandatory)) {
+            throw new TypeError('isMandatory must be a boolean');
+        }
+
+        this._isMandatory = isMandatory;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isMandatory() {
+        return this._isMandatory;
+    }
+
+    /**
+     * @param {Object} outputObject
+     * @returns {*} result of `_extract()` or `undefined` on invalid output if the extractor isn't mandatory
+     * @throws {SchemaValidationError} on absent or invalid field if the extractor is mandatory
+     */
+    extract(outputObject) {
+        try {
+            return this._extract(outputObject);
+        } catch (err) {
+            if (err instanceof SchemaValidationError && !this._isMandatory) {
+                return undefined;
+            }
+
+            throw err;
+        }
+    }
+
+    /**
+     * @param {Object} outputObject
+     * @returns {*}
+     * @throws {SchemaValidationError} on absent or invalid field
+     * @abstract
+     * @protected
+     */
+    _extract(outputObject) {
+        throw new Error(`${this.constructor.name} must implement _extract()`);
+    }
+}
+
+module.exports = BaseExtractor;
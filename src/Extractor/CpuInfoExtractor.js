@@ -0,0 +1,22 @@
+'use strict';
+
+const SchemaExtractor = require('./SchemaExtractor');
+const CpuInfo = require('./dto/CpuInfo');
+
+/**
+ * Extracts `CpuInfo` from `data.cpu` of the output, e.g. `{"data": {"cpu": {"usage": 0.53, "count": 10}}}`
+ */
+class CpuInfoExtractor extends SchemaExtractor {
+
+    /**
+     * @param {boolean} [isMandatory=true] - allows field to be absent in outputObject passed to extractor
+     */
+    constructor(isMandatory = true) {
+        super({
+            usage: {path: 'data.cpu.usage', type: 'number', min: 0, max: 100},
+            count: {path: 'data.cpu.count', type: 'integer', min: -1},
+        }, {isMandatory, map: fields => new CpuInfo(fields.usage, fields.count)});
+    }
+}
+
+module.exports = CpuInfoExtractor;
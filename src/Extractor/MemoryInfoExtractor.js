@@ -0,0 +1,22 @@
+'use strict';
+
+const SchemaExtractor = require('./SchemaExtractor');
+const MemoryInfo = require('./dto/MemoryInfo');
+
+/**
+ * Extracts `MemoryInfo` from `data.mem` of the output, e.g. `{"data": {"mem": {"total": 12452, "free": 11078}}}`
+ */
+class MemoryInfoExtractor extends SchemaExtractor {
+
+    /**
+     * @param {boolean} [isMandatory=true] - allows field to be absent in outputObject passed to extractor
+     */
+    constructor(isMandatory = true) {
+        super({
+            total: {path: 'data.mem.total', type: 'integer', min: -1},
+            free: {path: 'data.mem.free', type: 'integer', min: -1},
+        }, {isMandatory, map: fields => new MemoryInfo(fields.total, fields.free)});
+    }
+}
+
+module.exports = MemoryInfoExtractor;
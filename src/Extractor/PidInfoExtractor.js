@@ -0,0 +1,21 @@
+'use strict';
+
+const SchemaExtractor = require('./SchemaExtractor');
+const PidInfo = require('./dto/PidInfo');
+
+/**
+ * Extracts `PidInfo` from `data.pid` of the output, e.g. `{"data": {"pid": 29}}`
+ */
+class PidInfoExtractor extends SchemaExtractor {
+
+    /**
+     * @param {boolean} [isMandatory=true] - allows field to be absent in outputObject passed to extractor
+     */
+    constructor(isMandatory = true) {
+        super({
+            pid: {path: 'data.pid', type: 'integer', min: 1},
+        }, {isMandatory, map: fields => new PidInfo(fields.pid)});
+    }
+}
+
+module.exports = PidInfoExtractor;
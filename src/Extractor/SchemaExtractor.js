@@ -0,0 +1,233 @@
+'use strict';
+
+const _ = require('lodash');
+const BaseExtractor = require('./BaseExtractor');
+const {SchemaValidationError} = require('../Error');
+
+const TYPES = {
+    number: value => Number.isFinite(value),
+    integer: value => Number.isSafeInteger(value),
+    string: value => _.isString(value),
+    boolean: value => _.isBoolean(value),
+    object: value => _.isPlainObject(value),
+    array: value => Array.isArray(value),
+};
+
+const NUMERIC_TYPES = ['number', 'integer'];
+
+/**
+ * Description of a single field of the DTO
+ *
+ * @typedef {Object} SchemaExtractor~FieldSchema
+ * @property {string} [path] - dot-separated path of the field in the parsed output, e.g. `data.cpu.usage`,
+ *  the name of the field is used if omitted
+ * @property {string} type - `number`, `integer`, `string`, `boolean`, `object` or `array`
+ * @property {number} [min] - min allowed value of `number` and `integer` fields
+ * @property {number} [max] - max allowed value of `number` and `integer` fields
+ * @property {Array} [enum] - list of allowed values
+ * @property {*} [default] - value of the field if it is absent in the output
+ * @property {boolean} [optional=false] - allows the field to be absent in the output
+ */
+
+/**
+ * Returns description of the value that is allowed by the schema of the field, e.g. `a number between [0, 100]`
+ *
+ * @param {SchemaExtractor~FieldSchema} field
+ * @returns {string}
+ */
+function describeRule(field) {
+    if (field.enum !== undefined) {
+        return `one of the following values: ${JSON.stringify(field.enum)}`;
+    }
+
+    const article = ['integer', 'object', 'array'].includes(field.type) ? 'an' : 'a';
+    let description = `${article} ${field.type}`;
+
+    if (field.min !== undefined && field.max !== undefined) {
+        description += ` between [${field.min}, ${field.max}]`;
+    } else if (field.min !== undefined) {
+        description += ` not less than ${field.min}`;
+    } else if (field.max !== undefined) {
+        description += ` not greater than ${field.max}`;
+    }
+
+    return description;
+}
+
+/**
+ * Checks that value matches type, range and enum of the field
+ *
+ * @param {*} value
+ * @param {SchemaExtractor~FieldSchema} field
+ * @returns {boolean}
+ */
+function isValid(value, field) {
+    if (!TYPES[field.type](value)) {
+        return false;
+    }
+
+    if (field.enum !== undefined && !field.enum.includes(value)) {
+        return false;
+    }
+
+    if (field.min !== undefined && value < field.min) {
+        return false;
+    }
+
+    return !(field.max !== undefined && value > field.max);
+}
+
+/**
+ * Validates schema of the field and returns its normalized copy with the path
+ *
+ * @param {string} name
+ * @param {*} field
+ * @returns {SchemaExtractor~FieldSchema}
+ * @throws {TypeError} on invalid schema of the field
+ */
+function normalizeField(name, field) {
+    if (!_.isPlainObject(field)) {
+        throw new TypeError(`schema.${name} must be an object`);
+    }
+
+    const normalized = _.defaults(_.pick(field, ['path', 'type', 'min', 'max', 'enum', 'default', 'optional']), {
+        path: name,
+        optional: false,
+    });
+
+    if (!_.isString(normalized.path) || _.isEmpty(normalized.path)) {
+        throw new TypeError(`schema.${name}.path must be a non-empty string`);
+    }
+
+    if (!_.has(TYPES, normalized.type)) {
+        throw new TypeError(`schema.${name}.type must be one of the following values: ${_.keys(TYPES).join(', ')}`);
+    }
+
+    for (const limit of ['min', 'max']) {
+        if (normalized[limit] === undefined) {
+            continue;
+        }
+
+        if (!NUMERIC_TYPES.includes(normalized.type)) {
+            throw new TypeError(`schema.${name}.${limit} is allowed for number and integer fields only`);
+        }
+
+        if (!Number.isFinite(normalized[limit])) {
+            throw new TypeError(`schema.${name}.${limit} must be a number`);
+        }
+    }
+
+    if (normalized.min !== undefined && normalized.max !== undefined && normalized.min > normalized.max) {
+        throw new TypeError(`schema.${name}.min must not be greater than schema.${name}.max`);
+    }
+
+    if (normalized.enum !== undefined && (!Array.isArray(normalized.enum) || _.isEmpty(normalized.enum))) {
+        throw new TypeError(`schema.${name}.enum must be a non-empty array`);
+    }
+
+    if (!_.isBoolean(normalized.optional)) {
+        throw new TypeError(`schema.${name}.optional must be a boolean`);
+    }
+
+    if (normalized.default !== undefined && !isValid(normalized.default, normalized)) {
+        throw new TypeError(`schema.${name}.default must be ${describeRule(normalized)}`);
+    }
+
+    return normalized;
+}
+
+/**
+ * Extractor that is configured by a declarative schema instead of code. Every field of the schema is read from
+ * the parsed output by its path, validated against the type, range and enum of the field and put to the DTO
+ * under the name of the field:
+ *
+ *   new SchemaExtractor({
+ *       usage: {path: 'data.cpu.usage', type: 'number', min: 0, max: 100},
+ *       count: {path: 'data.cpu.count', type: 'integer', default: -1},
+ *   }, {map: fields => new CpuInfo(fields.usage, fields.count)})
+ *
+ * Without the `map` option the extractor returns the frozen DTO, e.g. `{usage: 0.53, count: 10}`.
+ */
+class SchemaExtractor extends BaseExtractor {
+
+    /**
+     * @param {Object.<string, SchemaExtractor~FieldSchema>} schema - fields of the DTO by their names
+     * @param {Object} [options]
+     * @param {Function} [options.map] - receives the frozen DTO and returns the result of the extractor,
+     *  e.g. an instance of a class
+     * @param {boolean} [options.isMandatory=true] - if false, the extractor returns `undefined` instead of throwing
+     *  on invalid output
+     * @throws {TypeError} on invalid schema or options
+     */
+    constructor(schema, options = {}) {
+        if (!_.isPlainObject(schema) || _.isEmpty(schema)) {
+            throw new TypeError('schema must be a non-empty object');
+        }
+
+        if (!_.isPlainObject(options)) {
+            throw new TypeError('options must be an object');
+        }
+
+        if (options.map !== undefined && !_.isFunction(options.map)) {
+            throw new TypeError('options.map must be a function');
+        }
+
+        if (options.isMandatory !== undefined && !_.isBoolean(options.isMandatory)) {
+            throw new TypeError('options.isMandatory must be a boolean');
+        }
+
+        super(_.defaultTo(options.isMandatory, true));
+
+        this._fields = _.mapValues(schema, (field, name) => normalizeField(name, field));
+        this._map = options.map || null;
+    }
+
+    /**
+     * @param {Object} outputObject
+     * @returns {*} frozen DTO or result of `map`
+     * @throws {SchemaValidationError} on absent or invalid field, `extra.path` contains the path of the field
+     * @protected
+     */
+    _extract(outputObject) {
+        const dto = this._buildDto(outputObject);
+
+        return this._map === null ? dto : this._map(dto);
+    }
+
+    /**
+     * @param {Object} outputObject
+     * @returns {Object}
+     * @throws {SchemaValidationError}
+     * @private
+     */
+    _buildDto(outputObject) {
+        const dto = {};
+
+        for (const name in this._fields) {
+            const field = this._fields[name];
+            const value = _.get(outputObject, field.path);
+
+            if (value === undefined) {
+                if (field.default !== undefined) {
+                    dto[name] = field.default;
+                } else if (!field.optional) {
+                    throw new SchemaValidationError(`"${field.path}" field is required`, {path: field.path});
+                }
+
+                continue;
+            }
+
+            if (!isValid(value, field)) {
+                throw new SchemaValidationError(
+                    `"${field.path}" field must be ${describeRule(field)}`, {path: field.path, value}
+                );
+            }
+
+            dto[name] = value;
+        }
+
+        return Object.freeze(dto);
+    }
+}
+
+module.exports = SchemaExtractor;
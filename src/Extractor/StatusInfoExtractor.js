@@ -0,0 +1,25 @@
+'use strict';
+
+const SchemaExtractor = require('./SchemaExtractor');
+const StatusInfo = require('./dto/StatusInfo');
+
+/**
+ * Extracts `StatusInfo` from `data.status` of the output, e.g. `{"data": {"status": "OK"}}`
+ */
+class StatusInfoExtractor extends SchemaExtractor {
+
+    /**
+     * @param {boolean} [isMandatory=true] - allows field to be absent in outputObject passed to extractor
+     */
+    constructor(isMandatory = true) {
+        super({
+            status: {
+                path: 'data.status',
+                type: 'string',
+                enum: [StatusInfo.STATE_OK, StatusInfo.STATE_OVERLOADED, StatusInfo.STATE_MAINTENANCE]
+            },
+        }, {isMandatory, map: fields => new StatusInfo(fields.status)});
+    }
+}
+
+module.exports = StatusInfoExtractor;
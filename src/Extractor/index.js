@@ -0,0 +1,54 @@
+'use strict';
+
+const BaseExtractor = require('./BaseExtractor');
+const SchemaExtractor = require('./SchemaExtractor');
+const CpuInfoExtractor = require('./CpuInfoExtractor');
+const MemoryInfoExtractor = require('./MemoryInfoExtractor');
+const PidInfoExtractor = require('./PidInfoExtractor');
+const StatusInfoExtractor = require('./StatusInfoExtractor');
+const CpuInfo = require('./dto/CpuInfo');
+const MemoryInfo = require('./dto/MemoryInfo');
+const PidInfo = require('./dto/PidInfo');
+const StatusInfo = require('./dto/StatusInfo');
+
+/**
+ * Classes of built-in extractors by the names of info they extract from the payload of the example http service
+ */
+const builtinExtractors = {
+    status: StatusInfoExtractor,
+    pid: PidInfoExtractor,
+    mem: MemoryInfoExtractor,
+    cpu: CpuInfoExtractor,
+};
+
+/**
+ * Returns extractors of all fields of the payload that is produced by the example http service:
+ *   `{"data": {"status": "OK", "pid": 29, "mem": {"total": 12452, "free": 11078}, "cpu": {"usage": 0.53, "count": 4}}}`
+ *
+ * @param {boolean} [isMandatory=true] - passed to every extractor
+ * @returns {{status: StatusInfoExtractor, pid: PidInfoExtractor, mem: MemoryInfoExtractor, cpu: CpuInfoExtractor}}
+ */
+function defaultExtractors(isMandatory = true) {
+    const extractors = {};
+
+    for (const name in builtinExtractors) {
+        extractors[name] = new builtinExtractors[name](isMandatory);
+    }
+
+    return extractors;
+}
+
+module.exports = {
+    BaseExtractor,
+    SchemaExtractor,
+    CpuInfoExtractor,
+    MemoryInfoExtractor,
+    PidInfoExtractor,
+    StatusInfoExtractor,
+    CpuInfo,
+    MemoryInfo,
+    PidInfo,
+    StatusInfo,
+    builtinExtractors,
+    defaultExtractors
+};
@@ -1,15 +1,336 @@
 'use strict';
 
 const _ = require('lodash');
+const HealthCheck = require('./HealthCheck');
+const CheckResult = require('./CheckResult');
 const ServiceInstance = require('./ServiceInstance');
 const ServiceInstanceInfo = require('./ServiceInstanceInfo');
 const ServiceInstances = require('./ServiceInstances');
+const ServiceInstancesDiff = require('./ServiceInstancesDiff');
 const ConsulResponseValidator = require('./ConsulResponseValidator');
+const builtinParsers = require('./OutputParser').builtinParsers;
 const InvalidDataError = require('./Error').InvalidDataError;
+const OutputTruncatedError = require('./Error').OutputTruncatedError;
+const ExtractorTimeoutError = require('./Error').ExtractorTimeoutError;
+const UnknownPayloadVersionError = require('./Error').UnknownPayloadVersionError;
 
 const CHECK_ID_SERF_HEALTH = 'serfHealth';
 const CHECK_STATUS_PASSING = 'passing';
+const CHECK_STATUS_WARNING = 'warning';
+const CHECK_STATUS_CRITICAL = 'critical';
+const HTTP_STATUS_LINE_PATTERN = /^HTTP (\S+) (\S+): (\d{3})(?: (.*?))??(?: Output: |$)/;
 const CHECK_OUTPUT_PATTERN = 'Output: ';
+const DEFAULT_CHECK_TYPE = 'http';
+const DEFAULT_OUTPUT_MAX_SIZE = 4096;
+const DEFAULT_EXTRACT_TIMEOUT_MSEC = 5000;
+const DEFAULT_PAYLOAD_VERSION_PATH = 'data.v';
+const CHECK_ID_TEMPLATE_PLACEHOLDERS = {
+    '{serviceId}': node => node.Service.ID,
+    '{port}': node => String(node.Service.Port),
+};
+const SERF_HEALTH_CRITICAL_SKIP = 'skip';
+const SERF_HEALTH_CRITICAL_UNHEALTHY = 'unhealthy';
+
+const HEALTH_RULE_SERF_HEALTH_CRITICAL = 'serfHealthCritical';
+const HEALTH_RULE_CHECK_NOT_PASSING = 'checkNotPassing';
+const HEALTH_RULE_REQUIRED_CHECK_NOT_PASSING = 'requiredCheckNotPassing';
+const HEALTH_RULE_REQUIRED_CHECK_MISSING = 'requiredCheckMissing';
+
+/**
+ * Locates body of HTTP check. Consul prefixes the body with description of the request, e.g.
+ * `HTTP GET http://localhost:3000/status: 200 OK Output: {"data":{}}`.
+ *
+ * @param {string} output - output of the check
+ * @returns {string|null} body of the output or null if there is no body
+ */
+function locateOutputAfterMarker(output) {
+    const pos = output.indexOf(CHECK_OUTPUT_PATTERN);
+    if (pos <= 0) {
+        return null;
+    }
+
+    return output.substring(pos + CHECK_OUTPUT_PATTERN.length);
+}
+
+/**
+ * Locates body of TTL, script, TCP or gRPC check. TTL checks are updated via `/agent/check/update` and script checks
+ * print the body to stdout, so the whole output is the body. TCP and gRPC checks have no body, consul reports only
+ * the result of the connection, e.g. `TCP connect 127.0.0.1:3000: Success`, so the whole output is the body too.
+ *
+ * @param {string} output - output of the check
+ * @returns {string|null} body of the output or null if the output is empty
+ */
+function locateRawOutput(output) {
+    if (output.trim().length === 0) {
+        return null;
+    }
+
+    return output;
+}
+
+/**
+ * Locators of body of check output by the `Type` of the check. Locator of `http` type is used for checks of unknown
+ * type and for checks without `Type` that are returned by old versions of consul.
+ */
+const DEFAULT_OUTPUT_LOCATORS = {
+    http: locateOutputAfterMarker,
+    tcp: locateRawOutput,
+    grpc: locateRawOutput,
+    ttl: locateRawOutput,
+    script: locateRawOutput,
+};
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPromise(value) {
+    return _.isObject(value) && _.isFunction(value.then);
+}
+
+/**
+ * Returns true if body of check output that can not be parsed was cut off by consul. Consul stores at most
+ * `check_output_max_size` bytes of output: HTTP check reads the response through a circular buffer, so it keeps
+ * the tail of the body, TTL and script checks keep the head. Truncated body may start and end anywhere, so it is
+ * told apart from the malformed one by its size only.
+ *
+ * @param {string} outputData - body of check output
+ * @param {number} outputMaxSize - `check_output_max_size` of consul agent
+ * @returns {boolean}
+ */
+function isOutputTruncated(outputData, outputMaxSize) {
+    return Buffer.byteLength(outputData) >= outputMaxSize;
+}
+
+/**
+ * Builds map of instances of the previous list by service ID and node address, to find them by node
+ *
+ * @param {ServiceInstances} previousInstances
+ * @returns {Map<string, ServiceInstance>}
+ */
+function mapPreviousInstances(previousInstances) {
+    return new Map(previousInstances.getAll().map(instance => [
+        JSON.stringify([instance.getServiceId(), instance.getNodeAddress()]),
+        instance
+    ]));
+}
+
+/**
+ * Returns info of the same instance from the previous list of instances
+ *
+ * @param {Map<string, ServiceInstance>} previousInstanceMap - result of `mapPreviousInstances`
+ * @param {Object} node - data that returns `consul.health.service` call
+ * @param {string|null} namespace - namespace of info for the list of status checks
+ * @returns {ServiceInstanceInfo|null}
+ */
+function findLastInstanceInfo(previousInstanceMap, node, namespace) {
+    const previousInstance = previousInstanceMap.get(JSON.stringify([node.Service.ID, node.Node.Address]));
+
+    if (previousInstance === undefined || previousInstance.getInfo() === null) {
+        return null;
+    }
+
+    if (namespace === null) {
+        return previousInstance.getInfo();
+    }
+
+    const info = previousInstance.getInfo().get(namespace);
+
+    return info instanceof ServiceInstanceInfo ? info : null;
+}
+
+/**
+ * Matcher of the check that contains output with status of instance. Exactly one property must be set:
+ *   - `name` - exact name of the check, the same as `checkNameWithStatus`
+ *   - `nameRegex` - regular expression that name of the check must match
+ *   - `checkId` - exact ID of the check
+ *   - `checkIdTemplate` - ID of the check with placeholders `{serviceId}` and `{port}` that are replaced by values
+ *     of the instance, e.g. `{serviceId}_status`
+ *   - `predicate` - function that receives check and node from consul and returns true for the status check
+ *
+ * @typedef {Object} Factory~StatusCheckMatcher
+ * @property {string} [name]
+ * @property {RegExp} [nameRegex]
+ * @property {string} [checkId]
+ * @property {string} [checkIdTemplate]
+ * @property {function(Object, Object): boolean} [predicate]
+ */
+
+/**
+ * Builds function that returns true if check of node is the check with status of instance
+ *
+ * @param {string|Factory~StatusCheckMatcher} statusCheck - name of the check or matcher
+ * @returns {function(Object, Object): boolean}
+ */
+function buildStatusCheckMatcher(statusCheck) {
+    if (_.isString(statusCheck)) {
+        return check => check.Name === statusCheck;
+    }
+
+    if (_.has(statusCheck, 'name')) {
+        return check => check.Name === statusCheck.name;
+    }
+
+    if (_.has(statusCheck, 'nameRegex')) {
+        // String::search ignores `lastIndex`, so regex with global flag matches every time
+        return check => _.isString(check.Name) && check.Name.search(statusCheck.nameRegex) !== -1;
+    }
+
+    if (_.has(statusCheck, 'checkId')) {
+        return check => check.CheckID === statusCheck.checkId;
+    }
+
+    if (_.has(statusCheck, 'checkIdTemplate')) {
+        return (check, node) => {
+            let checkId = statusCheck.checkIdTemplate;
+
+            for (const placeholder in CHECK_ID_TEMPLATE_PLACEHOLDERS) {
+                checkId = checkId.split(placeholder).join(CHECK_ID_TEMPLATE_PLACEHOLDERS[placeholder](node));
+            }
+
+            return check.CheckID === checkId;
+        };
+    }
+
+    return (check, node) => Boolean(statusCheck.predicate(check, node));
+}
+
+/**
+ * Builds classifier of instances (see `classifier` option of `ServiceInstancesMonitor`) that puts instances to
+ * `OK`, `OVERLOADED` and `MAINTENANCE` buckets by the status of their `StatusInfo`, as `getOverloaded()` and
+ * `getOnMaintenance()` of `ServiceInstances` did in 1.x. Instances without status info are left out of buckets.
+ *
+ * @param {string} [infoName='status'] - name of `StatusInfoExtractor` in extractors
+ * @param {string|null} [namespace=null] - namespace of the status check with the extractor if there is a list of
+ *  status checks
+ * @returns {function(ServiceInstance, (ServiceInstanceInfo|null)): (string|null)}
+ */
+function buildStatusClassifier(infoName = 'status', namespace = null) {
+    return (instance, info) => {
+        const checkInfo = namespace !== null && info !== null ? info.get(namespace) : info;
+        const statusInfo = _.isObject(checkInfo) && _.isFunction(checkInfo.get) ? checkInfo.get(infoName) : undefined;
+
+        return _.isObject(statusInfo) && _.isFunction(statusInfo.getStatus) ? statusInfo.getStatus() : null;
+    };
+}
+
+/**
+ * Extractors of payloads of different versions, e.g. during rolling deploy of instances
+ *
+ * @typedef {Object} Factory~PayloadVersion
+ * @property {string} [path='data.v'] - path of the version in the parsed output
+ * @property {Object.<string, Object>} extractors - sets of extractors by version. Payload without version is
+ *  handled by the extractors of the status check, they are the fallback set
+ */
+
+/**
+ * Returns extractors of the version of parsed output, or `extractors` if there is no `payloadVersion` or the output
+ * has no version
+ *
+ * @param {*} parsedOutput
+ * @param {Object|undefined} extractors - fallback set of extractors
+ * @param {Factory~PayloadVersion} [payloadVersion]
+ * @returns {Object}
+ * @throws {UnknownPayloadVersionError} if there are no extractors for the version of the output
+ */
+function selectExtractors(parsedOutput, extractors, payloadVersion) {
+    if (payloadVersion === undefined) {
+        return extractors;
+    }
+
+    const path = _.has(payloadVersion, 'path') ? payloadVersion.path : DEFAULT_PAYLOAD_VERSION_PATH;
+    const version = _.get(parsedOutput, path);
+
+    if (version === undefined) {
+        if (extractors === undefined) {
+            throw new UnknownPayloadVersionError(
+                `Payload has no version in "${path}" and there are no fallback extractors`, {path, version: null}
+            );
+        }
+
+        return extractors;
+    }
+
+    if ((!_.isString(version) && !Number.isFinite(version)) || !_.has(payloadVersion.extractors, String(version))) {
+        throw new UnknownPayloadVersionError(
+            `Unknown version ${JSON.stringify(version)} of payload in "${path}"`, {path, version}
+        );
+    }
+
+    return payloadVersion.extractors[String(version)];
+}
+
+/**
+ * Returns names of all extractors that may be run on the output of status check
+ *
+ * @param {Object|undefined} extractors
+ * @param {Factory~PayloadVersion} [payloadVersion]
+ * @returns {string[]}
+ */
+function getExtractorNames(extractors, payloadVersion) {
+    const extractorSets = payloadVersion === undefined ?
+        [extractors] :
+        [extractors, ..._.values(payloadVersion.extractors)];
+
+    return _.union(...extractorSets.map(_.keys));
+}
+
+/**
+ * Returns info where data of failed extractors is taken from the cached info, or null if the cached info has no data
+ * of any failed extractor. Errors of extractors whose data is taken from the cache are dropped.
+ *
+ * @param {ServiceInstanceInfo} info - info extracted from the current output
+ * @param {string[]} extractorNames - names of all extractors that may be run on the output
+ * @param {ServiceInstanceInfo} cachedInfo - the last complete info
+ * @returns {ServiceInstanceInfo|null}
+ */
+function fillFailedExtractorsFromCache(info, extractorNames, cachedInfo) {
+    const instanceInfo = {};
+    const errors = {};
+    let isFilled = false;
+
+    extractorNames.forEach(extractorName => {
+        const error = info.getError(extractorName);
+
+        if (error === null) {
+            if (info.get(extractorName) !== undefined) {
+                instanceInfo[extractorName] = info.get(extractorName);
+            }
+        } else if (cachedInfo.get(extractorName) !== undefined) {
+            instanceInfo[extractorName] = cachedInfo.get(extractorName);
+            isFilled = true;
+        } else {
+            errors[extractorName] = error;
+        }
+    });
+
+    return isFilled ? new ServiceInstanceInfo(instanceInfo, errors) : null;
+}
+
+/**
+ * One of several checks with status of instance. Info extracted from the check is available in `ServiceInstanceInfo`
+ * of the instance as nested `ServiceInstanceInfo` with name `namespace`.
+ *
+ * @typedef {Object} Factory~StatusCheckConfig
+ * @property {string} namespace - name of info extracted from the check, e.g. `load`
+ * @property {string|Factory~StatusCheckMatcher} statusCheck - name of the check or matcher of the check
+ * @property {Object} [extractors] - an object that contains extractors of service info from output of the check
+ * @property {Factory~PayloadVersion} [payloadVersion] - extractors by version of the output, `extractors` are used for
+ *  output without version
+ * @property {boolean} [optional=false] - absence of required check or invalid format of its output skips the node,
+ *  absence of optional one leaves its namespace `null`
+ */
+
+/**
+ * Returns true if ID or name of `check` is in the list of `identifiers`
+ *
+ * @param {Object} check - check of node received from consul
+ * @param {string[]} identifiers - IDs or names of checks
+ * @returns {boolean}
+ */
+function isCheckInList(check, identifiers) {
+    return identifiers.includes(check.CheckID) || identifiers.includes(check.Name);
+}
 
 /**
  * Tries to build `ServiceInstanceInfo` from output received from output of check with corresponding data.
@@ -23,21 +344,157 @@ const CHECK_OUTPUT_PATTERN = 'Output: ';
  *      \"cpu\":{\"usage\":1.2079917706585719,\"count\":16}}}"`
  *
  * This method parses stringified JSON and run extractors and tries to build `ServiceInstanceInfo` object.
+ * Output in other formats may be parsed by `parser`, see `src/OutputParser`.
+ *
+ * Every extractor is run independently, so if one of them throws, info contains results of the rest ones and
+ * the error is available by `ServiceInstanceInfo::getError()`.
+ *
+ * If `payloadVersion` is set, extractors are selected by the version of the output, see `Factory~PayloadVersion`.
  *
  * @param {string} output
- * @param {Object} extractors
+ * @param {Object|undefined} extractors
+ * @param {{parse: function(string): *}} [parser] - parser of output, JSON parser by default
+ * @param {Factory~PayloadVersion} [payloadVersion]
+ *
+ * @returns {ServiceInstanceInfo}
+ * @throws {UnknownPayloadVersionError} if there are no extractors for the version of the output
+ */
+function buildInstanceInfoFromOutput(output, extractors, parser = builtinParsers.json, payloadVersion = undefined) {
+    return extractInstanceInfo(parser.parse(output), extractors, payloadVersion);
+}
+
+/**
+ * Builds `ServiceInstanceInfo` from parsed output as described in `buildInstanceInfoFromOutput`
  *
+ * @param {*} parsedOutput
+ * @param {Object|undefined} extractors
+ * @param {Factory~PayloadVersion} [payloadVersion]
  * @returns {ServiceInstanceInfo}
+ * @throws {UnknownPayloadVersionError} if there are no extractors for the version of the output
  */
-function buildInstanceInfoFromOutput(output, extractors) {
-    const parsedOutput = JSON.parse(output);
+function extractInstanceInfo(parsedOutput, extractors, payloadVersion) {
+    const extractorsOfVersion = selectExtractors(parsedOutput, extractors, payloadVersion);
     const instanceInfo = Object.create(null);
+    const errors = Object.create(null);
+
+    for (const extractorName in extractorsOfVersion) {
+        try {
+            const result = extractorsOfVersion[extractorName].extract(parsedOutput);
+
+            if (isPromise(result)) {
+                // the result will never be used, so rejection of the promise must not be unhandled
+                result.then(_.noop, _.noop);
+
+                throw new TypeError(
+                    'extractor returned a promise, asynchronous extractors are supported by ' +
+                    'buildServiceInstancesAsync only'
+                );
+            }
+
+            instanceInfo[extractorName] = result;
+        } catch (err) {
+            errors[extractorName] = err;
+        }
+    }
+
+    return new ServiceInstanceInfo(instanceInfo, errors);
+}
+
+/**
+ * The same as `extractInstanceInfo` but extractors may return promises. Extractor that is not settled
+ * until `deadline` is resolved fails with `ExtractorTimeoutError`.
+ *
+ * Promise is rejected if there are no extractors for the version of the output.
+ *
+ * @param {*} parsedOutput
+ * @param {Object|undefined} extractors
+ * @param {Factory~PayloadVersion|undefined} payloadVersion
+ * @param {Promise} deadline - promise that is resolved when time for extraction is over
+ * @param {number} timeoutMsec - time for extraction, is used in the message of error only
+ * @returns {Promise<ServiceInstanceInfo>}
+ */
+function extractInstanceInfoAsync(parsedOutput, extractors, payloadVersion, deadline, timeoutMsec) {
+    return Promise.resolve()
+        .then(() => {
+            const extractorsOfVersion = selectExtractors(parsedOutput, extractors, payloadVersion);
+            const extractorNames = _.keys(extractorsOfVersion);
+
+            return Promise.all(extractorNames.map(extractorName => Promise.race([
+                Promise.resolve().then(() => extractorsOfVersion[extractorName].extract(parsedOutput)),
+                deadline.then(() => {
+                    throw new ExtractorTimeoutError(
+                        `extractor is not settled in ${timeoutMsec} msec`, {extractorName, timeoutMsec}
+                    );
+                })
+            ]).then(value => ({value}), error => ({error})))).then(results => ({extractorNames, results}));
+        })
+        .then(({extractorNames, results}) => {
+            const instanceInfo = Object.create(null);
+            const errors = Object.create(null);
+
+            extractorNames.forEach((extractorName, index) => {
+                if (_.has(results[index], 'error')) {
+                    errors[extractorName] = results[index].error;
+                } else {
+                    instanceInfo[extractorName] = results[index].value;
+                }
+            });
 
-    for (const extractorName in extractors) {
-        instanceInfo[extractorName] = extractors[extractorName].extract(parsedOutput);
+            return new ServiceInstanceInfo(instanceInfo, errors);
+        });
+}
+
+/**
+ * Parses status line of output of HTTP check, e.g.
+ *   `HTTP GET http://172.16.3.3:3000/service/status: 503 Service Unavailable Output: {...}`
+ *
+ * Output of HTTP check that failed without response (connection refused, timeout) has no status line.
+ *
+ * @param {string} output - output of HTTP check
+ * @return {CheckResult|null} null if there is no status line in the output
+ */
+function buildCheckResult(output) {
+    const match = _.isString(output) ? output.match(HTTP_STATUS_LINE_PATTERN) : null;
+
+    if (match === null) {
+        return null;
     }
 
-    return new ServiceInstanceInfo(instanceInfo);
+    return new CheckResult(match[1], match[2], Number(match[3]), match[4] || '');
+}
+
+/**
+ * Builds `HealthCheck` from check received from consul. `Type`, `ServiceID` and `ModifyIndex` are optional
+ * because they are absent in old versions of consul.
+ *
+ * @param {Object} check - element of `Checks` array that returns `consul.health.service` call
+ * @return {HealthCheck}
+ * @throws {TypeError} on invalid format of check
+ */
+function buildHealthCheck(check) {
+    return new HealthCheck(
+        check.CheckID,
+        check.Name,
+        check.Status,
+        check.Output,
+        _.get(check, 'Type', ''),
+        _.get(check, 'ServiceID', ''),
+        _.get(check, 'ModifyIndex', null)
+    );
+}
+
+/**
+ * Converts `Service.Weights` of node received from consul to weights of instance, weights that are not set are `1`
+ * as Consul does on registration
+ *
+ * @param {*} weights - `Service.Weights` of node
+ * @return {ServiceInstance~Weights}
+ */
+function buildWeights(weights) {
+    return {
+        passing: _.get(weights, 'Passing', 1),
+        warning: _.get(weights, 'Warning', 1)
+    };
 }
 
 /**
@@ -45,9 +502,12 @@ function buildInstanceInfoFromOutput(output, extractors) {
  *
  * @param {Object} node - data that returns `consul.health.service` call
  * @param {ServiceInstanceInfo|null} instanceInfo
+ * @param {ServiceInstance~HealthReason[]} [healthReasons] - reasons of `warning` or `unhealthy` state
+ * @param {CheckResult|null} [checkResult] - result of HTTP request of the check with status of instance
+ * @param {number|null} [infoAge] - age in msec of the last known info that is used instead of failed one
  * @return {ServiceInstance|null}
  */
-function buildServiceInstance(node, instanceInfo) {
+function buildServiceInstance(node, instanceInfo, healthReasons = [], checkResult = null, infoAge = null) {
     try {
         let lanIp = null;
         let wanIp = null;
@@ -65,6 +525,8 @@ function buildServiceInstance(node, instanceInfo) {
             serviceAddress = node.Service.Address;
         }
 
+        const checks = _.isArray(node.Checks) ? node.Checks.map(buildHealthCheck) : [];
+
         return new ServiceInstance(
             lanIp,
             wanIp,
@@ -75,7 +537,12 @@ function buildServiceInstance(node, instanceInfo) {
             node.Node.Datacenter,
             node.Service.ID,
             node.Service.Tags,
-            instanceInfo
+            instanceInfo,
+            healthReasons,
+            checks,
+            checkResult,
+            infoAge,
+            buildWeights(node.Service.Weights)
         );
     } catch (err) {
         return null;
@@ -83,43 +550,103 @@ function buildServiceInstance(node, instanceInfo) {
 }
 
 /**
- * Function receives an array of nodes, and classify it as `healthy` or `unhealthy`
+ * Rules of classification of instances
  *
- * It validates `registeredNodes` using `ConsulResponseValidator.filterValidHealthyServices`, so
- * check documentation of `consulHelper.filterValidHealthyServices` to understand which
- * fields are checked and required.
- *
- * Node will be marked `unhealthy` if at least one case occurs:
- *   - at least one check, except serfHealth check, not in `passing` state
- *
- * Node will be `skipped` in case:
- *   - it doesn't contain registered checks at all
- *   - it doesn't contain instance-status check
- *   - invalid format of node data
- *   - serfHealth check is in critical state
+ * @typedef {Object} Factory~HealthPolicy
+ * @property {string[]} [ignoredChecks=[]] - IDs or names of checks that do not affect health of instance
+ * @property {string[]} [requiredChecks=[]] - IDs or names of checks that must be registered and be in `passing`
+ *  state, otherwise instance is `unhealthy`
+ * @property {string} [serfHealthCritical='skip'] - what to do with the node if serfHealth check is not passing:
+ *  `skip` the node or mark the instance as `unhealthy`
+ */
+
+/**
+ * Options of building of instances
  *
- * In all other cases node will be `healthy`.
+ * @typedef {Object} Factory~BuildOptions
+ * @property {boolean} [treatWarningAsHealthy=false] - instances in `warning` state are returned by
+ *  `ServiceInstances::getHealthy()` if true, otherwise by `ServiceInstances::getUnhealthy()`
+ * @property {function(ServiceInstance, (ServiceInstanceInfo|null)): (string|null)} [classifier] - returns name of
+ *  the bucket of instance, see `ServiceInstances::getBucket()`
+ * @property {Factory~HealthPolicy} [healthPolicy]
+ * @property {Object.<string, function(string, Object): (string|null)>} [outputLocators] - locators of body of check
+ *  output by the `Type` of the check, they override the default ones. Locator receives `Output` and the check itself
+ *  and returns the body or null if the output has invalid format
+ * @property {{parse: function(string): *}} [outputParser] - parser of body of check output, JSON parser by default
+ * @property {number} [outputMaxSize=4096] - `check_output_max_size` of consul agent, is used to detect truncated output
+ * @property {ServiceInstances} [previousInstances] - previous list of instances, if set, the last info of instance is
+ *  used when output of its status check is truncated
+ * @property {boolean} [extractOnCritical=true] - run extractors on output of status check in `critical` state. If
+ *  false, info of such check is null and output of the check may have no body, e.g. on refused connection
+ * @property {InstanceInfoCache} [infoCache] - cache of the last successfully extracted info of instances. If set,
+ *  info from the cache is used when extraction of info fails
+ * @property {number} [extractTimeoutMsec=5000] - timeout of asynchronous extractors of one update, is used by
+ *  `buildServiceInstancesAsync` only
+ * @property {Factory~PayloadVersion} [payloadVersion] - extractors by version of the output, `extractors` are used for
+ *  output without version. Is ignored for the list of status checks, every check has its own `payloadVersion`
+ */
+
+/**
+ * Extraction of info from parsed output of one status check. `outcome` must be set to `{info}` with built info or
+ * to `{error}` if there are no extractors for the version of the output, before instances are built.
  *
- * @param {Array} registeredNodes - an array of nodes received from consul
- * @param {string} checkNameWithStatus - the name of check that contains output with status of instance
- * @param {Object|undefined} extractors - an object that contains extractors of service info  from output
- * @return {{instances: ServiceInstances, errors: InvalidDataError[]}}
+ * @typedef {Object} Factory~Extraction
+ * @property {*} parsedOutput
+ * @property {Object|undefined} extractors
+ * @property {Factory~PayloadVersion|undefined} payloadVersion
+ * @property {{info: ServiceInstanceInfo}|{error: Error}|null} outcome
  */
-function buildServiceInstances(registeredNodes, checkNameWithStatus, extractors) {
-    const instances = new ServiceInstances();
-    const {validNodes, errors} = ConsulResponseValidator.filterValidHealthyServices(registeredNodes);
 
-    if (validNodes.length === 0) {
-        return {instances, errors};
-    }
+/**
+ * Prepares building of instances as described in `buildServiceInstances`: locates and parses outputs of status checks
+ * and returns extractions of info from them. Instances are built by `build` after outcomes of all extractions are set.
+ *
+ * @param {Array} registeredNodes
+ * @param {string|Factory~StatusCheckMatcher|Factory~StatusCheckConfig[]} checkNameWithStatus
+ * @param {Object|undefined} extractors
+ * @param {Factory~BuildOptions} options
+ * @return {{extractions: Factory~Extraction[], build: function(): {instances: ServiceInstances,
+ *  errors: InvalidDataError[]}}}
+ */
+function prepareInstances(registeredNodes, checkNameWithStatus, extractors, options) {
+    const instances = new ServiceInstances(options.treatWarningAsHealthy === true, options.classifier || null);
+    const outputLocators = _.assign({}, DEFAULT_OUTPUT_LOCATORS, options.outputLocators);
+    const extractOnCritical = options.extractOnCritical !== false;
+    const outputMaxSize = _.has(options, 'outputMaxSize') ? options.outputMaxSize : DEFAULT_OUTPUT_MAX_SIZE;
+    const outputParser = options.outputParser !== undefined ? options.outputParser : builtinParsers.json;
+    const previousInstanceMap = options.previousInstances ? mapPreviousInstances(options.previousInstances) : null;
+    const isNamespaced = _.isArray(checkNameWithStatus);
+    const statusChecks = (isNamespaced ? checkNameWithStatus : [{statusCheck: checkNameWithStatus, extractors}])
+        .map(statusCheck => ({
+            namespace: isNamespaced ? statusCheck.namespace : null,
+            isStatusCheck: buildStatusCheckMatcher(statusCheck.statusCheck),
+            extractors: statusCheck.extractors,
+            payloadVersion: isNamespaced ? statusCheck.payloadVersion : options.payloadVersion,
+            optional: statusCheck.optional === true
+        }));
+    const healthPolicy = _.defaults({}, options.healthPolicy, {
+        ignoredChecks: [],
+        requiredChecks: [],
+        serfHealthCritical: SERF_HEALTH_CRITICAL_SKIP
+    });
+    const validationResult = ConsulResponseValidator.filterValidHealthyServices(registeredNodes);
+    const validNodes = validationResult.validNodes;
+    // errors that are added on build of instances are kept in nested lists, so the order of errors does not change
+    const errors = [...validationResult.errors];
+    const extractions = [];
+    const completions = [];
 
     validNodes.forEach(node => {
         const ip = node.Node.Address;
-        let passing = true;
-        let instanceInfo = null;
-        let checkWithStatusFound = false;
+        let critical = false;
+        let warning = false;
         let serfHealthCritical = false;
-        let checkWithStatusOutputExist = true;
+        const statusCheckResults = statusChecks.map(
+            () => ({found: false, outputExist: true, info: null, extractionFailed: false, checkResult: null})
+        );
+        const healthReasons = [];
+        const foundRequiredChecks = new Set();
+        const extractionCompletions = [];
 
         if (node.Checks.length === 0) {
             errors.push(new InvalidDataError(
@@ -131,7 +658,25 @@ function buildServiceInstances(registeredNodes, checkNameWithStatus, extractors)
         }
 
         node.Checks.forEach(check => {
-            if (check.CheckID === CHECK_ID_SERF_HEALTH && check.Status !== CHECK_STATUS_PASSING) {
+            const isIgnored = isCheckInList(check, healthPolicy.ignoredChecks);
+
+            if (check.CheckID === CHECK_ID_SERF_HEALTH && check.Status !== CHECK_STATUS_PASSING && !isIgnored) {
+                if (healthPolicy.serfHealthCritical === SERF_HEALTH_CRITICAL_UNHEALTHY) {
+                    critical = true;
+                    healthReasons.push({
+                        rule: HEALTH_RULE_SERF_HEALTH_CRITICAL,
+                        checkId: check.CheckID,
+                        message: 'serfHealth check is in critical state'
+                    });
+
+                    if (isCheckInList(check, healthPolicy.requiredChecks)) {
+                        // check is registered, its state is already reported by the reason above
+                        foundRequiredChecks.add(check.CheckID).add(check.Name);
+                    }
+
+                    return;
+                }
+
                 serfHealthCritical = true;
             }
 
@@ -141,85 +686,473 @@ function buildServiceInstances(registeredNodes, checkNameWithStatus, extractors)
                 return;
             }
 
-            if (check.Status !== CHECK_STATUS_PASSING) {
-                passing = false;
+            if (isCheckInList(check, healthPolicy.requiredChecks)) {
+                foundRequiredChecks.add(check.CheckID).add(check.Name);
+
+                if (check.Status !== CHECK_STATUS_PASSING) {
+                    critical = true;
+                    healthReasons.push({
+                        rule: HEALTH_RULE_REQUIRED_CHECK_NOT_PASSING,
+                        checkId: check.CheckID,
+                        message: `required check "${check.Name}" is in ${check.Status} state`
+                    });
+                }
+            } else if (check.Status !== CHECK_STATUS_PASSING && !isIgnored) {
+                if (check.Status === CHECK_STATUS_WARNING) {
+                    warning = true;
+                } else {
+                    critical = true;
+                }
+
+                healthReasons.push({
+                    rule: HEALTH_RULE_CHECK_NOT_PASSING,
+                    checkId: check.CheckID,
+                    message: `check "${check.Name}" is in ${check.Status} state`
+                });
             }
 
-            if (check.Name !== checkNameWithStatus) {
-                // skip this check and jump to the next one
+            statusChecks.forEach((statusCheck, index) => {
+                let isStatusCheck;
+
+                try {
+                    isStatusCheck = statusCheck.isStatusCheck(check, node);
+                } catch (err) {
+                    // predicate of user may throw, the check is not treated as the status check then
+                    errors.push(new InvalidDataError(
+                        `Predicate of status check failed, check is not treated as status check: ${err.message}`,
+                        isNamespaced ? {address: ip, check, namespace: statusCheck.namespace} : {address: ip, check}
+                    ));
+
+                    return;
+                }
+
+                if (!isStatusCheck) {
+                    // skip this status check and jump to the next one
+                    return;
+                }
+
+                const result = statusCheckResults[index];
+                result.found = true;
+                result.checkResult = buildCheckResult(check.Output);
+
+                if (!extractOnCritical && check.Status === CHECK_STATUS_CRITICAL) {
+                    // output of critical check is not used, so its format does not matter
+                    return;
+                }
+
+                // if we are here the check is check with instance status
+                const checkType = _.isString(check.Type) && !_.isEmpty(check.Type) ? check.Type : DEFAULT_CHECK_TYPE;
+                const locate = _.has(outputLocators, checkType) ?
+                    outputLocators[checkType] :
+                    outputLocators[DEFAULT_CHECK_TYPE];
+                let outputData;
+
+                try {
+                    outputData = _.isString(check.Output) ? locate(check.Output, check) : null;
+                } catch (err) {
+                    // locator of user may throw, output is treated as having invalid format then
+                    errors.push(new InvalidDataError(
+                        `Locator of output failed: ${err.message}, ` +
+                        (statusCheck.optional ? 'info will be empty' : 'node will be skipped'),
+                        {address: ip, check: check}
+                    ));
+
+                    result.outputExist = false;
+
+                    return;
+                }
+
+                if (!_.isString(outputData)) {
+                    const message = statusCheck.optional ?
+                        'Invalid format of output field of optional check received from consul, info will be empty' :
+                        'Invalid format of output field of check received from consul, node will be skipped';
+                    errors.push(new InvalidDataError(message, {address: ip, check: check}));
+
+                    result.outputExist = false;
+
+                    // skip this status check and jump to the next one
+                    return;
+                }
+
+                const hasExtractors = statusCheck.extractors !== undefined || statusCheck.payloadVersion !== undefined;
+
+                if (!hasExtractors) {
+                    return;
+                }
+
+                const extra = isNamespaced ? {outputData, namespace: statusCheck.namespace} : {outputData};
+                let parsedOutput;
+
+                try {
+                    parsedOutput = outputParser.parse(outputData);
+                } catch (err) {
+                    result.extractionFailed = true;
+
+                    if (!isOutputTruncated(outputData, outputMaxSize)) {
+                        errors.push(new InvalidDataError(err.message, extra));
+
+                        return;
+                    }
+
+                    errors.push(new OutputTruncatedError(
+                        'Output of check received from consul is truncated, ' +
+                        (options.previousInstances ? 'the last info of instance is used' : 'info will be empty'),
+                        {
+                            nodeName: node.Node.Node,
+                            nodeId: _.get(node, ['Node', 'ID'], null),
+                            serviceId: node.Service.ID,
+                            checkId: check.CheckID,
+                            outputMaxSize
+                        }
+                    ));
+
+                    if (previousInstanceMap !== null) {
+                        result.info = findLastInstanceInfo(previousInstanceMap, node, statusCheck.namespace);
+                    }
+
+                    return;
+                }
+
+                const extraction = {
+                    parsedOutput,
+                    extractors: statusCheck.extractors,
+                    payloadVersion: statusCheck.payloadVersion,
+                    outcome: null
+                };
+                const extractionErrors = [];
+
+                extractions.push(extraction);
+                errors.push(extractionErrors);
+                extractionCompletions.push(() => {
+                    if (_.has(extraction.outcome, 'error')) {
+                        const err = extraction.outcome.error;
+
+                        result.extractionFailed = true;
+                        extractionErrors.push(err instanceof UnknownPayloadVersionError ?
+                            new UnknownPayloadVersionError(err.message, _.assign(extra, err.extra)) :
+                            new InvalidDataError(err.message, extra)
+                        );
+
+                        return;
+                    }
+
+                    result.info = extraction.outcome.info;
+
+                    getExtractorNames(statusCheck.extractors, statusCheck.payloadVersion).forEach(extractorName => {
+                        const err = result.info.getError(extractorName);
+                        if (err === null) {
+                            return;
+                        }
+
+                        extractionErrors.push(new InvalidDataError(
+                            `Extractor "${extractorName}" failed, info has no data of the extractor: ` + err.message,
+                            _.assign({extractorName}, extra)
+                        ));
+                    });
+                });
+            });
+        });
+
+        const nodeErrors = [];
+
+        errors.push(nodeErrors);
+        completions.push(() => {
+            extractionCompletions.forEach(complete => complete());
+
+            if (serfHealthCritical) {
+                nodeErrors.push(new InvalidDataError(
+                    'serfHealth check is in critical state, node will be skipped',
+                    {node}
+                ));
+
                 return;
             }
 
-            checkWithStatusFound = true;
+            const missingStatusCheck = statusChecks.find(
+                (statusCheck, index) => !statusCheck.optional && !statusCheckResults[index].found
+            );
 
-            // if we are here the check is check with instance status
-            const pos = check.Output.indexOf(CHECK_OUTPUT_PATTERN);
-            if (pos <= 0) {
-                errors.push(new InvalidDataError(
-                    'Invalid format of output field of check received from consul, node will be skipped',
-                    {address: ip, check: check}
+            if (missingStatusCheck !== undefined) {
+                nodeErrors.push(new InvalidDataError(
+                    isNamespaced ?
+                        `Status check "${missingStatusCheck.namespace}" was not found among all checks on the node, ` +
+                        'node will be skipped' :
+                        'Check with `checkNameWithStatus` was not found among all checks on the node, ' +
+                        'node will be skipped',
+                    {node}
                 ));
 
-                checkWithStatusOutputExist = false;
+                return;
+            }
 
-                // skip this check and jump to the next one
+            // error about invalid format of output was already added
+            const isOutputOfStatusCheckInvalid = statusChecks.some(
+                (statusCheck, index) => !statusCheck.optional && !statusCheckResults[index].outputExist
+            );
+
+            if (isOutputOfStatusCheckInvalid) {
                 return;
             }
 
-            if (extractors !== undefined) {
-                const outputData = check.Output.substring(pos + CHECK_OUTPUT_PATTERN.length);
+            const isExtractionFailed = statusCheckResults.some(result => result.extractionFailed);
+            const isInfoComplete = statusCheckResults.every(result => result.info === null || !result.info.hasErrors());
+            const lastInfo = options.infoCache && (isExtractionFailed || !isInfoComplete) ?
+                options.infoCache.get(node.Service.ID, node.Node.Address) :
+                null;
+            let isLastInfoUsed = false;
 
-                try {
-                    instanceInfo = buildInstanceInfoFromOutput(outputData, extractors);
-                } catch (err) {
-                    errors.push(new InvalidDataError(err.message, {outputData}));
+            // only failed checks and data of failed extractors are taken from the last known info,
+            // with the list of status checks - from its namespace of the check
+            const infos = statusCheckResults.map((result, index) => {
+                if (lastInfo === null) {
+                    return result.info;
+                }
+
+                const statusCheck = statusChecks[index];
+                const cachedInfo = isNamespaced ?
+                    _.defaultTo(lastInfo.info.get(statusCheck.namespace), null) :
+                    lastInfo.info;
+
+                if (result.extractionFailed) {
+                    isLastInfoUsed = true;
+
+                    return cachedInfo;
+                }
+
+                if (result.info === null || !result.info.hasErrors() || cachedInfo === null) {
+                    return result.info;
+                }
+
+                const filledInfo = fillFailedExtractorsFromCache(
+                    result.info, getExtractorNames(statusCheck.extractors, statusCheck.payloadVersion), cachedInfo
+                );
+
+                if (filledInfo === null) {
+                    return result.info;
+                }
+
+                isLastInfoUsed = true;
+
+                return filledInfo;
+            });
+
+            const instanceInfo = isNamespaced ?
+                new ServiceInstanceInfo(_.zipObject(statusChecks.map(statusCheck => statusCheck.namespace), infos)) :
+                infos[0];
+
+            if (options.infoCache && !isExtractionFailed && isInfoComplete && instanceInfo !== null) {
+                options.infoCache.set(node.Service.ID, node.Node.Address, instanceInfo);
+            }
+
+            if (isLastInfoUsed) {
+                // the update is counted only if data of the last info got into the instance
+                options.infoCache.reuse(node.Service.ID, node.Node.Address);
+            }
+
+            healthPolicy.requiredChecks.forEach(requiredCheck => {
+                if (!foundRequiredChecks.has(requiredCheck)) {
+                    critical = true;
+                    healthReasons.push({
+                        rule: HEALTH_RULE_REQUIRED_CHECK_MISSING,
+                        checkId: requiredCheck,
+                        message: `required check "${requiredCheck}" is not registered on the node`
+                    });
                 }
+            });
+
+            const instance = buildServiceInstance(
+                node,
+                instanceInfo,
+                healthReasons,
+                statusCheckResults[0].checkResult,
+                isLastInfoUsed ? lastInfo.age : null
+            );
+            if (instance === null) {
+                nodeErrors.push(new InvalidDataError('Invalid format of node data, node will be skipped', {node}));
+
+                return;
+            }
+
+            // if some another check is in failing mode, except check with instance status or
+            // if check with instance status has invalid format - service is unhealthy
+            if (critical) {
+                instances.addUnhealthy(instance);
+            } else if (warning) {
+                instances.addWarning(instance);
+            } else {
+                instances.addHealthy(instance);
             }
         });
+    });
 
-        if (serfHealthCritical) {
-            errors.push(new InvalidDataError(
-                'serfHealth check is in critical state, node will be skipped',
-                {node}
-            ));
+    return {
+        extractions,
+        build: () => {
+            completions.forEach(complete => complete());
 
-            return;
+            return {instances, errors: _.flatten(errors)};
         }
+    };
+}
 
-        if (!checkWithStatusFound) {
-            errors.push(new InvalidDataError(
-                'Check with `checkNameWithStatus` was not found among all checks on the node, node will be skipped',
-                {node}
-            ));
+/**
+ * Function receives an array of nodes, and classify it as `healthy`, `warning` or `unhealthy`
+ *
+ * It validates `registeredNodes` using `ConsulResponseValidator.filterValidHealthyServices`, so
+ * check documentation of `consulHelper.filterValidHealthyServices` to understand which
+ * fields are checked and required.
+ *
+ * Node will be marked `unhealthy` if at least one case occurs:
+ *   - at least one check, except serfHealth check, not in `passing` or `warning` state
+ *   - at least one of `healthPolicy.requiredChecks` is absent or not in `passing` state
+ *   - serfHealth check is in critical state and `healthPolicy.serfHealthCritical` is `unhealthy`
+ *
+ * Node will be marked `warning` if it is not `unhealthy` and at least one check, except serfHealth check,
+ * is in `warning` state.
+ *
+ * Node will be `skipped` in case:
+ *   - it doesn't contain registered checks at all
+ *   - it doesn't contain instance-status check (or one of non-optional checks from the list of status checks)
+ *   - invalid format of node data
+ *   - serfHealth check is in critical state and `healthPolicy.serfHealthCritical` is `skip` (default)
+ *
+ * Checks from `healthPolicy.ignoredChecks` do not affect the state of node at all. Every rule that made node
+ * `warning` or `unhealthy` is recorded in health reasons of the instance, see `ServiceInstance::getHealthReasons()`.
+ *
+ * In all other cases node will be `healthy`.
+ *
+ * If `checkNameWithStatus` is a list of status checks, info of every check is built by its own extractors and
+ * `ServiceInstanceInfo` of the instance contains nested `ServiceInstanceInfo` of every check by its namespace.
+ *
+ * Extractors must be synchronous, use `buildServiceInstancesAsync` for extractors that return promises.
+ *
+ * @param {Array} registeredNodes - an array of nodes received from consul
+ * @param {string|Factory~StatusCheckMatcher|Factory~StatusCheckConfig[]} checkNameWithStatus - the name of check
+ *  that contains output with status of instance, matcher of the check or list of such checks
+ * @param {Object|undefined} extractors - an object that contains extractors of service info  from output, ignored
+ *  for the list of status checks
+ * @param {Factory~BuildOptions} [options]
+ * @return {{instances: ServiceInstances, errors: InvalidDataError[]}}
+ */
+function buildServiceInstances(registeredNodes, checkNameWithStatus, extractors, options = {}) {
+    const {extractions, build} = prepareInstances(registeredNodes, checkNameWithStatus, extractors, options);
 
-            return;
+    extractions.forEach(extraction => {
+        try {
+            extraction.outcome = {
+                info: extractInstanceInfo(extraction.parsedOutput, extraction.extractors, extraction.payloadVersion)
+            };
+        } catch (error) {
+            extraction.outcome = {error};
         }
+    });
 
-        if (!checkWithStatusOutputExist) {
-            return;
-        }
+    return build();
+}
+
+/**
+ * Compares two snapshots of instances of the same service and builds the set of changes between them.
+ *
+ * Instances are matched by `ServiceInstances::getKey`. Matched instance is reported as:
+ *   - `becameHealthy` if it was unhealthy in `previous` and it is healthy in `current`
+ *   - `becameUnhealthy` if it was healthy in `previous` and it is unhealthy in `current`
+ *   - `infoChanged` if its `ServiceInstanceInfo` is not deeply equal to the previous one. Health state change
+ *      and info change are independent, so the same instance may be reported in both groups.
+ *
+ * @param {ServiceInstances} previous
+ * @param {ServiceInstances} current
+ * @return {ServiceInstancesDiff}
+ */
+function buildServiceInstancesDiff(previous, current) {
+    const diff = new ServiceInstancesDiff();
+    const previousHealthy = new Map(previous.getHealthy().map(instance => [previous.getKey(instance), instance]));
+    const previousUnhealthy = new Map(
+        previous.getUnhealthy().map(instance => [previous.getKey(instance), instance])
+    );
+    const currentKeys = new Set();
+
+    const compare = (instance, isHealthy) => {
+        const key = current.getKey(instance);
+        currentKeys.add(key);
+
+        let previousInstance;
+        if (previousHealthy.has(key)) {
+            previousInstance = previousHealthy.get(key);
 
-        const instance = buildServiceInstance(node, instanceInfo);
-        if (instance === null) {
-            errors.push(new InvalidDataError('Invalid format of node data, node will be skipped', {node}));
+            if (!isHealthy) {
+                diff.addBecameUnhealthy(instance, previousInstance);
+            }
+        } else if (previousUnhealthy.has(key)) {
+            previousInstance = previousUnhealthy.get(key);
+
+            if (isHealthy) {
+                diff.addBecameHealthy(instance, previousInstance);
+            }
+        } else {
+            diff.addAdded(instance);
 
             return;
         }
 
-        // if some another check is in failing mode, except check with instance status or
-        // if check with instance status has invalid format - service is unhealthy
-        if (passing) {
-            instances.addHealthy(instance);
-        } else {
-            instances.addUnhealthy(instance);
+        if (!_.isEqual(previousInstance.getInfo(), instance.getInfo())) {
+            diff.addInfoChanged(instance, previousInstance);
+        }
+    };
+
+    current.getHealthy().forEach(instance => compare(instance, true));
+    current.getUnhealthy().forEach(instance => compare(instance, false));
+
+    for (const [key, instance] of [...previousHealthy, ...previousUnhealthy]) {
+        if (!currentKeys.has(key)) {
+            diff.addRemoved(instance);
         }
+    }
+
+    return diff;
+}
+
+/**
+ * The same as `buildServiceInstances`, but extractors may return promises. All extractors of the update share
+ * one timeout, so the list of instances is built from results that are received at the same time. Extractor that
+ * is not settled in time fails with `ExtractorTimeoutError`, see `ServiceInstanceInfo::getError()`.
+ *
+ * @param {Array} registeredNodes - an array of nodes received from consul
+ * @param {string|Factory~StatusCheckMatcher|Factory~StatusCheckConfig[]} checkNameWithStatus
+ * @param {Object|undefined} extractors
+ * @param {Factory~BuildOptions} [options]
+ * @return {Promise<{instances: ServiceInstances, errors: InvalidDataError[]}>}
+ */
+function buildServiceInstancesAsync(registeredNodes, checkNameWithStatus, extractors, options = {}) {
+    const timeoutMsec = _.has(options, 'extractTimeoutMsec') ?
+        options.extractTimeoutMsec :
+        DEFAULT_EXTRACT_TIMEOUT_MSEC;
+    const {extractions, build} = prepareInstances(registeredNodes, checkNameWithStatus, extractors, options);
+    let timerId;
+    const deadline = new Promise(resolve => {
+        timerId = setTimeout(resolve, timeoutMsec);
     });
 
-    return {instances, errors};
+    return Promise.all(extractions.map(extraction => extractInstanceInfoAsync(
+        extraction.parsedOutput, extraction.extractors, extraction.payloadVersion, deadline, timeoutMsec
+    ).then(info => {
+        extraction.outcome = {info};
+    }, error => {
+        extraction.outcome = {error};
+    }))).then(() => {
+        clearTimeout(timerId);
+
+        return build();
+    });
 }
 
 module.exports = {
+    buildCheckResult,
+    buildHealthCheck,
+    buildStatusCheckMatcher,
+    buildStatusClassifier,
     buildServiceInstance,
     buildServiceInstances,
-    buildInstanceInfoFromOutput
+    buildServiceInstancesAsync,
+    buildInstanceInfoFromOutput,
+    buildServiceInstancesDiff
 };
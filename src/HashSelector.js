@@ -0,0 +1,357 @@
+'use strict';
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const _ = require('lodash');
+
+const ALGORITHM_KETAMA = 'ketama';
+const ALGORITHM_RENDEZVOUS = 'rendezvous';
+const ALGORITHMS = [ALGORITHM_KETAMA, ALGORITHM_RENDEZVOUS];
+
+const DEFAULT_VIRTUAL_NODES = 160;
+const MAX_HASH = 0xffffffff;
+
+/**
+ * Range of hashes of keys that moved from one instance to another
+ *
+ * @typedef {Object} HashSelector~MovedRange
+ * @property {number|null} start - first hash of the range, null for `rendezvous` algorithm
+ * @property {number|null} end - last hash of the range (inclusive), null for `rendezvous` algorithm
+ * @property {string|null} from - key of instance that owned the range, null if there were no instances
+ * @property {string|null} to - key of instance that owns the range now, null if there are no instances
+ */
+
+/**
+ * Point of the ketama ring
+ *
+ * @typedef {Object} HashSelector~RingPoint
+ * @property {number} hash
+ * @property {string} key - key of instance
+ */
+
+/**
+ * @param {string} value
+ * @returns {Buffer}
+ */
+function md5(value) {
+    return crypto.createHash('md5').update(value).digest();
+}
+
+/**
+ * Returns 32-bit hash of the key, the same that is used for points of the ketama ring
+ *
+ * @param {string} key
+ * @returns {number}
+ */
+function hashKey(key) {
+    return md5(key).readUInt32LE(0);
+}
+
+/**
+ * Builds the ketama ring: every md5 digest of `<instance key>-<i>` gives four points of the ring
+ *
+ * @param {string[]} instanceKeys
+ * @param {number} virtualNodes - number of points of every instance
+ * @returns {HashSelector~RingPoint[]} points sorted by hash
+ */
+function buildRing(instanceKeys, virtualNodes) {
+    const ring = [];
+
+    instanceKeys.forEach(key => {
+        for (let i = 0; i < virtualNodes; i++) {
+            const digest = md5(`${key}-${Math.floor(i / 4)}`);
+            ring.push({hash: digest.readUInt32LE((i % 4) * 4), key});
+        }
+    });
+
+    // ties are broken by key of instance, so the ring doesn't depend on the order of instances
+    return ring.sort((a, b) => a.hash - b.hash || (a.key < b.key ? -1 : Number(a.key > b.key)));
+}
+
+/**
+ * Returns index of the first point of the ring with hash not less than the given one, wraps around the ring
+ *
+ * @param {HashSelector~RingPoint[]} ring
+ * @param {number} hash
+ * @returns {number}
+ */
+function findRingIndex(ring, hash) {
+    const index = _.sortedIndexBy(ring, {hash}, 'hash');
+
+    return index === ring.length ? 0 : index;
+}
+
+/**
+ * Returns key of instance that owns the hash on the ring, or null for an empty ring
+ *
+ * @param {HashSelector~RingPoint[]} ring
+ * @param {number} hash
+ * @returns {string|null}
+ */
+function findRingOwner(ring, hash) {
+    return ring.length === 0 ? null : ring[findRingIndex(ring, hash)].key;
+}
+
+/**
+ * Returns ranges of hashes whose owner differs between two rings, adjacent ranges with the same owners are merged
+ *
+ * @param {HashSelector~RingPoint[]} oldRing
+ * @param {HashSelector~RingPoint[]} newRing
+ * @returns {HashSelector~MovedRange[]}
+ */
+function diffRings(oldRing, newRing) {
+    // owner is the same for all hashes between two consecutive boundaries of both rings
+    const boundaries = _.sortedUniq([...oldRing, ...newRing].map(point => point.hash).sort((a, b) => a - b));
+    const moved = [];
+
+    if (boundaries.length === 0) {
+        return moved;
+    }
+
+    if (_.last(boundaries) !== MAX_HASH) {
+        boundaries.push(MAX_HASH);
+    }
+
+    let start = 0;
+    for (const end of boundaries) {
+        const from = findRingOwner(oldRing, end);
+        const to = findRingOwner(newRing, end);
+        const last = _.last(moved);
+
+        if (from !== to) {
+            if (last !== undefined && last.end === start - 1 && last.from === from && last.to === to) {
+                last.end = end;
+            } else {
+                moved.push({start, end, from, to});
+            }
+        }
+
+        start = end + 1;
+    }
+
+    return moved;
+}
+
+/**
+ * Selects instances by a key, so the same key is mapped to the same instance while the instance is healthy, and
+ * as few keys as possible move when instances come and go. Two algorithms are supported:
+ *   - `ketama` (default) – consistent hashing with a ring of md5 points, every instance has `virtualNodes` points;
+ *   - `rendezvous` – highest random weight hashing, the instance with the highest hash of the key and its own key
+ *     is selected.
+ *
+ * Selector rebuilds its state on every `changed` event of the monitor, only healthy instances are selected.
+ *
+ * @emits HashSelector#keysMoved
+ */
+class HashSelector extends EventEmitter {
+
+    /**
+     * @param {ServiceInstancesMonitor} monitor
+     * @param {Object} [options]
+     * @param {string} [options.algorithm='ketama'] - `ketama` or `rendezvous`
+     * @param {number} [options.virtualNodes=160] - number of points of every instance on the ketama ring
+     * @throws {TypeError} on invalid type or value of one of arguments
+     */
+    constructor(monitor, options = {}) {
+        super();
+
+        // duck typing check
+        if (!_.isObject(monitor) || !_.isFunction(monitor.on) || !_.isFunction(monitor.removeListener) ||
+            !_.isFunction(monitor.getInstances)
+        ) {
+            throw new TypeError('monitor argument does not look like ServiceInstancesMonitor object');
+        }
+
+        if (!_.isPlainObject(options)) {
+            throw new TypeError('options must be an object');
+        }
+
+        if (_.has(options, 'algorithm') && !ALGORITHMS.includes(options.algorithm)) {
+            throw new TypeError(`options.algorithm must be one of the following values: ${ALGORITHMS.join(', ')}`);
+        }
+
+        if (_.has(options, 'virtualNodes') &&
+            (!Number.isSafeInteger(options.virtualNodes) || options.virtualNodes < 1)
+        ) {
+            throw new TypeError('options.virtualNodes must be a positive integer');
+        }
+
+        this._monitor = monitor;
+        this._algorithm = _.get(options, 'algorithm', ALGORITHM_KETAMA);
+        this._virtualNodes = _.get(options, 'virtualNodes', DEFAULT_VIRTUAL_NODES);
+
+        // healthy instances by their keys and the ring of `ketama` algorithm, rebuilt on every change
+        this._instances = new Map();
+        this._ring = [];
+
+        this._onChanged = this._onChanged.bind(this);
+        this._monitor.on('changed', this._onChanged);
+        this._update(this._monitor.getInstances());
+    }
+
+    /**
+     * Returns 32-bit hash of the key that is used by `ketama` algorithm, e.g. to check if the key is inside one of
+     * the moved ranges
+     *
+     * @param {string} key
+     * @returns {number}
+     */
+    static hashKey(key) {
+        return hashKey(key);
+    }
+
+    /**
+     * @returns {string}
+     */
+    getAlgorithm() {
+        return this._algorithm;
+    }
+
+    /**
+     * Returns the instance that the key is mapped to, or null if there are no healthy instances
+     *
+     * @param {string} key
+     * @returns {ServiceInstance|null}
+     * @throws {TypeError} if key is not a string
+     */
+    pickForKey(key) {
+        const instances = this.pickNForKey(key, 1);
+
+        return instances.length === 0 ? null : instances[0];
+    }
+
+    /**
+     * Returns up to `n` distinct instances for the key in order of preference, e.g. for replicas of the key.
+     * The first one is the instance returned by `pickForKey()`.
+     *
+     * @param {string} key
+     * @param {number} n
+     * @returns {ServiceInstance[]}
+     * @throws {TypeError} if key is not a string or n is not a positive integer
+     */
+    pickNForKey(key, n) {
+        if (!_.isString(key)) {
+            throw new TypeError('key must be a string');
+        }
+
+        if (!Number.isSafeInteger(n) || n < 1) {
+            throw new TypeError('n must be a positive integer');
+        }
+
+        const keys = this._algorithm === ALGORITHM_RENDEZVOUS ?
+            this._rankByRendezvous(key).slice(0, n) :
+            this._walkRing(key, n);
+
+        return keys.map(instanceKey => this._instances.get(instanceKey));
+    }
+
+    /**
+     * Stops following changes of the monitor, selector picks nothing after that
+     *
+     * @returns {HashSelector}
+     */
+    close() {
+        this._monitor.removeListener('changed', this._onChanged);
+        this._instances = new Map();
+        this._ring = [];
+
+        return this;
+    }
+
+    /**
+     * @param {ServiceInstances} instances
+     * @private
+     */
+    _onChanged(instances) {
+        const oldKeys = [...this._instances.keys()];
+        const oldRing = this._ring;
+
+        this._update(instances);
+
+        const ranges = this._algorithm === ALGORITHM_RENDEZVOUS ?
+            this._diffRendezvous(oldKeys) :
+            diffRings(oldRing, this._ring);
+
+        if (ranges.length === 0) {
+            return;
+        }
+
+        /**
+         * Ranges of keys that moved to other instances, is not emitted if nothing moved. For `rendezvous` algorithm
+         * keys don't form ranges, so keys of every removed instance are reported as
+         * `{start: null, end: null, from: <removed>, to: null}` and keys taken by every added instance as
+         * `{start: null, end: null, from: null, to: <added>}`.
+         *
+         * @event HashSelector#keysMoved
+         * @type {HashSelector~MovedRange[]}
+         */
+        this.emit('keysMoved', ranges);
+    }
+
+    /**
+     * @param {ServiceInstances} instances
+     * @private
+     */
+    _update(instances) {
+        this._instances = new Map(instances.getHealthy().map(instance => [instances.getKey(instance), instance]));
+
+        if (this._algorithm === ALGORITHM_KETAMA) {
+            this._ring = buildRing([...this._instances.keys()], this._virtualNodes);
+        }
+    }
+
+    /**
+     * @param {string} key
+     * @param {number} n
+     * @returns {string[]} keys of distinct instances met on the ring clockwise from the hash of the key
+     * @private
+     */
+    _walkRing(key, n) {
+        if (this._ring.length === 0) {
+            return [];
+        }
+
+        const found = new Set();
+        const limit = Math.min(n, this._instances.size);
+        const startIndex = findRingIndex(this._ring, hashKey(key));
+
+        for (let i = 0; found.size < limit; i++) {
+            found.add(this._ring[(startIndex + i) % this._ring.length].key);
+        }
+
+        return [...found];
+    }
+
+    /**
+     * @param {string} key
+     * @returns {string[]} keys of all instances sorted by descending weight for the key
+     * @private
+     */
+    _rankByRendezvous(key) {
+        return _.orderBy(
+            [...this._instances.keys()].map(instanceKey => ({
+                instanceKey,
+                weight: md5(`${instanceKey}-${key}`).readUIntBE(0, 6),
+            })),
+            ['weight', 'instanceKey'],
+            ['desc', 'asc']
+        ).map(item => item.instanceKey);
+    }
+
+    /**
+     * @param {string[]} oldKeys
+     * @returns {HashSelector~MovedRange[]}
+     * @private
+     */
+    _diffRendezvous(oldKeys) {
+        const removed = oldKeys.filter(key => !this._instances.has(key));
+        const added = [...this._instances.keys()].filter(key => !oldKeys.includes(key));
+
+        return [
+            ...removed.map(from => ({start: null, end: null, from, to: null})),
+            ...added.map(to => ({start: null, end: null, from: null, to})),
+        ];
+    }
+}
+
+module.exports = HashSelector;
@@ -0,0 +1,130 @@
+'use strict';
+
+const _ = require('lodash');
+
+const CHECK_STATUS_PASSING = 'passing';
+
+/**
+ * Checks that `variable` is non empty string
+ *
+ * @param {*} variable - variable value to check
+ * @param {string} variableName - name of variable for pretty and descriptive errors
+ * @throws {TypeError}
+ * @return {void}
+ */
+function throwErrorIfNotEmptyString(variable, variableName) {
+    if (!_.isString(variable) || _.isEmpty(variable)) {
+        throw new TypeError(`${variableName} must be a non-empty string`);
+    }
+}
+
+/**
+ * Checks that `variable` is string, empty string is allowed
+ *
+ * @param {*} variable - variable value to check
+ * @param {string} variableName - name of variable for pretty and descriptive errors
+ * @throws {TypeError}
+ * @return {void}
+ */
+function throwErrorIfNotString(variable, variableName) {
+    if (!_.isString(variable)) {
+        throw new TypeError(`${variableName} must be a string`);
+    }
+}
+
+/**
+ * Represents health check of service instance registered in consul
+ */
+class HealthCheck {
+
+    /**
+     * @param {string} checkId - ID of the check, e.g. `serfHealth` or `service:transcoder`
+     * @param {string} name - name of the check
+     * @param {string} status - `passing`, `warning` or `critical`
+     * @param {string} output - output of the last run of the check
+     * @param {string} type - type of the check, e.g. `http`, `tcp` or `ttl`. Empty for serfHealth check
+     * @param {string} serviceId - ID of service instance that owns the check. Empty for node checks
+     * @param {number|null} modifyIndex - raft index of the last modification of the check
+     * @throws {TypeError} on invalid type or value of one of arguments
+     */
+    constructor(checkId, name, status, output, type, serviceId, modifyIndex) {
+        throwErrorIfNotEmptyString(checkId, 'checkId');
+        throwErrorIfNotString(name, 'name');
+        throwErrorIfNotEmptyString(status, 'status');
+        throwErrorIfNotString(output, 'output');
+        throwErrorIfNotString(type, 'type');
+        throwErrorIfNotString(serviceId, 'serviceId');
+
+        if (!_.isSafeInteger(modifyIndex) && modifyIndex !== null) {
+            throw new TypeError('modifyIndex must be an integer or null');
+        }
+
+        this._checkId = checkId;
+        this._name = name;
+        this._status = status;
+        this._output = output;
+        this._type = type;
+        this._serviceId = serviceId;
+        this._modifyIndex = modifyIndex;
+    }
+
+    /**
+     * @returns {string}
+     */
+    getCheckId() {
+        return this._checkId;
+    }
+
+    /**
+     * @returns {string}
+     */
+    getName() {
+        return this._name;
+    }
+
+    /**
+     * @returns {string}
+     */
+    getStatus() {
+        return this._status;
+    }
+
+    /**
+     * @returns {string}
+     */
+    getOutput() {
+        return this._output;
+    }
+
+    /**
+     * @returns {string}
+     */
+    getType() {
+        return this._type;
+    }
+
+    /**
+     * @returns {string}
+     */
+    getServiceId() {
+        return this._serviceId;
+    }
+
+    /**
+     * Returns raft index of the last modification of the check. May be null for old versions of consul.
+     *
+     * @returns {number|null}
+     */
+    getModifyIndex() {
+        return this._modifyIndex;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isPassing() {
+        return this._status === CHECK_STATUS_PASSING;
+    }
+}
+
+module.exports = HealthCheck;
@@ -0,0 +1,149 @@
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * Returns key of the instance in the cache. Service ID is unique only within a node, so the address of node is
+ * a part of the key. Cache belongs to the monitor of one datacenter, so the datacenter is not a part of the key
+ * unlike in `ServiceInstances::getKey`.
+ *
+ * @param {string} serviceId
+ * @param {string} nodeAddress
+ * @returns {string}
+ */
+function buildKey(serviceId, nodeAddress) {
+    return `${serviceId}_${nodeAddress}`;
+}
+
+/**
+ * Keeps the last successfully extracted info of every instance, so the info may be reused when extraction of info
+ * fails on one of next updates. Info is reused until it is older than `ttlMsec` or until it was reused `maxUpdates`
+ * times in a row, whichever comes first.
+ */
+class InstanceInfoCache {
+
+    /**
+     * @param {number|null} ttlMsec - max age of info that may be reused, unlimited if null
+     * @param {number|null} maxUpdates - max number of consecutive updates that may reuse info, unlimited if null
+     * @throws {TypeError} on invalid type or value of one of arguments
+     */
+    constructor(ttlMsec, maxUpdates) {
+        if (ttlMsec !== null && (!_.isSafeInteger(ttlMsec) || ttlMsec <= 0)) {
+            throw new TypeError('ttlMsec must be a positive integer or null');
+        }
+
+        if (maxUpdates !== null && (!_.isSafeInteger(maxUpdates) || maxUpdates <= 0)) {
+            throw new TypeError('maxUpdates must be a positive integer or null');
+        }
+
+        if (ttlMsec === null && maxUpdates === null) {
+            throw new TypeError('at least one of ttlMsec and maxUpdates must be set');
+        }
+
+        this._ttlMsec = ttlMsec;
+        this._maxUpdates = maxUpdates;
+        this._entries = new Map();
+    }
+
+    /**
+     * Stores info that was extracted from the current output of the status check
+     *
+     * @param {string} serviceId
+     * @param {string} nodeAddress
+     * @param {ServiceInstanceInfo} info
+     * @returns {InstanceInfoCache}
+     */
+    set(serviceId, nodeAddress, info) {
+        this._entries.set(buildKey(serviceId, nodeAddress), {info, receivedAt: Date.now(), updates: 0});
+
+        return this;
+    }
+
+    /**
+     * Returns the last known info of instance and its age in msec, or null if there is no info or it is expired.
+     * The call is not counted as an update that reuses the info, see `reuse`.
+     *
+     * @param {string} serviceId
+     * @param {string} nodeAddress
+     * @returns {{info: ServiceInstanceInfo, age: number}|null}
+     */
+    get(serviceId, nodeAddress) {
+        const entry = this._getEntry(serviceId, nodeAddress);
+
+        return entry !== null ? {info: entry.info, age: Math.max(Date.now() - entry.receivedAt, 0)} : null;
+    }
+
+    /**
+     * Returns the last known info of instance and its age in msec, or null if there is no info or it is expired.
+     * Every call is counted as one more update that reuses the info.
+     *
+     * @param {string} serviceId
+     * @param {string} nodeAddress
+     * @returns {{info: ServiceInstanceInfo, age: number}|null}
+     */
+    reuse(serviceId, nodeAddress) {
+        const lastInfo = this.get(serviceId, nodeAddress);
+
+        if (lastInfo !== null) {
+            this._entries.get(buildKey(serviceId, nodeAddress)).updates++;
+        }
+
+        return lastInfo;
+    }
+
+    /**
+     * Removes info of instances that are absent in the list
+     *
+     * @param {ServiceInstances} instances
+     * @returns {InstanceInfoCache}
+     */
+    retain(instances) {
+        const keys = new Set(
+            instances.getAll().map(instance => buildKey(instance.getServiceId(), instance.getNodeAddress()))
+        );
+
+        for (const key of [...this._entries.keys()]) {
+            if (!keys.has(key)) {
+                this._entries.delete(key);
+            }
+        }
+
+        return this;
+    }
+
+    /**
+     * @returns {number}
+     */
+    getSize() {
+        return this._entries.size;
+    }
+
+    /**
+     * Returns the entry of instance, expired entry is removed
+     *
+     * @param {string} serviceId
+     * @param {string} nodeAddress
+     * @returns {{info: ServiceInstanceInfo, receivedAt: number, updates: number}|null}
+     * @private
+     */
+    _getEntry(serviceId, nodeAddress) {
+        const key = buildKey(serviceId, nodeAddress);
+        const entry = this._entries.get(key);
+
+        if (entry === undefined) {
+            return null;
+        }
+
+        if ((this._ttlMsec !== null && Date.now() - entry.receivedAt >= this._ttlMsec) ||
+            (this._maxUpdates !== null && entry.updates >= this._maxUpdates)
+        ) {
+            this._entries.delete(key);
+
+            return null;
+        }
+
+        return entry;
+    }
+}
+
+module.exports = InstanceInfoCache;
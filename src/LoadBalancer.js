@@ -0,0 +1,202 @@
+'use strict';
+
+const _ = require('lodash');
+
+const STRATEGY_ROUND_ROBIN = 'roundRobin';
+const STRATEGY_RANDOM = 'random';
+const STRATEGY_WEIGHTED_RANDOM = 'weightedRandom';
+const STRATEGY_LEAST_LOADED = 'leastLoaded';
+const STRATEGIES = [STRATEGY_ROUND_ROBIN, STRATEGY_RANDOM, STRATEGY_WEIGHTED_RANDOM, STRATEGY_LEAST_LOADED];
+
+/**
+ * Returns CPU usage from the `cpu` info of instance (see `CpuInfoExtractor`), the default load of instance for
+ * `leastLoaded` strategy
+ *
+ * @param {ServiceInstance} instance
+ * @returns {number|null} null if instance has no `cpu` info
+ */
+function getCpuUsage(instance) {
+    const info = instance.getInfo();
+    const cpuInfo = info !== null ? info.get('cpu') : undefined;
+
+    return _.isObject(cpuInfo) && _.isFunction(cpuInfo.getCpuUsage) ? cpuInfo.getCpuUsage() : null;
+}
+
+/**
+ * Picks one of healthy instances of `ServiceInstancesMonitor` according to the strategy:
+ *   - `roundRobin` (default) – instances are picked one by one in turn;
+ *   - `random` – every instance has the same probability;
+ *   - `weightedRandom` – probability of instance is proportional to its weight from `Service.Weights`, weight of
+ *     instance in `warning` state is `Warning` one, instances with zero weight are never picked;
+ *   - `leastLoaded` – the less loaded of two random instances is picked (power of two choices). Load of instance
+ *     plus one is multiplied by the number of its picks since the last change plus one, so picks are spread between
+ *     instances in inverse proportion to their load until the next change brings new loads, idle instances
+ *     included. Instances with equal load are picked in turn. Load is CPU usage from the `cpu` info by default.
+ *     Instances without load (or with negative one) are picked only if no instance has it.
+ *
+ * Balancer rebuilds its state on every `changed` event of the monitor, so it picks from the last received list of
+ * instances. Unhealthy instances are never picked.
+ */
+class LoadBalancer {
+
+    /**
+     * @param {ServiceInstancesMonitor} monitor
+     * @param {Object} [options]
+     * @param {string} [options.strategy='roundRobin'] - `roundRobin`, `random`, `weightedRandom` or `leastLoaded`
+     * @param {function(ServiceInstance): (number|null)} [options.getLoad] - returns non-negative load of instance
+     *  for `leastLoaded` strategy, CPU usage from the `cpu` info by default
+     * @throws {TypeError} on invalid type or value of one of arguments
+     */
+    constructor(monitor, options = {}) {
+        // duck typing check
+        if (!_.isObject(monitor) || !_.isFunction(monitor.on) || !_.isFunction(monitor.removeListener) ||
+            !_.isFunction(monitor.getInstances)
+        ) {
+            throw new TypeError('monitor argument does not look like ServiceInstancesMonitor object');
+        }
+
+        if (!_.isPlainObject(options)) {
+            throw new TypeError('options must be an object');
+        }
+
+        if (_.has(options, 'strategy') && !STRATEGIES.includes(options.strategy)) {
+            throw new TypeError(`options.strategy must be one of the following values: ${STRATEGIES.join(', ')}`);
+        }
+
+        if (_.has(options, 'getLoad') && !_.isFunction(options.getLoad)) {
+            throw new TypeError('options.getLoad must be a function');
+        }
+
+        this._monitor = monitor;
+        this._strategy = _.get(options, 'strategy', STRATEGY_ROUND_ROBIN);
+        this._getLoad = _.get(options, 'getLoad', getCpuUsage);
+
+        // candidates to pick and state of the strategy, rebuilt on every change
+        this._candidates = [];
+        this._cumulativeWeights = [];
+        this._loads = [];
+        this._picks = [];
+        this._counter = 0;
+
+        this._onChanged = this._onChanged.bind(this);
+        this._monitor.on('changed', this._onChanged);
+        this._onChanged(this._monitor.getInstances());
+    }
+
+    /**
+     * @returns {string}
+     */
+    getStrategy() {
+        return this._strategy;
+    }
+
+    /**
+     * Returns one of healthy instances according to the strategy, or null if there is no instance to pick
+     *
+     * @returns {ServiceInstance|null}
+     */
+    pick() {
+        if (this._candidates.length === 0) {
+            return null;
+        }
+
+        switch (this._strategy) {
+            case STRATEGY_RANDOM:
+                return this._candidates[Math.floor(Math.random() * this._candidates.length)];
+            case STRATEGY_WEIGHTED_RANDOM:
+                return this._pickWeightedRandom();
+            case STRATEGY_LEAST_LOADED:
+                return this._pickLeastLoaded();
+            default:
+                return this._candidates[this._counter++ % this._candidates.length];
+        }
+    }
+
+    /**
+     * Stops following changes of the monitor, balancer picks nothing after that
+     *
+     * @returns {LoadBalancer}
+     */
+    close() {
+        this._monitor.removeListener('changed', this._onChanged);
+        this._candidates = [];
+        this._cumulativeWeights = [];
+        this._loads = [];
+        this._picks = [];
+
+        return this;
+    }
+
+    /**
+     * @param {ServiceInstances} instances
+     * @private
+     */
+    _onChanged(instances) {
+        const healthy = instances.getHealthy();
+
+        if (this._strategy === STRATEGY_WEIGHTED_RANDOM) {
+            const warning = new Set(instances.getWarning());
+            let totalWeight = 0;
+
+            this._candidates = [];
+            this._cumulativeWeights = [];
+
+            healthy.forEach(instance => {
+                const weights = instance.getWeights();
+                const weight = warning.has(instance) ? weights.warning : weights.passing;
+
+                if (weight > 0) {
+                    totalWeight += weight;
+                    this._candidates.push(instance);
+                    this._cumulativeWeights.push(totalWeight);
+                }
+            });
+        } else if (this._strategy === STRATEGY_LEAST_LOADED) {
+            const loads = healthy.map(instance => this._getLoad(instance));
+            const isLoad = load => Number.isFinite(load) && load >= 0;
+            const hasLoad = loads.some(isLoad);
+
+            this._candidates = hasLoad ? healthy.filter((instance, i) => isLoad(loads[i])) : healthy;
+            this._loads = hasLoad ? loads.filter(isLoad) : healthy.map(() => 0);
+            this._picks = this._candidates.map(() => 0);
+        } else {
+            this._candidates = healthy;
+        }
+    }
+
+    /**
+     * @returns {ServiceInstance}
+     * @private
+     */
+    _pickWeightedRandom() {
+        const point = Math.random() * _.last(this._cumulativeWeights);
+
+        return this._candidates[_.sortedLastIndex(this._cumulativeWeights, point)];
+    }
+
+    /**
+     * @returns {ServiceInstance}
+     * @private
+     */
+    _pickLeastLoaded() {
+        const count = this._candidates.length;
+        let index = Math.floor(Math.random() * count);
+
+        if (count > 1) {
+            const other = (index + 1 + Math.floor(Math.random() * (count - 1))) % count;
+            // one is added to the load, otherwise all picks go to idle instances
+            const load = (this._loads[index] + 1) * (this._picks[index] + 1);
+            const otherLoad = (this._loads[other] + 1) * (this._picks[other] + 1);
+
+            if (otherLoad < load || (otherLoad === load && this._picks[other] < this._picks[index])) {
+                index = other;
+            }
+        }
+
+        this._picks[index]++;
+
+        return this._candidates[index];
+    }
+}
+
+module.exports = LoadBalancer;
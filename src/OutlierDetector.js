@@ -0,0 +1,165 @@
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * Passive health of instances reported by clients, in the style of outlier detection of Envoy. Instance is ejected
+ * after `consecutiveFailures` failures in a row that happened within `intervalMsec`. Ejection lasts
+ * `baseEjectionTimeMsec` multiplied by the number of ejections in a row, but not longer than `maxEjectionTimeMsec`.
+ * The number of ejections is reset by a success reported while the instance isn't ejected.
+ *
+ * Detector only keeps the state, the owner restores instances when the ejection time is over.
+ */
+class OutlierDetector {
+
+    /**
+     * @param {number} consecutiveFailures - number of failures in a row that ejects instance
+     * @param {number} intervalMsec - max time between the first and the last of failures in a row
+     * @param {number} baseEjectionTimeMsec - time of the first ejection
+     * @param {number} maxEjectionTimeMsec - max time of ejection
+     * @throws {TypeError} on invalid type or value of one of arguments
+     */
+    constructor(consecutiveFailures, intervalMsec, baseEjectionTimeMsec, maxEjectionTimeMsec) {
+        const args = {consecutiveFailures, intervalMsec, baseEjectionTimeMsec, maxEjectionTimeMsec};
+
+        for (const name in args) {
+            if (!_.isSafeInteger(args[name]) || args[name] <= 0) {
+                throw new TypeError(`${name} must be a positive integer`);
+            }
+        }
+
+        if (maxEjectionTimeMsec < baseEjectionTimeMsec) {
+            throw new TypeError('maxEjectionTimeMsec must not be less than baseEjectionTimeMsec');
+        }
+
+        this._consecutiveFailures = consecutiveFailures;
+        this._intervalMsec = intervalMsec;
+        this._baseEjectionTimeMsec = baseEjectionTimeMsec;
+        this._maxEjectionTimeMsec = maxEjectionTimeMsec;
+        this._entries = new Map();
+    }
+
+    /**
+     * Counts failure of request to instance
+     *
+     * @param {string} serviceId
+     * @returns {number|null} time of ejection in msec if instance was ejected by this failure, null otherwise
+     */
+    reportFailure(serviceId) {
+        const entry = this._getEntry(serviceId);
+
+        if (entry.isEjected) {
+            return null;
+        }
+
+        const now = Date.now();
+
+        entry.failures = entry.failures.filter(time => now - time < this._intervalMsec);
+        entry.failures.push(now);
+
+        if (entry.failures.length < this._consecutiveFailures) {
+            return null;
+        }
+
+        entry.failures = [];
+        entry.isEjected = true;
+        entry.ejections++;
+
+        return Math.min(this._baseEjectionTimeMsec * entry.ejections, this._maxEjectionTimeMsec);
+    }
+
+    /**
+     * Counts success of request to instance, it breaks the row of failures
+     *
+     * @param {string} serviceId
+     * @returns {OutlierDetector}
+     */
+    reportSuccess(serviceId) {
+        const entry = this._entries.get(serviceId);
+
+        if (entry !== undefined && !entry.isEjected) {
+            this._entries.delete(serviceId);
+        }
+
+        return this;
+    }
+
+    /**
+     * Ends ejection of instance, the next ejection in a row lasts longer
+     *
+     * @param {string} serviceId
+     * @returns {boolean} true if instance was ejected
+     */
+    restore(serviceId) {
+        const entry = this._entries.get(serviceId);
+
+        if (entry === undefined || !entry.isEjected) {
+            return false;
+        }
+
+        entry.isEjected = false;
+
+        return true;
+    }
+
+    /**
+     * @param {string} serviceId
+     * @returns {boolean}
+     */
+    isEjected(serviceId) {
+        const entry = this._entries.get(serviceId);
+
+        return entry !== undefined && entry.isEjected;
+    }
+
+    /**
+     * @returns {string[]} IDs of ejected instances
+     */
+    getEjected() {
+        return [...this._entries.keys()].filter(serviceId => this._entries.get(serviceId).isEjected);
+    }
+
+    /**
+     * Removes state of instances that are absent in the list, ejected instances are kept until they are restored
+     *
+     * @param {ServiceInstances} instances
+     * @returns {OutlierDetector}
+     */
+    retain(instances) {
+        const serviceIds = new Set(instances.getAll().map(instance => instance.getServiceId()));
+
+        for (const [serviceId, entry] of [...this._entries]) {
+            if (!serviceIds.has(serviceId) && !entry.isEjected) {
+                this._entries.delete(serviceId);
+            }
+        }
+
+        return this;
+    }
+
+    /**
+     * Removes state of all instances
+     *
+     * @returns {OutlierDetector}
+     */
+    clear() {
+        this._entries.clear();
+
+        return this;
+    }
+
+    /**
+     * @param {string} serviceId
+     * @returns {{failures: number[], isEjected: boolean, ejections: number}}
+     * @private
+     */
+    _getEntry(serviceId) {
+        if (!this._entries.has(serviceId)) {
+            this._entries.set(serviceId, {failures: [], isEjected: false, ejections: 0});
+        }
+
+        return this._entries.get(serviceId);
+    }
+}
+
+module.exports = OutlierDetector;
@@ -0,0 +1,18 @@
+'use strict';
+
+/**
+ * Parses output of check that contains JSON, the default parser
+ */
+class JsonOutputParser {
+
+    /**
+     * @param {string} output - body of check output
+     * @returns {*}
+     * @throws {SyntaxError} on invalid JSON
+     */
+    parse(output) {
+        return JSON.parse(output);
+    }
+}
+
+module.exports = JsonOutputParser;
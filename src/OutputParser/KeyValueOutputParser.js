@@ -0,0 +1,60 @@
+'use strict';
+
+const _ = require('lodash');
+
+const PAIR_PATTERN = /^([^\s="]+)=("(?:[^"\\]|\\.)*"|[^\s"]*)$/;
+const TOKEN_PATTERN = /[^\s"]+(?:"(?:[^"\\]|\\.)*")?/g;
+
+/**
+ * Converts raw value to number if it looks like a number, quoted value is always a string
+ *
+ * @param {string} rawValue
+ * @returns {string|number}
+ */
+function parseValue(rawValue) {
+    if (rawValue.startsWith('"')) {
+        return rawValue.slice(1, -1).replace(/\\(.)/g, '$1');
+    }
+
+    if (rawValue !== '' && Number.isFinite(Number(rawValue))) {
+        return Number(rawValue);
+    }
+
+    return rawValue;
+}
+
+/**
+ * Parses output of check in `key=value` format, pairs are separated by whitespaces or new lines:
+ *   `status=OK cpu.usage=0.53 mem.free=11078 message="all is fine"`
+ *
+ * Keys with dots are expanded to nested objects, so the example above is parsed to
+ *   `{status: 'OK', cpu: {usage: 0.53}, mem: {free: 11078}, message: 'all is fine'}`
+ *
+ * Numeric values are converted to numbers, values in double quotes are always strings.
+ */
+class KeyValueOutputParser {
+
+    /**
+     * @param {string} output - body of check output
+     * @returns {Object}
+     * @throws {SyntaxError} on a token that is not a `key=value` pair
+     */
+    parse(output) {
+        const result = {};
+        const tokens = output.match(TOKEN_PATTERN) || [];
+
+        for (const token of tokens) {
+            const match = token.match(PAIR_PATTERN);
+
+            if (match === null) {
+                throw new SyntaxError(`Invalid key=value pair "${token}" in output`);
+            }
+
+            _.set(result, match[1], parseValue(match[2]));
+        }
+
+        return result;
+    }
+}
+
+module.exports = KeyValueOutputParser;
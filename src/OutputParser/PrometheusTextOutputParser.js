@@ -0,0 +1,123 @@
+'use strict';
+
+const SAMPLE_PATTERN = /^([a-zA-Z_:][a-zA-Z0-9_:]*)(?:\{(.*)\})?\s+(\S+)(?:\s+-?\d+)?$/;
+const LABEL_PATTERN = /\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*=\s*"((?:[^"\\]|\\.)*)"\s*(?:,|$)/y;
+const SPECIAL_VALUES = {
+    'NaN': NaN,
+    'Inf': Infinity,
+    '+Inf': Infinity,
+    '-Inf': -Infinity,
+};
+
+/**
+ * @param {string} rawLabels - labels without braces, e.g. `method="get",code="200"`
+ * @param {string} line - line of output for descriptive errors
+ * @returns {Object.<string, string>}
+ * @throws {SyntaxError}
+ */
+function parseLabels(rawLabels, line) {
+    const labels = {};
+
+    LABEL_PATTERN.lastIndex = 0;
+    while (LABEL_PATTERN.lastIndex < rawLabels.length) {
+        const match = LABEL_PATTERN.exec(rawLabels);
+
+        if (match === null) {
+            throw new SyntaxError(`Invalid labels in line "${line}" of prometheus text`);
+        }
+
+        labels[match[1]] = match[2].replace(/\\n/g, '\n').replace(/\\(["\\])/g, '$1');
+    }
+
+    return labels;
+}
+
+/**
+ * @param {string} rawValue
+ * @param {string} line - line of output for descriptive errors
+ * @returns {number}
+ * @throws {SyntaxError}
+ */
+function parseValue(rawValue, line) {
+    if (Object.prototype.hasOwnProperty.call(SPECIAL_VALUES, rawValue)) {
+        return SPECIAL_VALUES[rawValue];
+    }
+
+    const value = Number(rawValue);
+    if (Number.isNaN(value)) {
+        throw new SyntaxError(`Invalid value in line "${line}" of prometheus text`);
+    }
+
+    return value;
+}
+
+/**
+ * Parses output of check in Prometheus text exposition format. Comments (`# HELP`, `# TYPE`) and timestamps
+ * are ignored.
+ *
+ * Metric that has the only sample without labels is parsed to its value, otherwise it is parsed to an array of
+ * samples with labels:
+ *   ```
+ *   process_cpu_usage 0.53
+ *   http_requests_total{method="get",code="200"} 1027
+ *   http_requests_total{method="post",code="200"} 3
+ *   ```
+ * is parsed to
+ *   ```
+ *   {
+ *     process_cpu_usage: 0.53,
+ *     http_requests_total: [
+ *       {labels: {method: 'get', code: '200'}, value: 1027},
+ *       {labels: {method: 'post', code: '200'}, value: 3}
+ *     ]
+ *   }
+ *   ```
+ */
+class PrometheusTextOutputParser {
+
+    /**
+     * @param {string} output - body of check output
+     * @returns {Object.<string, number|Array.<{labels: Object.<string, string>, value: number}>>}
+     * @throws {SyntaxError} on invalid line of output
+     */
+    parse(output) {
+        const samples = new Map();
+
+        for (const rawLine of output.split('\n')) {
+            const line = rawLine.trim();
+
+            if (line.length === 0 || line.startsWith('#')) {
+                continue;
+            }
+
+            const match = line.match(SAMPLE_PATTERN);
+            if (match === null) {
+                throw new SyntaxError(`Invalid line "${line}" of prometheus text`);
+            }
+
+            const [, name, rawLabels, rawValue] = match;
+
+            if (!samples.has(name)) {
+                samples.set(name, []);
+            }
+
+            samples.get(name).push({
+                labels: rawLabels === undefined ? {} : parseLabels(rawLabels, line),
+                value: parseValue(rawValue, line)
+            });
+        }
+
+        const result = {};
+
+        for (const [name, metricSamples] of samples) {
+            const isSingleSampleWithoutLabels = metricSamples.length === 1 &&
+                Object.keys(metricSamples[0].labels).length === 0;
+
+            result[name] = isSingleSampleWithoutLabels ? metricSamples[0].value : metricSamples;
+        }
+
+        return result;
+    }
+}
+
+module.exports = PrometheusTextOutputParser;
@@ -0,0 +1,21 @@
+'use strict';
+
+const JsonOutputParser = require('./JsonOutputParser');
+const KeyValueOutputParser = require('./KeyValueOutputParser');
+const PrometheusTextOutputParser = require('./PrometheusTextOutputParser');
+
+/**
+ * Built-in parsers that may be set by name in `outputParser` option of `ServiceInstancesMonitor`
+ */
+const builtinParsers = {
+    json: new JsonOutputParser(),
+    keyValue: new KeyValueOutputParser(),
+    prometheusText: new PrometheusTextOutputParser(),
+};
+
+module.exports = {
+    JsonOutputParser,
+    KeyValueOutputParser,
+    PrometheusTextOutputParser,
+    builtinParsers
+};
@@ -1,6 +1,8 @@
 'use strict';
 
 const ServiceInstanceInfo = require('./ServiceInstanceInfo');
+const HealthCheck = require('./HealthCheck');
+const CheckResult = require('./CheckResult');
 
 /**
  * Checks that `variable` is non empty string
@@ -50,6 +52,23 @@ function throwErrorIfNotNumber(variable, variableName) {
     }
 }
 
+/**
+ * Weights of instance in DNS SRV responses of Consul, `Service.Weights` of the service registration
+ *
+ * @typedef {Object} ServiceInstance~Weights
+ * @property {number} passing - weight of instance with all checks in `passing` state
+ * @property {number} warning - weight of instance with at least one check in `warning` state
+ */
+
+/**
+ * Rule of health policy that made instance `warning` or `unhealthy`
+ *
+ * @typedef {Object} ServiceInstance~HealthReason
+ * @property {string} rule - name of the rule, e.g. `checkNotPassing` or `requiredCheckMissing`
+ * @property {string} checkId - ID (or name from the policy if check is absent) of the check that fired the rule
+ * @property {string} message - human-readable description
+ */
+
 /**
  * Represents service instance and its load status
  */
@@ -66,6 +85,12 @@ class ServiceInstance {
      * @param {string} serviceId - unique identifier of service instance
      * @param {string[]} serviceTags - tags of service
      * @param {ServiceInstanceInfo|null} serviceInstanceInfo - info of the service
+     * @param {ServiceInstance~HealthReason[]} [healthReasons] - reasons of `warning` or `unhealthy` state
+     * @param {HealthCheck[]} [checks] - all checks registered for the instance and its node
+     * @param {CheckResult|null} [checkResult] - result of HTTP request of the check with status of instance
+     * @param {number|null} [infoAge] - age in msec of info that was retained from one of previous updates, null if
+     *  info is built from the current output of the check
+     * @param {ServiceInstance~Weights} [weights] - weights of instance, `1` for both states by default
      * @throws {TypeError} on invalid type or value of one of arguments
      */
     constructor(
@@ -78,7 +103,12 @@ class ServiceInstance {
         nodeDc,
         serviceId,
         serviceTags,
-        serviceInstanceInfo
+        serviceInstanceInfo,
+        healthReasons = [],
+        checks = [],
+        checkResult = null,
+        infoAge = null,
+        weights = {passing: 1, warning: 1}
     ) {
         throwErrorIfNotNullOrNotEmptyString(lanIp, 'lanIp');
         throwErrorIfNotNullOrNotEmptyString(wanIp, 'wanIp');
@@ -101,6 +131,29 @@ class ServiceInstance {
             throw new TypeError('serviceInstanceInfo must be an instance of ServiceInstanceInfo');
         }
 
+        if (!Array.isArray(healthReasons)) {
+            throw new TypeError('healthReasons must be an array');
+        }
+
+        if (!Array.isArray(checks) || !checks.every(check => check instanceof HealthCheck)) {
+            throw new TypeError('checks must be an array of HealthCheck');
+        }
+
+        if (!(checkResult instanceof CheckResult) && checkResult !== null) {
+            throw new TypeError('checkResult must be an instance of CheckResult or null');
+        }
+
+        if (infoAge !== null && (!Number.isSafeInteger(infoAge) || infoAge < 0)) {
+            throw new TypeError('infoAge must be a non-negative integer or null');
+        }
+
+        if (weights === null || typeof weights !== 'object' ||
+            !Number.isSafeInteger(weights.passing) || weights.passing < 0 ||
+            !Number.isSafeInteger(weights.warning) || weights.warning < 0
+        ) {
+            throw new TypeError('weights must be an object with non-negative integer passing and warning');
+        }
+
         this._lanIp = lanIp;
         this._wanIp = wanIp;
         this._serviceAddress = serviceAddress;
@@ -111,6 +164,11 @@ class ServiceInstance {
         this._serviceId = serviceId;
         this._serviceTags = serviceTags;
         this._serverInstanceInfo = serviceInstanceInfo;
+        this._healthReasons = healthReasons;
+        this._checks = checks;
+        this._checkResult = checkResult;
+        this._infoAge = infoAge;
+        this._weights = weights;
     }
 
     /**
@@ -216,6 +274,90 @@ class ServiceInstance {
     getInfo() {
         return this._serverInstanceInfo;
     }
+
+    /**
+     * Returns rules of health policy that made instance `warning` or `unhealthy`. Empty for healthy instances.
+     *
+     * @returns {ServiceInstance~HealthReason[]}
+     */
+    getHealthReasons() {
+        return this._healthReasons;
+    }
+
+    /**
+     * Returns all checks registered for the instance and its node, including serfHealth check
+     *
+     * @returns {HealthCheck[]}
+     */
+    getChecks() {
+        return this._checks;
+    }
+
+    /**
+     * Returns method, URL, status code and reason phrase of HTTP request of the check with status of instance.
+     * Null if the check is not an HTTP one or if the request failed without response, e.g. on refused connection.
+     *
+     * If monitor is configured with several status checks, result of the first one is returned.
+     *
+     * @returns {CheckResult|null}
+     */
+    getCheckResult() {
+        return this._checkResult;
+    }
+
+    /**
+     * Returns age in msec of info at the moment when the list of instances was built. Age is 0 if info was built from
+     * the current output of the check.
+     *
+     * @returns {number}
+     */
+    getInfoAge() {
+        return this._infoAge === null ? 0 : this._infoAge;
+    }
+
+    /**
+     * Returns true if extraction of info failed and the last known info of the instance is used instead
+     *
+     * @returns {boolean}
+     */
+    isInfoStale() {
+        return this._infoAge !== null;
+    }
+
+    /**
+     * Returns weights of instance from `Service.Weights` of the service registration. Consul sets both weights to `1`
+     * if they are not set on registration.
+     *
+     * @returns {ServiceInstance~Weights}
+     */
+    getWeights() {
+        return this._weights;
+    }
+
+    /**
+     * Returns checks that are not in `passing` state. Checks ignored by health policy are returned too.
+     *
+     * @returns {HealthCheck[]}
+     */
+    getFailingChecks() {
+        return this._checks.filter(check => !check.isPassing());
+    }
+
+    /**
+     * Returns summary of reasons why instance is `warning` or `unhealthy`, or null for healthy instance
+     *
+     * @example
+     *   `check "Disk usage" is in critical state; required check "mem" is not registered on the node`
+     *
+     * @returns {string|null}
+     */
+    getUnhealthyReason() {
+        if (this._healthReasons.length === 0) {
+            return null;
+        }
+
+        return this._healthReasons.map(reason => reason.message).join('; ');
+    }
 }
 
 module.exports = ServiceInstance;
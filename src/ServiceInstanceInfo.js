@@ -9,14 +9,20 @@ class ServiceInstanceInfo {
 
     /**
      * @param {Object} instanceInfo - process id of the instance
+     * @param {Object.<string, Error>} [errors] - errors of extractors that failed, by name of extractor
      * @throws {TypeError} on invalid type or value of one of arguments
      */
-    constructor(instanceInfo) {
+    constructor(instanceInfo, errors = {}) {
         if (!_.isPlainObject(instanceInfo)) {
             throw new TypeError('instanceInfo argument must be a plain object');
         }
 
+        if (!_.isPlainObject(errors) || !_.every(errors, error => error instanceof Error)) {
+            throw new TypeError('errors argument must be a plain object with errors');
+        }
+
         this._instanceInfo = instanceInfo;
+        this._errors = errors;
     }
 
     /**
@@ -32,6 +38,29 @@ class ServiceInstanceInfo {
 
         return this._instanceInfo[extractorName];
     }
+
+    /**
+     * Returns error of extractor with name [extractorName] or null if the extractor succeeded
+     *
+     * @param {string} extractorName
+     * @returns {Error|null}
+     */
+    getError(extractorName) {
+        if (typeof extractorName !== 'string') {
+            throw new TypeError('extractorName argument must be a string');
+        }
+
+        return _.has(this._errors, extractorName) ? this._errors[extractorName] : null;
+    }
+
+    /**
+     * Returns true if at least one of extractors failed, so info contains results of the rest of extractors only
+     *
+     * @returns {boolean}
+     */
+    hasErrors() {
+        return !_.isEmpty(this._errors);
+    }
 }
 
 module.exports = ServiceInstanceInfo;
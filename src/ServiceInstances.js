@@ -1,9 +1,42 @@
 'use strict';
 
 class ServiceInstances {
-    constructor() {
+
+    /**
+     * @param {boolean} [isWarningHealthy=false] - if true, instances in `warning` state are returned by
+     *  `getHealthy()`, otherwise they are returned by `getUnhealthy()`
+     * @param {function(ServiceInstance, (ServiceInstanceInfo|null)): (string|null)|null} [classifier=null] - returns
+     *  name of the bucket of instance or null to leave instance out of buckets
+     * @throws {TypeError} on invalid type of argument
+     */
+    constructor(isWarningHealthy = false, classifier = null) {
+        if (typeof isWarningHealthy !== 'boolean') {
+            throw new TypeError('isWarningHealthy must be a boolean');
+        }
+
+        if (classifier !== null && typeof classifier !== 'function') {
+            throw new TypeError('classifier must be a function');
+        }
+
+        this._isWarningHealthy = isWarningHealthy;
+        this._classifier = classifier;
         this._healthyMap = new Map();
+        this._warningMap = new Map();
         this._unhealthyMap = new Map();
+        // keys of instances that were ejected from the healthy view by outlier detection
+        this._ejectedKeys = new Set();
+
+        // instances by names of buckets, built on the first call of `getBucket` or `getBuckets` after any change
+        this._buckets = null;
+    }
+
+    /**
+     * Returns true if instances in `warning` state are considered as healthy
+     *
+     * @return {boolean}
+     */
+    isWarningHealthy() {
+        return this._isWarningHealthy;
     }
 
     /**
@@ -39,6 +72,7 @@ class ServiceInstances {
      */
     addHealthy(instance) {
         this._healthyMap.set(this._generateStorageKey(instance), instance);
+        this._buckets = null;
         return this;
     }
 
@@ -46,7 +80,7 @@ class ServiceInstances {
      * Adds an instance to the list and mark it as `unhealthy`.
      *
      * Unhealthy instance is one that has one of the following criteria:
-     *   - at least one check, except serfHealth check, not in `passing` state
+     *   - at least one check, except serfHealth check, not in `passing` or `warning` state
      *
      * Instance must not be added by this method or by any method of this class if
      * instance status check output is absent. It must be interpret as invalid service and must
@@ -80,6 +114,35 @@ class ServiceInstances {
      */
     addUnhealthy(instance) {
         this._unhealthyMap.set(this._generateStorageKey(instance), instance);
+        this._buckets = null;
+        return this;
+    }
+
+    /**
+     * Adds an instance to the list and mark it as `warning`.
+     *
+     * Warning instance is one that has no checks in `critical` state, but has at least one check in `warning`
+     * state. Depending on `isWarningHealthy` such instance is returned either by `getHealthy()` or by
+     * `getUnhealthy()`, and it is always returned by `getWarning()`.
+     *
+     * @param {ServiceInstance} instance
+     * @return {ServiceInstances} return link to itself to make method chainable
+     */
+    addWarning(instance) {
+        this._warningMap.set(this._generateStorageKey(instance), instance);
+        this._buckets = null;
+        return this;
+    }
+
+    /**
+     * Marks healthy instance of the list as ejected by outlier detection: ejected instance is returned by
+     * `getEjected()` and `getUnhealthy()` instead of `getHealthy()`. Instances that aren't healthy are not affected.
+     *
+     * @param {ServiceInstance} instance
+     * @return {ServiceInstances} return link to itself to make method chainable
+     */
+    markEjected(instance) {
+        this._ejectedKeys.add(this._generateStorageKey(instance));
         return this;
     }
 
@@ -87,14 +150,34 @@ class ServiceInstances {
      * @return {ServiceInstance[]}
      */
     getHealthy() {
-        return [...this._healthyMap.values()];
+        return this._getHealthyIgnoringEjection().filter(instance => !this._isEjected(instance));
+    }
+
+    /**
+     * Returns healthy instances that were ejected by outlier detection
+     *
+     * @return {ServiceInstance[]}
+     */
+    getEjected() {
+        return this._getHealthyIgnoringEjection().filter(instance => this._isEjected(instance));
+    }
+
+    /**
+     * @return {ServiceInstance[]}
+     */
+    getWarning() {
+        return [...this._warningMap.values()];
     }
 
     /**
      * @return {ServiceInstance[]}
      */
     getUnhealthy() {
-        return [...this._unhealthyMap.values()];
+        if (this._isWarningHealthy) {
+            return [...this._unhealthyMap.values(), ...this.getEjected()];
+        }
+
+        return [...this._warningMap.values(), ...this._unhealthyMap.values(), ...this.getEjected()];
     }
 
     /**
@@ -103,16 +186,164 @@ class ServiceInstances {
     getAll() {
         return [
             ...this._healthyMap.values(),
+            ...this._warningMap.values(),
             ...this._unhealthyMap.values()
         ];
     }
 
+    /**
+     * Returns instances of every tier that the classifier put to the bucket, empty array if there is no classifier
+     * or no instance in the bucket
+     *
+     * @param {string} name - name of bucket
+     * @return {ServiceInstance[]}
+     * @throws {*} error thrown by the classifier
+     */
+    getBucket(name) {
+        const buckets = this._getBucketsMap();
+
+        return buckets.has(name) ? [...buckets.get(name)] : [];
+    }
+
+    /**
+     * Returns all non-empty buckets, empty object if there is no classifier
+     *
+     * @return {Object.<string, ServiceInstance[]>} instances by names of buckets
+     * @throws {*} error thrown by the classifier
+     */
+    getBuckets() {
+        const buckets = {};
+
+        this._getBucketsMap().forEach((instances, name) => {
+            buckets[name] = [...instances];
+        });
+
+        return buckets;
+    }
+
+    /**
+     * Returns the classifier of instances, null if it isn't set
+     *
+     * @return {Function|null}
+     */
+    getClassifier() {
+        return this._classifier;
+    }
+
+    /**
+     * Adds all instances of another list keeping their state, including ejection.
+     *
+     * @param {ServiceInstances} instances
+     * @return {ServiceInstances} return link to itself to make method chainable
+     */
+    addFrom(instances) {
+        instances._healthyMap.forEach(instance => this.addHealthy(instance));
+        instances._warningMap.forEach(instance => this.addWarning(instance));
+        instances._unhealthyMap.forEach(instance => this.addUnhealthy(instance));
+        instances.getEjected().forEach(instance => this.markEjected(instance));
+        return this;
+    }
+
+    /**
+     * Returns new list that contains instances of the datacenter only, keeping their state.
+     *
+     * @param {string} dc - name of consul datacenter
+     * @return {ServiceInstances}
+     */
+    getByDatacenter(dc) {
+        return this._filter(instance => instance.getNodeDatacenter() === dc);
+    }
+
+    /**
+     * Returns new list with the same settings that contains instances matched by predicate, keeping their state.
+     *
+     * @param {function(ServiceInstance): boolean} predicate
+     * @return {ServiceInstances}
+     * @private
+     */
+    _filter(predicate) {
+        const instances = new ServiceInstances(this._isWarningHealthy, this._classifier);
+
+        const filterMap = map => [...map.values()].filter(predicate);
+
+        filterMap(this._healthyMap).forEach(instance => instances.addHealthy(instance));
+        filterMap(this._warningMap).forEach(instance => instances.addWarning(instance));
+        filterMap(this._unhealthyMap).forEach(instance => instances.addUnhealthy(instance));
+        this.getEjected().filter(predicate).forEach(instance => instances.markEjected(instance));
+
+        return instances;
+    }
+
+    /**
+     * Returns the key that identifies instance among snapshots of the same service. Datacenters may have the same
+     * address space, so the key consists of service ID, node address and datacenter of the node.
+     *
+     * @param {ServiceInstance} instance
+     * @return {string}
+     */
+    getKey(instance) {
+        return this._generateStorageKey(instance);
+    }
+
+    /**
+     * @return {ServiceInstance[]}
+     * @private
+     */
+    _getHealthyIgnoringEjection() {
+        if (this._isWarningHealthy) {
+            return [...this._healthyMap.values(), ...this._warningMap.values()];
+        }
+
+        return [...this._healthyMap.values()];
+    }
+
+    /**
+     * @param {ServiceInstance} instance
+     * @return {boolean}
+     * @private
+     */
+    _isEjected(instance) {
+        return this._ejectedKeys.has(this._generateStorageKey(instance));
+    }
+
+    /**
+     * @return {Map<string, ServiceInstance[]>}
+     * @private
+     */
+    _getBucketsMap() {
+        if (this._buckets !== null) {
+            return this._buckets;
+        }
+
+        const buckets = new Map();
+
+        if (this._classifier !== null) {
+            this.getAll().forEach(instance => {
+                const name = this._classifier(instance, instance.getInfo());
+
+                if (typeof name !== 'string' || name === '') {
+                    return;
+                }
+
+                if (!buckets.has(name)) {
+                    buckets.set(name, []);
+                }
+
+                buckets.get(name).push(instance);
+            });
+        }
+
+        this._buckets = buckets;
+
+        return buckets;
+    }
+
     /**
      * @param {ServiceInstance} instance
      * @return {string}
      */
     _generateStorageKey(instance) {
-        return `${instance.getServiceId()}_${instance.getNodeAddress()}`;
+        return `${instance.getServiceId()}_${instance.getNodeAddress()}_${instance.getNodeDatacenter()}`;
     }
 }
 
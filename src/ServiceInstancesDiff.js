@@ -0,0 +1,115 @@
+'use strict';
+
+/**
+ * Represents the set of changes between two consecutive `ServiceInstances` snapshots.
+ *
+ * Instances are matched between snapshots by the same key that `ServiceInstances` uses for storage, so an
+ * instance that was re-registered with the same service ID on the same node is treated as the same instance.
+ */
+class ServiceInstancesDiff {
+    constructor() {
+        this._added = [];
+        this._removed = [];
+        this._becameHealthy = [];
+        this._becameUnhealthy = [];
+        this._infoChanged = [];
+    }
+
+    /**
+     * @param {ServiceInstance} instance - instance that was absent in the previous snapshot
+     * @return {ServiceInstancesDiff} return link to itself to make method chainable
+     */
+    addAdded(instance) {
+        this._added.push(instance);
+        return this;
+    }
+
+    /**
+     * @param {ServiceInstance} instance - instance from the previous snapshot that is absent in the current one
+     * @return {ServiceInstancesDiff} return link to itself to make method chainable
+     */
+    addRemoved(instance) {
+        this._removed.push(instance);
+        return this;
+    }
+
+    /**
+     * @param {ServiceInstance} instance - instance from the current snapshot
+     * @param {ServiceInstance} previousInstance - the same instance from the previous snapshot
+     * @return {ServiceInstancesDiff} return link to itself to make method chainable
+     */
+    addBecameHealthy(instance, previousInstance) {
+        this._becameHealthy.push({instance, previousInstance});
+        return this;
+    }
+
+    /**
+     * @param {ServiceInstance} instance - instance from the current snapshot
+     * @param {ServiceInstance} previousInstance - the same instance from the previous snapshot
+     * @return {ServiceInstancesDiff} return link to itself to make method chainable
+     */
+    addBecameUnhealthy(instance, previousInstance) {
+        this._becameUnhealthy.push({instance, previousInstance});
+        return this;
+    }
+
+    /**
+     * @param {ServiceInstance} instance - instance from the current snapshot
+     * @param {ServiceInstance} previousInstance - the same instance from the previous snapshot
+     * @return {ServiceInstancesDiff} return link to itself to make method chainable
+     */
+    addInfoChanged(instance, previousInstance) {
+        this._infoChanged.push({instance, previousInstance});
+        return this;
+    }
+
+    /**
+     * @return {ServiceInstance[]}
+     */
+    getAdded() {
+        return [...this._added];
+    }
+
+    /**
+     * @return {ServiceInstance[]}
+     */
+    getRemoved() {
+        return [...this._removed];
+    }
+
+    /**
+     * @return {Array.<{instance: ServiceInstance, previousInstance: ServiceInstance}>}
+     */
+    getBecameHealthy() {
+        return [...this._becameHealthy];
+    }
+
+    /**
+     * @return {Array.<{instance: ServiceInstance, previousInstance: ServiceInstance}>}
+     */
+    getBecameUnhealthy() {
+        return [...this._becameUnhealthy];
+    }
+
+    /**
+     * @return {Array.<{instance: ServiceInstance, previousInstance: ServiceInstance}>}
+     */
+    getInfoChanged() {
+        return [...this._infoChanged];
+    }
+
+    /**
+     * Returns true if snapshots have no differences
+     *
+     * @return {boolean}
+     */
+    isEmpty() {
+        return this._added.length === 0 &&
+            this._removed.length === 0 &&
+            this._becameHealthy.length === 0 &&
+            this._becameUnhealthy.length === 0 &&
+            this._infoChanged.length === 0;
+    }
+}
+
+module.exports = ServiceInstancesDiff;
@@ -2,6 +2,9 @@ const EventEmitter = require('events');
 const _ = require('lodash');
 const instancesFactory = require('./Factory');
 const ServiceInstances = require('./ServiceInstances');
+const InstanceInfoCache = require('./InstanceInfoCache');
+const OutlierDetector = require('./OutlierDetector');
+const builtinParsers = require('./OutputParser').builtinParsers;
 const WatchError = require('./Error').WatchError;
 const WatchTimeoutError = require('./Error').WatchTimeoutError;
 const AlreadyInitializedError = require('./Error').AlreadyInitializedError;
@@ -9,8 +12,107 @@ const AlreadyInitializedError = require('./Error').AlreadyInitializedError;
 const DEFAULT_TIMEOUT_MSEC = 5000;
 const HEALTH_FALLBACK_INTERVAL_MSEC = 1000;
 const DEFAULT_RETRY_START_SERVICE_TIMEOUT_MSEC = 1000;
+const DATACENTERS_WILDCARD = '*';
+const DEFAULT_FAILOVER_MIN_HEALTHY = 1;
+const DEFAULT_OUTLIER_DETECTION = {
+    consecutiveFailures: 5,
+    intervalMsec: 10000,
+    baseEjectionTimeMsec: 30000,
+    maxEjectionTimeMsec: 300000,
+};
+const SERF_HEALTH_CRITICAL_MODES = ['skip', 'unhealthy'];
+const STATUS_CHECK_MATCHERS = ['name', 'nameRegex', 'checkId', 'checkIdTemplate', 'predicate'];
 const X_CONSUL_HEADERS = ['x-consul-index', 'x-consul-knownleader', 'x-consul-lastcontact'];
 
+/**
+ * Checks that `statusCheck` is an object with exactly one valid matcher of the check with status of instance
+ *
+ * @param {*} statusCheck - variable value to check
+ * @param {string} optionName - name of option for pretty and descriptive errors
+ * @throws {TypeError}
+ * @return {void}
+ */
+function throwErrorIfInvalidStatusCheckMatcher(statusCheck, optionName) {
+    const matchers = _.isPlainObject(statusCheck) ? _.keys(statusCheck) : [];
+    if (matchers.length !== 1 || !STATUS_CHECK_MATCHERS.includes(matchers[0])) {
+        throw new TypeError(
+            `${optionName} must be an object with one of properties: ${STATUS_CHECK_MATCHERS.join(', ')}`
+        );
+    }
+
+    const matcher = statusCheck[matchers[0]];
+    if (matchers[0] === 'nameRegex') {
+        if (!_.isRegExp(matcher)) {
+            throw new TypeError(`${optionName}.nameRegex must be a RegExp`);
+        }
+    } else if (matchers[0] === 'predicate') {
+        if (!_.isFunction(matcher)) {
+            throw new TypeError(`${optionName}.predicate must be a function`);
+        }
+    } else if (!_.isString(matcher) || _.isEmpty(matcher)) {
+        throw new TypeError(`${optionName}.${matchers[0]} must be a non-empty string`);
+    }
+}
+
+/**
+ * Checks that every element of `extractors` plain object has a method "extract"
+ *
+ * @param {*} extractors - variable value to check
+ * @param {string} variableName - name of variable for pretty and descriptive errors
+ * @throws {TypeError}
+ * @return {void}
+ */
+function throwErrorIfInvalidExtractors(extractors, variableName) {
+    if (!_.isPlainObject(extractors)) {
+        throw new TypeError(`${variableName} must be a plain object`);
+    }
+
+    for (const extractorName in extractors) {
+        if (!extractors[extractorName] || !_.isFunction(extractors[extractorName].extract)) {
+            throw new TypeError(`${variableName} instances must have a method "extract"`);
+        }
+    }
+}
+
+/**
+ * Checks that `payloadVersion` has valid path of version and sets of extractors by version
+ *
+ * @param {*} payloadVersion - variable value to check
+ * @param {string} variableName - name of variable for pretty and descriptive errors
+ * @throws {TypeError}
+ * @return {void}
+ */
+function throwErrorIfInvalidPayloadVersion(payloadVersion, variableName) {
+    if (!_.isPlainObject(payloadVersion)) {
+        throw new TypeError(`${variableName} must be an object`);
+    }
+
+    if (_.has(payloadVersion, 'path') && (!_.isString(payloadVersion.path) || _.isEmpty(payloadVersion.path))) {
+        throw new TypeError(`${variableName}.path must be a non-empty string`);
+    }
+
+    if (!_.isPlainObject(payloadVersion.extractors) || _.isEmpty(payloadVersion.extractors)) {
+        throw new TypeError(`${variableName}.extractors must be a non-empty object`);
+    }
+
+    for (const version in payloadVersion.extractors) {
+        throwErrorIfInvalidExtractors(payloadVersion.extractors[version], `${variableName}.extractors.${version}`);
+    }
+}
+
+/**
+ * Throws `err` out of the promise chain, the same way as exception from listener of synchronous event is thrown.
+ * Chain of updates itself stays resolved, so next updates are not blocked.
+ *
+ * @param {Error} err
+ * @return {void}
+ */
+function rethrowAsync(err) {
+    setImmediate(() => {
+        throw err;
+    });
+}
+
 /**
  * Single node data
  *
@@ -25,131 +127,1025 @@ const X_CONSUL_HEADERS = ['x-consul-index', 'x-consul-knownleader', 'x-consul-la
  * @param {Array.<ServiceInstancesMonitor~ConsulHealthyNode>} data - The data.
  */
 
+/**
+ * Event is emitted after `changed` event if list of instances differs from the previous one
+ *
+ * @event ServiceInstancesMonitor#diff
+ * @param {ServiceInstancesDiff} diff - all changes between previous and current list of instances
+ */
+
 /**
  * @emits ServiceInstancesMonitor#initialized
  * @emits ServiceInstancesMonitor#changed
+ * @emits ServiceInstancesMonitor#diff
+ * @emits ServiceInstancesMonitor#instanceAdded
+ * @emits ServiceInstancesMonitor#instanceRemoved
+ * @emits ServiceInstancesMonitor#instanceBecameHealthy
+ * @emits ServiceInstancesMonitor#instanceBecameUnhealthy
+ * @emits ServiceInstancesMonitor#instanceInfoChanged
  * @emits ServiceInstancesMonitor#error
  * @emits ServiceInstancesMonitor#healthy
  * @emits ServiceInstancesMonitor#unhealthy
+ * @emits ServiceInstancesMonitor#datacenterHealthy
+ * @emits ServiceInstancesMonitor#datacenterUnhealthy
+ * @emits ServiceInstancesMonitor#failoverActivated
+ * @emits ServiceInstancesMonitor#failoverDeactivated
  */
 class ServiceInstancesMonitor extends EventEmitter {
 
     /**
-     * @param {Object} options
-     * @param {string} options.serviceName -  name of service in consul to monitor
-     * @param {string} options.checkNameWithStatus
-     * @param {number} [options.timeoutMsec=5000] - connection timeout to consul
-     * @param {Consul} consul
-     * @param {Object} extractors
-     * @throws {TypeError} On invalid options format
+     * @param {Object} options
+     * @param {string} options.serviceName -  name of service in consul to monitor
+     * @param {string} [options.checkNameWithStatus] - exact name of the check with status of instance
+     * @param {Factory~StatusCheckMatcher} [options.statusCheck] - matcher of the check with status of instance, can
+     *  be used instead of `options.checkNameWithStatus`
+     * @param {Factory~StatusCheckConfig[]} [options.statusChecks] - several checks with status of instance, can be used
+     *  instead of `options.checkNameWithStatus`. Extractors are set per check, so `extractors` argument must be omitted
+     * @param {string} [options.dc] - datacenter to search in
+     * @param {string[]|string} [options.dcs] - list of datacenters to search in or "*" for all known datacenters
+     * @param {Object} [options.failover] - failover between datacenters
+     * @param {string[]} options.failover.datacenters - ordered list of datacenters, the first one is the local one
+     * @param {number} [options.failover.minHealthy=1] - minimal amount of healthy instances in the datacenter
+     * @param {string} [options.tag] - return only instances with the tag
+     * @param {string[]} [options.tags] - return only instances with all of the tags
+     * @param {string} [options.filter] - consul filter expression applied to instances on the consul side
+     * @param {boolean} [options.treatWarningAsHealthy=false] - count instances in `warning` state as healthy
+     * @param {function(ServiceInstance, (ServiceInstanceInfo|null)): (string|null)} [options.classifier] - returns
+     *  name of the bucket of instance, see `ServiceInstances::getBucket()`
+     * @param {boolean} [options.extractOnCritical=true] - run extractors on output of status check in critical state
+     * @param {number} [options.outputMaxSize=4096] - `check_output_max_size` of consul agent
+     * @param {boolean} [options.fallbackToLastInfo=false] - use the last info of instance if output is truncated
+     * @param {Object} [options.infoCache] - reuse the last known info of instance if extraction of info fails
+     * @param {number} [options.infoCache.ttlMsec] - max age of reused info
+     * @param {number} [options.infoCache.maxUpdates] - max number of consecutive updates that reuse info
+     * @param {Object} [options.outlierDetection] - ejection of instances by failures reported by clients
+     * @param {number} [options.outlierDetection.consecutiveFailures=5] - number of failures in a row that ejects
+     *  instance
+     * @param {number} [options.outlierDetection.intervalMsec=10000] - max time between the first and the last of
+     *  failures in a row
+     * @param {number} [options.outlierDetection.baseEjectionTimeMsec=30000] - time of the first ejection, every next
+     *  ejection in a row lasts one more base time
+     * @param {number} [options.outlierDetection.maxEjectionTimeMsec=300000] - max time of ejection
+     * @param {number} [options.extractTimeoutMsec] - enables extractors that return promises and sets timeout of
+     *  extraction of info of all instances on one update
+     * @param {Factory~PayloadVersion} [options.payloadVersion] - extractors by version of the status check output,
+     *  `extractors` argument is used for output without version
+     * @param {Object} [options.healthPolicy] - rules of classification of instances
+     * @param {string[]} [options.healthPolicy.ignoredChecks] - IDs or names of checks that do not affect health
+     * @param {string[]} [options.healthPolicy.requiredChecks] - IDs or names of checks that must be passing
+     * @param {string} [options.healthPolicy.serfHealthCritical='skip'] - `skip` or `unhealthy`
+     * @param {Object.<string, function>} [options.outputLocators] - locators of body of check output by check type
+     * @param {string|Object} [options.outputParser='json'] - name of built-in parser of check output (`json`,
+     *  `keyValue` or `prometheusText`) or an object with a method "parse"
+     * @param {number} [options.timeoutMsec=5000] - connection timeout to consul
+     * @param {Consul} consul
+     * @param {Object} extractors
+     * @throws {TypeError} On invalid options format
+     * @public
+     */
+    constructor(options, consul, extractors = undefined) {
+        super();
+
+        if (!_.isPlainObject(options)) {
+            throw new TypeError('options must be an object');
+        }
+
+        if (!_.has(options, 'serviceName') || !_.isString(options.serviceName) || _.isEmpty(options.serviceName)) {
+            throw new TypeError('options.serviceName must be set and be a non-empty string');
+        }
+
+        if (_.has(options, 'statusChecks')) {
+            if (_.has(options, 'checkNameWithStatus') || _.has(options, 'statusCheck')) {
+                throw new TypeError(
+                    'options.statusChecks can not be set together with options.checkNameWithStatus or ' +
+                    'options.statusCheck'
+                );
+            }
+
+            if (extractors !== undefined) {
+                throw new TypeError(
+                    'extractors argument can not be used together with options.statusChecks, ' +
+                    'set extractors of every status check instead'
+                );
+            }
+
+            if (_.has(options, 'payloadVersion')) {
+                throw new TypeError(
+                    'options.payloadVersion can not be used together with options.statusChecks, ' +
+                    'set payloadVersion of every status check instead'
+                );
+            }
+
+            if (!_.isArray(options.statusChecks) || _.isEmpty(options.statusChecks)) {
+                throw new TypeError('options.statusChecks must be a non-empty array');
+            }
+
+            options.statusChecks.forEach((statusCheck, index) => {
+                const optionName = `options.statusChecks[${index}]`;
+
+                if (!_.isPlainObject(statusCheck)) {
+                    throw new TypeError(`${optionName} must be an object`);
+                }
+
+                if (!_.isString(statusCheck.namespace) || _.isEmpty(statusCheck.namespace)) {
+                    throw new TypeError(`${optionName}.namespace must be a non-empty string`);
+                }
+
+                if (_.isString(statusCheck.statusCheck)) {
+                    if (_.isEmpty(statusCheck.statusCheck)) {
+                        throw new TypeError(`${optionName}.statusCheck must be a non-empty string or an object`);
+                    }
+                } else {
+                    throwErrorIfInvalidStatusCheckMatcher(statusCheck.statusCheck, `${optionName}.statusCheck`);
+                }
+
+                if (_.has(statusCheck, 'extractors')) {
+                    throwErrorIfInvalidExtractors(statusCheck.extractors, `${optionName}.extractors`);
+                }
+
+                if (_.has(statusCheck, 'payloadVersion')) {
+                    throwErrorIfInvalidPayloadVersion(statusCheck.payloadVersion, `${optionName}.payloadVersion`);
+                }
+
+                if (_.has(statusCheck, 'optional') && !_.isBoolean(statusCheck.optional)) {
+                    throw new TypeError(`${optionName}.optional must be a boolean`);
+                }
+            });
+
+            const namespaces = options.statusChecks.map(statusCheck => statusCheck.namespace);
+            if (_.uniq(namespaces).length !== namespaces.length) {
+                throw new TypeError('options.statusChecks must have unique namespaces');
+            }
+        } else if (_.has(options, 'statusCheck')) {
+            if (_.has(options, 'checkNameWithStatus')) {
+                throw new TypeError('options.checkNameWithStatus and options.statusCheck can not be set together');
+            }
+
+            throwErrorIfInvalidStatusCheckMatcher(options.statusCheck, 'options.statusCheck');
+        } else if (!_.has(options, 'checkNameWithStatus') ||
+            !_.isString(options.checkNameWithStatus) ||
+            _.isEmpty(options.checkNameWithStatus)
+        ) {
+            throw new TypeError('options.checkNameWithStatus must be set and be a non-empty string');
+        }
+
+        if (_.has(options, 'dc') && (!_.isString(options.dc) || _.isEmpty(options.dc))) {
+            throw new TypeError('options.dc must be a non-empty string');
+        }
+
+        if (_.has(options, 'dcs')) {
+            if (_.has(options, 'dc')) {
+                throw new TypeError('options.dc and options.dcs can not be set together');
+            }
+
+            if (options.dcs !== DATACENTERS_WILDCARD && (
+                !_.isArray(options.dcs) || _.isEmpty(options.dcs) ||
+                !options.dcs.every(dc => _.isString(dc) && !_.isEmpty(dc))
+            )) {
+                throw new TypeError(
+                    `options.dcs must be a non-empty array of non-empty strings or "${DATACENTERS_WILDCARD}"`
+                );
+            }
+        }
+
+        if (_.has(options, 'tag')) {
+            if (_.has(options, 'tags')) {
+                throw new TypeError('options.tag and options.tags can not be set together');
+            }
+
+            if (!_.isString(options.tag) || _.isEmpty(options.tag)) {
+                throw new TypeError('options.tag must be a non-empty string');
+            }
+        }
+
+        if (_.has(options, 'tags') && (
+            !_.isArray(options.tags) || _.isEmpty(options.tags) ||
+            !options.tags.every(tag => _.isString(tag) && !_.isEmpty(tag))
+        )) {
+            throw new TypeError('options.tags must be a non-empty array of non-empty strings');
+        }
+
+        if (_.has(options, 'filter') && (!_.isString(options.filter) || _.isEmpty(options.filter))) {
+            throw new TypeError('options.filter must be a non-empty string');
+        }
+
+        if (_.has(options, 'treatWarningAsHealthy') && !_.isBoolean(options.treatWarningAsHealthy)) {
+            throw new TypeError('options.treatWarningAsHealthy must be a boolean');
+        }
+
+        if (_.has(options, 'classifier') && !_.isFunction(options.classifier)) {
+            throw new TypeError('options.classifier must be a function');
+        }
+
+        if (_.has(options, 'extractOnCritical') && !_.isBoolean(options.extractOnCritical)) {
+            throw new TypeError('options.extractOnCritical must be a boolean');
+        }
+
+        if (_.has(options, 'outputMaxSize') &&
+            (!_.isSafeInteger(options.outputMaxSize) || options.outputMaxSize <= 0)
+        ) {
+            throw new TypeError('options.outputMaxSize must be a positive integer if set');
+        }
+
+        if (_.has(options, 'fallbackToLastInfo') && !_.isBoolean(options.fallbackToLastInfo)) {
+            throw new TypeError('options.fallbackToLastInfo must be a boolean');
+        }
+
+        if (_.has(options, 'extractTimeoutMsec') &&
+            (!_.isSafeInteger(options.extractTimeoutMsec) || options.extractTimeoutMsec <= 0)
+        ) {
+            throw new TypeError('options.extractTimeoutMsec must be a positive integer if set');
+        }
+
+        if (_.has(options, 'payloadVersion')) {
+            throwErrorIfInvalidPayloadVersion(options.payloadVersion, 'options.payloadVersion');
+        }
+
+        if (_.has(options, 'infoCache')) {
+            if (!_.isPlainObject(options.infoCache)) {
+                throw new TypeError('options.infoCache must be an object');
+            }
+
+            ['ttlMsec', 'maxUpdates'].forEach(limitName => {
+                const limit = options.infoCache[limitName];
+                if (_.has(options.infoCache, limitName) && (!_.isSafeInteger(limit) || limit <= 0)) {
+                    throw new TypeError(`options.infoCache.${limitName} must be a positive integer if set`);
+                }
+            });
+
+            if (!_.has(options.infoCache, 'ttlMsec') && !_.has(options.infoCache, 'maxUpdates')) {
+                throw new TypeError('options.infoCache must have at least one of ttlMsec and maxUpdates');
+            }
+        }
+
+        const outlierDetection = _.clone(DEFAULT_OUTLIER_DETECTION);
+        if (_.has(options, 'outlierDetection')) {
+            if (!_.isPlainObject(options.outlierDetection)) {
+                throw new TypeError('options.outlierDetection must be an object');
+            }
+
+            _.keys(DEFAULT_OUTLIER_DETECTION).forEach(name => {
+                if (!_.has(options.outlierDetection, name)) {
+                    return;
+                }
+
+                const value = options.outlierDetection[name];
+                if (!_.isSafeInteger(value) || value <= 0) {
+                    throw new TypeError(`options.outlierDetection.${name} must be a positive integer if set`);
+                }
+
+                outlierDetection[name] = value;
+            });
+
+            if (outlierDetection.maxEjectionTimeMsec < outlierDetection.baseEjectionTimeMsec) {
+                throw new TypeError(
+                    'options.outlierDetection.maxEjectionTimeMsec must not be less than ' +
+                    'options.outlierDetection.baseEjectionTimeMsec'
+                );
+            }
+        }
+
+        const healthPolicy = {};
+        if (_.has(options, 'healthPolicy')) {
+            if (!_.isPlainObject(options.healthPolicy)) {
+                throw new TypeError('options.healthPolicy must be an object');
+            }
+
+            ['ignoredChecks', 'requiredChecks'].forEach(listName => {
+                if (!_.has(options.healthPolicy, listName)) {
+                    return;
+                }
+
+                const checks = options.healthPolicy[listName];
+                if (!_.isArray(checks) || !checks.every(check => _.isString(check) && !_.isEmpty(check))) {
+                    throw new TypeError(`options.healthPolicy.${listName} must be an array of non-empty strings`);
+                }
+
+                healthPolicy[listName] = checks;
+            });
+
+            if (!_.isEmpty(_.intersection(healthPolicy.ignoredChecks, healthPolicy.requiredChecks))) {
+                throw new TypeError(
+                    'options.healthPolicy.ignoredChecks and options.healthPolicy.requiredChecks must not intersect'
+                );
+            }
+
+            if (_.has(options.healthPolicy, 'serfHealthCritical')) {
+                if (!SERF_HEALTH_CRITICAL_MODES.includes(options.healthPolicy.serfHealthCritical)) {
+                    const modes = SERF_HEALTH_CRITICAL_MODES.join(', ');
+                    throw new TypeError(`options.healthPolicy.serfHealthCritical must be one of: ${modes}`);
+                }
+
+                healthPolicy.serfHealthCritical = options.healthPolicy.serfHealthCritical;
+            }
+        }
+
+        if (_.has(options, 'outputLocators') && (
+            !_.isPlainObject(options.outputLocators) || !_.every(options.outputLocators, _.isFunction)
+        )) {
+            throw new TypeError('options.outputLocators must be an object with functions');
+        }
+
+        const isBuiltinOutputParser = _.isString(options.outputParser) && _.has(builtinParsers, options.outputParser);
+        if (_.has(options, 'outputParser') && !isBuiltinOutputParser && (
+            !_.isObject(options.outputParser) || !_.isFunction(options.outputParser.parse)
+        )) {
+            throw new TypeError(
+                `options.outputParser must be one of: ${_.keys(builtinParsers).join(', ')} ` +
+                'or an object with a method "parse"'
+            );
+        }
+
+        let failover = null;
+        if (_.has(options, 'failover')) {
+            if (_.has(options, 'dc') || _.has(options, 'dcs')) {
+                throw new TypeError('options.failover can not be set together with options.dc or options.dcs');
+            }
+
+            if (!_.isPlainObject(options.failover)) {
+                throw new TypeError('options.failover must be an object');
+            }
+
+            const datacenters = options.failover.datacenters;
+            if (!_.isArray(datacenters) || datacenters.length < 2 ||
+                !datacenters.every(dc => _.isString(dc) && !_.isEmpty(dc)) ||
+                _.uniq(datacenters).length !== datacenters.length
+            ) {
+                throw new TypeError(
+                    'options.failover.datacenters must be an array of at least two unique non-empty strings'
+                );
+            }
+
+            failover = {datacenters, minHealthy: DEFAULT_FAILOVER_MIN_HEALTHY};
+
+            if (_.has(options.failover, 'minHealthy')) {
+                if (!_.isSafeInteger(options.failover.minHealthy) || options.failover.minHealthy <= 0) {
+                    throw new TypeError('options.failover.minHealthy must be a positive integer if set');
+                }
+
+                failover.minHealthy = options.failover.minHealthy;
+            }
+        }
+
+        if (!_.has(options, 'timeoutMsec')) {
+            this._timeoutMsec = DEFAULT_TIMEOUT_MSEC;
+        } else {
+            if (!_.isSafeInteger(options.timeoutMsec) || options.timeoutMsec <= 0) {
+                throw new TypeError('options.timeoutMsec must be a positive integer if set');
+            }
+
+            this._timeoutMsec = options.timeoutMsec;
+        }
+
+        // duck typing check
+        if (!_.isObject(consul) || !_.isFunction(consul.watch) ||
+            !_.isObject(consul.health) || !_.isFunction(consul.health.service)
+        ) {
+            throw new TypeError('consul argument does not look like Consul object');
+        }
+
+        if (options.dcs === DATACENTERS_WILDCARD &&
+            (!_.isObject(consul.catalog) || !_.isFunction(consul.catalog.datacenters))
+        ) {
+            throw new TypeError('consul argument does not look like Consul object');
+        }
+
+        if (_.isPlainObject(extractors)) {
+            throwErrorIfInvalidExtractors(extractors, 'extractors');
+        } else if (extractors !== undefined) {
+            throw new TypeError('extractors argument must be an plain object or undefined');
+        }
+
+        this._serviceName = options.serviceName;
+        if (_.has(options, 'statusChecks')) {
+            this._statusCheck = options.statusChecks.map(statusCheck => _.defaults({}, statusCheck, {optional: false}));
+        } else if (_.has(options, 'statusCheck')) {
+            this._statusCheck = options.statusCheck;
+        } else {
+            this._statusCheck = options.checkNameWithStatus;
+        }
+        this._dc = options.dc;
+        this._dcs = failover !== null ? failover.datacenters : options.dcs;
+        this._failover = failover;
+        this._tags = _.has(options, 'tag') ? [options.tag] : options.tags;
+        this._filter = options.filter;
+        this._buildOptions = {
+            treatWarningAsHealthy: options.treatWarningAsHealthy === true,
+            extractOnCritical: options.extractOnCritical !== false,
+            healthPolicy,
+        };
+
+        if (_.has(options, 'outputLocators')) {
+            this._buildOptions.outputLocators = options.outputLocators;
+        }
+
+        if (_.has(options, 'outputMaxSize')) {
+            this._buildOptions.outputMaxSize = options.outputMaxSize;
+        }
+
+        this._fallbackToLastInfo = options.fallbackToLastInfo === true;
+
+        // extractors may return promises only if timeout of extraction is set
+        this._isAsyncExtraction = _.has(options, 'extractTimeoutMsec');
+        if (this._isAsyncExtraction) {
+            this._buildOptions.extractTimeoutMsec = options.extractTimeoutMsec;
+        }
+
+        if (_.has(options, 'payloadVersion')) {
+            this._buildOptions.payloadVersion = options.payloadVersion;
+        }
+
+        if (_.has(options, 'classifier')) {
+            this._buildOptions.classifier = options.classifier;
+        }
+
+        if (_.has(options, 'infoCache')) {
+            this._buildOptions.infoCache = new InstanceInfoCache(
+                _.get(options.infoCache, 'ttlMsec', null),
+                _.get(options.infoCache, 'maxUpdates', null)
+            );
+        }
+
+        if (_.has(options, 'outputParser')) {
+            this._buildOptions.outputParser = isBuiltinOutputParser ?
+                builtinParsers[options.outputParser] :
+                options.outputParser;
+        }
+
+        this._initialized = false;
+        this._options = options;
+
+        this._consul = consul;
+        this._extractors = extractors;
+
+        this._onWatcherChange = this._onWatcherChange.bind(this);
+        this._onWatcherError = this._onWatcherError.bind(this);
+        this._onWatcherEnd = this._onWatcherEnd.bind(this);
+        this._retryStartService = this._retryStartService.bind(this);
+
+        this._serviceInstances = new ServiceInstances();
+        // the last list of instances received from consul, `_serviceInstances` is the same list with ejected instances
+        this._consulInstances = this._serviceInstances;
+        this._outlierDetector = new OutlierDetector(
+            outlierDetection.consecutiveFailures,
+            outlierDetection.intervalMsec,
+            outlierDetection.baseEjectionTimeMsec,
+            outlierDetection.maxEjectionTimeMsec
+        );
+        // timers of the end of ejection by service ID
+        this._ejectionTimers = new Map();
+        // updates with asynchronous extractors are applied one by one in order of receiving
+        this._pendingUpdate = Promise.resolve();
+        // the last change received while the initial list of instances was built by asynchronous extractors
+        this._pendingChange = null;
+        this._consulHeaders = {};
+        this._watchAnyNodeChange = null;
+        // rejects the pending start of the service, null if the service is not being started
+        this._abortStart = null;
+        this._setWatchUnealthy();
+        this._setUninitialized();
+
+        this._fallbackToWatchHealthyInterval = null;
+        this._retryTimer = null;
+
+        // monitors of every datacenter from `options.dcs`, null until start of the service
+        this._datacenterMonitors = null;
+
+        this._activeDatacenter = null;
+        this._effectiveInstances = this._serviceInstances;
+    }
+
+    isWatchHealthy() {
+        return this._isWatchHealthy;
+    }
+
+    _setWatchHealthy() {
+        this._isWatchHealthy = true;
+    }
+
+    _setWatchUnealthy() {
+        this._isWatchHealthy = false;
+    }
+
+    isInitialized() {
+        return this._initialized;
+    }
+
+    _setInitialized() {
+        this._initialized = true;
+    }
+
+    _setUninitialized() {
+        this._initialized = false;
+    }
+
+    _isWatcherRegistered() {
+        return this._watchAnyNodeChange !== null;
+    }
+
+    /**
+     * Resolves list of datacenters to watch. Wildcard is resolved by `/v1/catalog/datacenters` request.
+     *
+     * Promise will be rejected with:
+     *   `WatchTimeoutError` if list of datacenters was not received for timeotMsec or default timeout.
+     *   `WatchError` on error from `consul` underlying method or if list of datacenters is empty
+     *
+     * @returns {Promise<string[],WatchError|WatchTimeoutError>}
+     * @private
+     */
+    _resolveDatacenters() {
+        if (this._dcs !== DATACENTERS_WILDCARD) {
+            return Promise.resolve(this._dcs);
+        }
+
+        return new Promise((resolve, reject) => {
+            const timerId = setTimeout(() => {
+                reject(new WatchTimeoutError('Request of the list of datacenters was timed out'));
+            }, this._timeoutMsec);
+
+            Promise.resolve(this._consul.catalog.datacenters())
+                .then(dcs => {
+                    clearTimeout(timerId);
+
+                    if (!_.isArray(dcs) || _.isEmpty(dcs)) {
+                        return reject(new WatchError('Consul returned empty list of datacenters', {dcs}));
+                    }
+
+                    resolve(dcs);
+                })
+                .catch(err => {
+                    clearTimeout(timerId);
+                    reject(new WatchError(err.message, {err}));
+                });
+        });
+    }
+
+    /**
+     * Starts a separate monitor for every datacenter. Resolves promise with merged list of instances from all
+     * datacenters that were started successfully. Monitors of datacenters that failed to start are retried
+     * in background, their errors are emitted after resolve.
+     *
+     * Promise will be rejected with:
+     *   `AlreadyInitializedError` if service is already started.
+     *   error of the first datacenter if all of datacenters failed to start.
+     *   `WatchError` or `WatchTimeoutError` if list of datacenters can not be resolved.
+     *
+     * @returns {Promise<ServiceInstances,AlreadyInitializedError|WatchError|WatchTimeoutError>}
+     * @private
+     */
+    _startDatacenterMonitors() {
+        if (this._datacenterMonitors !== null) {
+            return Promise.reject(new AlreadyInitializedError('Service is already started'));
+        }
+
+        const monitors = new Map();
+        const throwIfStopped = () => {
+            if (this._datacenterMonitors !== monitors) {
+                monitors.forEach(monitor => monitor.stopService());
+
+                throw new WatchError('Service was stopped before the end of start');
+            }
+        };
+
+        this._datacenterMonitors = monitors;
+
+        return this._resolveDatacenters()
+            .then(dcs => {
+                throwIfStopped();
+
+                const monitorOptions = _.omit(this._options, ['dcs', 'failover']);
+
+                dcs.forEach(dc => {
+                    const monitor = new ServiceInstancesMonitor(
+                        _.assign({}, monitorOptions, {dc}), this._consul, this._extractors
+                    );
+
+                    this._listenDatacenterMonitor(dc, monitor);
+                    monitors.set(dc, monitor);
+                });
+
+                return Promise.all([...monitors.values()].map(
+                    monitor => monitor.startService().then(() => null, err => err)
+                ));
+            })
+            .then(startErrors => {
+                throwIfStopped();
+
+                if (startErrors.every(err => err !== null)) {
+                    this._stopDatacenterMonitors();
+
+                    throw startErrors[0];
+                }
+
+                [...monitors.values()].forEach((monitor, index) => {
+                    if (startErrors[index] !== null) {
+                        monitor._retryTimer = setTimeout(
+                            monitor._retryStartService,
+                            DEFAULT_RETRY_START_SERVICE_TIMEOUT_MSEC
+                        );
+                    }
+                });
+
+                this._emitFactoryErrors(startErrors.filter(err => err !== null));
+
+                this._setInitialized();
+                this._setWatchHealthy();
+                this._serviceInstances = this._mergeDatacenterInstances();
+
+                if (this._failover !== null) {
+                    this._activeDatacenter = this._selectFailoverDatacenter();
+                    this._effectiveInstances = this._serviceInstances.getByDatacenter(this._activeDatacenter);
+                }
+
+                return this._serviceInstances;
+            })
+            .catch(err => {
+                if (this._datacenterMonitors === monitors) {
+                    this._datacenterMonitors = null;
+                }
+
+                throw err;
+            });
+    }
+
+    /**
+     * @private
+     */
+    _stopDatacenterMonitors() {
+        if (this._datacenterMonitors !== null) {
+            for (const monitor of this._datacenterMonitors.values()) {
+                monitor.removeAllListeners();
+                monitor.stopService();
+            }
+        }
+
+        this._datacenterMonitors = null;
+        this._activeDatacenter = null;
+        this._setUninitialized();
+        this._setWatchUnealthy();
+    }
+
+    /**
+     * @param {string} dc
+     * @param {ServiceInstancesMonitor} monitor
+     * @private
+     */
+    _listenDatacenterMonitor(dc, monitor) {
+        monitor.on('changed', () => this._onDatacenterChange());
+        monitor.on('error', err => this.emit('error', err));
+        monitor.on('ejected', (instance, err) => this.emit('ejected', instance, err));
+        monitor.on('restored', instance => this.emit('restored', instance));
+        monitor.on('healthy', () => {
+            this.emit('datacenterHealthy', dc);
+            this._updateDatacentersWatchHealth();
+        });
+        monitor.on('unhealthy', () => {
+            this.emit('datacenterUnhealthy', dc);
+            this._updateDatacentersWatchHealth();
+        });
+    }
+
+    /**
+     * Monitor watches several datacenters is healthy if at least one datacenter is healthy.
+     *
+     * @private
+     */
+    _updateDatacentersWatchHealth() {
+        if (!this.isInitialized()) {
+            return;
+        }
+
+        const isWatchHealthy = [...this._datacenterMonitors.values()].some(monitor => monitor.isWatchHealthy());
+
+        if (isWatchHealthy && !this.isWatchHealthy()) {
+            this._setWatchHealthy();
+            this.emit('healthy');
+        } else if (!isWatchHealthy && this.isWatchHealthy()) {
+            this._setWatchUnealthy();
+            this.emit('unhealthy');
+        }
+    }
+
+    /**
+     * @emits ServiceInstancesMonitor#changed merged list of instances from all datacenters
+     * @emits ServiceInstancesMonitor#diff changes compared to the previous merged list
+     * @private
+     */
+    _onDatacenterChange() {
+        if (!this.isInitialized()) {
+            return;
+        }
+
+        const previousInstances = this._serviceInstances;
+        this._serviceInstances = this._mergeDatacenterInstances();
+
+        // listeners of changes may read effective instances, so failover is updated first
+        if (this._failover !== null) {
+            this._updateFailover();
+        }
+
+        this.emit('changed', this._serviceInstances);
+        this._emitInstancesDiff(previousInstances, this._serviceInstances);
+    }
+
+    /**
+     * Returns the first datacenter in order of failover that has enough healthy instances. Returns the local
+     * datacenter if there is no such datacenter.
+     *
+     * @returns {string}
+     * @private
+     */
+    _selectFailoverDatacenter() {
+        const {datacenters, minHealthy} = this._failover;
+
+        const dc = datacenters.find(
+            dc => this._serviceInstances.getByDatacenter(dc).getHealthy().length >= minHealthy
+        );
+
+        return dc !== undefined ? dc : datacenters[0];
+    }
+
+    /**
+     * @emits ServiceInstancesMonitor#failoverActivated datacenter that became active and the previous one
+     * @emits ServiceInstancesMonitor#failoverDeactivated local datacenter and the previous active one
+     * @private
+     */
+    _updateFailover() {
+        const previousDatacenter = this._activeDatacenter;
+
+        this._activeDatacenter = this._selectFailoverDatacenter();
+        this._effectiveInstances = this._serviceInstances.getByDatacenter(this._activeDatacenter);
+
+        if (this._activeDatacenter === previousDatacenter) {
+            return;
+        }
+
+        if (this.isFailoverActive()) {
+            this.emit('failoverActivated', this._activeDatacenter, previousDatacenter);
+        } else {
+            this.emit('failoverDeactivated', this._activeDatacenter, previousDatacenter);
+        }
+    }
+
+    /**
+     * @returns {ServiceInstances}
+     * @private
+     */
+    _mergeDatacenterInstances() {
+        const instances = new ServiceInstances(
+            this._buildOptions.treatWarningAsHealthy, _.get(this._buildOptions, 'classifier', null)
+        );
+
+        for (const monitor of this._datacenterMonitors.values()) {
+            instances.addFrom(monitor.getInstances());
+        }
+
+        return instances;
+    }
+
+    getInstances() {
+        return this._serviceInstances;
+    }
+
+    /**
+     * Reports failure of request of the client to instance, e.g. refused connection or timeout. Instance is ejected
+     * from the healthy view after `outlierDetection.consecutiveFailures` failures in a row within
+     * `outlierDetection.intervalMsec` and restored when the time of ejection is over. Failures of instances that
+     * are absent in the list are ignored.
+     *
+     * If monitor watches several datacenters, failure is reported to the monitor of every datacenter.
+     *
+     * @param {string} serviceId - ID of the instance
+     * @param {Error} [err] - error of the request, it is passed to `ejected` event
+     * @returns {ServiceInstancesMonitor}
+     * @throws {TypeError} if serviceId is not a non-empty string
+     * @emits ServiceInstancesMonitor#ejected every instance with the service ID that was ejected
+     * @emits ServiceInstancesMonitor#changed list of instances with ejected instances
      * @public
      */
-    constructor(options, consul, extractors = undefined) {
-        super();
-
-        if (!_.isPlainObject(options)) {
-            throw new TypeError('options must be an object');
+    reportFailure(serviceId, err = undefined) {
+        if (!_.isString(serviceId) || _.isEmpty(serviceId)) {
+            throw new TypeError('serviceId must be a non-empty string');
         }
 
-        if (!_.has(options, 'serviceName') || !_.isString(options.serviceName) || _.isEmpty(options.serviceName)) {
-            throw new TypeError('options.serviceName must be set and be a non-empty string');
+        if (this._isMultiDatacenter()) {
+            this._forEachDatacenterMonitor(monitor => monitor.reportFailure(serviceId, err));
+
+            return this;
         }
 
-        if (!_.has(options, 'checkNameWithStatus') ||
-            !_.isString(options.checkNameWithStatus) ||
-            _.isEmpty(options.checkNameWithStatus)
-        ) {
-            throw new TypeError('options.checkNameWithStatus must be set and be a non-empty string');
+        const instances = this._findInstancesByServiceId(serviceId);
+        if (instances.length === 0) {
+            return this;
         }
 
-        if (_.has(options, 'dc') && (!_.isString(options.dc) || _.isEmpty(options.dc))) {
-            throw new TypeError('options.dc must be a non-empty string');
+        const ejectionTimeMsec = this._outlierDetector.reportFailure(serviceId);
+        if (ejectionTimeMsec === null) {
+            return this;
         }
 
-        if (!_.has(options, 'timeoutMsec')) {
-            this._timeoutMsec = DEFAULT_TIMEOUT_MSEC;
-        } else {
-            if (!_.isSafeInteger(options.timeoutMsec) || options.timeoutMsec <= 0) {
-                throw new TypeError('options.timeoutMsec must be a positive integer if set');
-            }
+        this._ejectionTimers.set(serviceId, setTimeout(() => this._restoreEjected(serviceId), ejectionTimeMsec));
 
-            this._timeoutMsec = options.timeoutMsec;
+        const previousInstances = this._serviceInstances;
+        this._serviceInstances = this._applyEjections(this._consulInstances);
+
+        instances.forEach(instance => this.emit('ejected', instance, err));
+        this._emitEjectionChange(previousInstances);
+
+        return this;
+    }
+
+    /**
+     * Reports successful request of the client to instance, it breaks the row of failures of the instance.
+     *
+     * @param {string} serviceId - ID of the instance
+     * @returns {ServiceInstancesMonitor}
+     * @throws {TypeError} if serviceId is not a non-empty string
+     * @public
+     */
+    reportSuccess(serviceId) {
+        if (!_.isString(serviceId) || _.isEmpty(serviceId)) {
+            throw new TypeError('serviceId must be a non-empty string');
         }
 
-        // duck typing check
-        if (!_.isObject(consul) || !_.isFunction(consul.watch) ||
-            !_.isObject(consul.health) || !_.isFunction(consul.health.service)
-        ) {
-            throw new TypeError('consul argument does not look like Consul object');
+        if (this._isMultiDatacenter()) {
+            this._forEachDatacenterMonitor(monitor => monitor.reportSuccess(serviceId));
+
+            return this;
         }
 
-        if (_.isPlainObject(extractors)) {
-            for (const extractorName in extractors) {
-                if (!extractors[extractorName] || !_.isFunction(extractors[extractorName].extract)) {
-                    throw new TypeError('extractors instances must have a method "extract"');
-                }
+        this._outlierDetector.reportSuccess(serviceId);
+
+        return this;
+    }
+
+    /**
+     * @param {function(ServiceInstancesMonitor): void} callback
+     * @private
+     */
+    _forEachDatacenterMonitor(callback) {
+        if (this._datacenterMonitors !== null) {
+            for (const monitor of this._datacenterMonitors.values()) {
+                callback(monitor);
             }
-        } else if (extractors !== undefined) {
-            throw new TypeError('extractors argument must be an plain object or undefined');
         }
+    }
 
-        this._serviceName = options.serviceName;
-        this._checkNameWithStatus = options.checkNameWithStatus;
-        this._dc = options.dc;
-        this._initialized = false;
+    /**
+     * @param {string} serviceId
+     * @returns {ServiceInstance[]}
+     * @private
+     */
+    _findInstancesByServiceId(serviceId) {
+        return this._consulInstances.getAll().filter(instance => instance.getServiceId() === serviceId);
+    }
 
-        this._consul = consul;
-        this._extractors = extractors;
+    /**
+     * Ends ejection of instances with the service ID when the time of ejection is over
+     *
+     * @param {string} serviceId
+     * @emits ServiceInstancesMonitor#restored every instance with the service ID
+     * @emits ServiceInstancesMonitor#changed list of instances without restored instances among ejected ones
+     * @private
+     */
+    _restoreEjected(serviceId) {
+        this._ejectionTimers.delete(serviceId);
 
-        this._onWatcherChange = this._onWatcherChange.bind(this);
-        this._onWatcherError = this._onWatcherError.bind(this);
-        this._onWatcherEnd = this._onWatcherEnd.bind(this);
-        this._retryStartService = this._retryStartService.bind(this);
+        if (!this._outlierDetector.restore(serviceId)) {
+            return;
+        }
 
-        this._serviceInstances = new ServiceInstances();
-        this._consulHeaders = {};
-        this._watchAnyNodeChange = null;
-        this._setWatchUnealthy();
-        this._setUninitialized();
+        const previousInstances = this._serviceInstances;
+        this._serviceInstances = this._applyEjections(this._consulInstances);
 
-        this._fallbackToWatchHealthyInterval = null;
-        this._retryTimer = null;
+        this._findInstancesByServiceId(serviceId).forEach(instance => this.emit('restored', instance));
+        this._emitEjectionChange(previousInstances);
     }
 
-    isWatchHealthy() {
-        return this._isWatchHealthy;
+    /**
+     * @param {ServiceInstances} previousInstances
+     * @emits ServiceInstancesMonitor#changed
+     * @emits ServiceInstancesMonitor#diff
+     * @private
+     */
+    _emitEjectionChange(previousInstances) {
+        if (!this.isInitialized()) {
+            return;
+        }
+
+        this.emit('changed', this._serviceInstances);
+        this._emitInstancesDiff(previousInstances, this._serviceInstances);
     }
 
-    _setWatchHealthy() {
-        this._isWatchHealthy = true;
+    /**
+     * Returns the list of instances where healthy instances ejected by outlier detection are marked as ejected.
+     * The same list is returned if there are no such instances.
+     *
+     * @param {ServiceInstances} instances - list of instances received from consul
+     * @returns {ServiceInstances}
+     * @private
+     */
+    _applyEjections(instances) {
+        const ejectedServiceIds = new Set(this._outlierDetector.getEjected());
+        const ejected = instances.getHealthy().filter(instance => ejectedServiceIds.has(instance.getServiceId()));
+
+        if (ejected.length === 0) {
+            return instances;
+        }
+
+        const result = new ServiceInstances(instances.isWarningHealthy(), instances.getClassifier()).addFrom(instances);
+        ejected.forEach(instance => result.markEjected(instance));
+
+        return result;
     }
 
-    _setWatchUnealthy() {
-        this._isWatchHealthy = false;
+    /**
+     * Stops timers of ejection and forgets failures of all instances
+     *
+     * @private
+     */
+    _clearEjections() {
+        this._ejectionTimers.forEach(timerId => clearTimeout(timerId));
+        this._ejectionTimers.clear();
+        this._outlierDetector.clear();
     }
 
-    isInitialized() {
-        return this._initialized;
+    /**
+     * Returns X-Consul-* headers of the last response from consul.
+     *
+     * If monitor watches several datacenters, headers of the datacenter must be requested explicitly.
+     *
+     * @param {string} [dc]
+     * @returns {Object}
+     */
+    getConsulHeaders(dc = undefined) {
+        if (dc !== undefined && this._isMultiDatacenter()) {
+            const monitor = this._datacenterMonitors !== null ? this._datacenterMonitors.get(dc) : undefined;
+
+            return monitor !== undefined ? monitor.getConsulHeaders() : {};
+        }
+
+        return this._consulHeaders;
     }
 
-    _setInitialized() {
-        this._initialized = true;
+    /**
+     * Returns instances that should be used by the caller.
+     *
+     * If failover is configured, returns instances of the active datacenter only, otherwise returns the same as
+     * `getInstances()`.
+     *
+     * @returns {ServiceInstances}
+     */
+    getEffectiveInstances() {
+        return this._failover !== null ? this._effectiveInstances : this._serviceInstances;
     }
 
-    _setUninitialized() {
-        this._initialized = false;
+    /**
+     * Returns datacenter which instances are returned by `getEffectiveInstances()`. Returns null if failover
+     * is not configured or monitor is not started.
+     *
+     * @returns {string|null}
+     */
+    getActiveDatacenter() {
+        return this._activeDatacenter;
     }
 
-    _isWatcherRegistered() {
-        return this._watchAnyNodeChange !== null;
+    /**
+     * Returns true if active datacenter is not the local one.
+     *
+     * @returns {boolean}
+     */
+    isFailoverActive() {
+        return this._failover !== null && this._activeDatacenter !== null &&
+            this._activeDatacenter !== this._failover.datacenters[0];
     }
 
-    getInstances() {
-        return this._serviceInstances;
+    /**
+     * Returns names of watched datacenters. List is empty if the monitor is not started or if the monitor
+     * watches a single datacenter.
+     *
+     * @returns {string[]}
+     */
+    getDatacenters() {
+        return this._datacenterMonitors !== null ? [...this._datacenterMonitors.keys()] : [];
     }
 
-    getConsulHeaders() {
-        return this._consulHeaders;
+    /**
+     * Returns state of watch of the single datacenter if monitor watches several datacenters.
+     *
+     * @param {string} dc
+     * @returns {boolean}
+     */
+    isDatacenterWatchHealthy(dc) {
+        if (this._datacenterMonitors === null || !this._datacenterMonitors.has(dc)) {
+            return false;
+        }
+
+        return this._datacenterMonitors.get(dc).isWatchHealthy();
+    }
+
+    _isMultiDatacenter() {
+        return this._dcs !== undefined;
     }
 
     /**
@@ -161,14 +1157,21 @@ class ServiceInstancesMonitor extends EventEmitter {
      * Promise will be rejected with:
      *   `AlreadyInitializedError` if service is already started.
      *   `WatchTimeoutError` if either initial data nor error received for timeotMsec or default timeout.
-     *   `WatchError` on error from `consul` underlying method
+     *   `WatchError` on error from `consul` underlying method or if service was stopped before the end of start
      *
      * Rejection of promise means that watcher was stopped and no retries will be done.
      *
+     * If the monitor watches several datacenters, promise is resolved if at least one datacenter responded
+     * successfully. Watches of other datacenters are retried in background.
+     *
      * @returns {Promise<ServiceInstances,AlreadyInitializedError|WatchError|WatchTimeoutError>}
      * @public
      */
     startService() {
+        if (this._isMultiDatacenter()) {
+            return this._startDatacenterMonitors();
+        }
+
         if (this._isWatcherRegistered()) {
             return Promise.reject(new AlreadyInitializedError('Service is already started'));
         }
@@ -181,13 +1184,25 @@ class ServiceInstancesMonitor extends EventEmitter {
 
                 this._setInitialized();
                 this._setWatchHealthy();
-                this._serviceInstances = initialListOfNodes;
-                return initialListOfNodes;
+                this._consulInstances = initialListOfNodes;
+                this._outlierDetector.retain(initialListOfNodes);
+                this._serviceInstances = this._applyEjections(initialListOfNodes);
+
+                const serviceInstances = this._serviceInstances;
+
+                if (this._pendingChange !== null) {
+                    const {data, response} = this._pendingChange;
+                    this._pendingChange = null;
+                    this._onWatcherChange(data, response);
+                }
+
+                return serviceInstances;
             });
     }
 
     /**
-     * Stops service even if it is not started yet. Monitor becomes `uninitialized` and `unhalthy`.
+     * Stops service even if it is not started yet. Monitor becomes `uninitialized` and `unhalthy`. Pending start
+     * of the service is rejected with `WatchError`.
      *
      * Listens for changes after successful resolve.
      *
@@ -206,6 +1221,18 @@ class ServiceInstancesMonitor extends EventEmitter {
             this._retryTimer = null;
         }
 
+        if (this._isMultiDatacenter()) {
+            this._stopDatacenterMonitors();
+
+            return this;
+        }
+
+        this._clearEjections();
+
+        if (this._abortStart !== null) {
+            this._abortStart();
+        }
+
         if (!this._isWatcherRegistered()) {
             return this;
         }
@@ -243,24 +1270,27 @@ class ServiceInstancesMonitor extends EventEmitter {
                 return reject(new AlreadyInitializedError('Another `consul.watch` execution is found'));
             }
 
+            const watchOptions = {
+                service: this._serviceName,
+                dc: this._dc,
+                wait: '60s',
+            };
+
+            if (this._tags !== undefined) {
+                watchOptions.tag = this._tags;
+            }
+
+            if (this._filter !== undefined) {
+                watchOptions.filter = this._filter;
+            }
+
             this._watchAnyNodeChange = this._consul.watch({
                 method: this._consul.health.service,
-                options: {
-                    service: this._serviceName,
-                    dc: this._dc,
-                    wait: '60s',
-                },
+                options: watchOptions,
             });
 
-            const firstChange = (data, response) => {
-                this._watchAnyNodeChange.removeListener('error', firstError);
-                clearTimeout(timerId);
-
-                const {instances, errors} = instancesFactory.buildServiceInstances(
-                    data,
-                    this._checkNameWithStatus,
-                    this._extractors
-                );
+            const resolveInitialInstances = ({instances, errors}, response) => {
+                this._abortStart = null;
 
                 for (const headerName of X_CONSUL_HEADERS) {
                     this._consulHeaders[headerName] = response.headers[headerName];
@@ -273,7 +1303,43 @@ class ServiceInstancesMonitor extends EventEmitter {
                 resolve(instances);
             };
 
+            const firstChange = (data, response) => {
+                this._watchAnyNodeChange.removeListener('error', firstError);
+                clearTimeout(timerId);
+
+                if (!this._isAsyncExtraction) {
+                    resolveInitialInstances(this._buildServiceInstances(data), response);
+
+                    return;
+                }
+
+                // listener of changes is added after start of the service, so the change that comes while
+                // extractors are running is kept to be applied right after the start
+                const watcher = this._watchAnyNodeChange;
+                const keepChange = (changedData, changeResponse) => {
+                    this._pendingChange = {data: changedData, response: changeResponse};
+                };
+                watcher.on('change', keepChange);
+
+                const initialUpdate = this._buildServiceInstancesAsync(data).then(result => {
+                    watcher.removeListener('change', keepChange);
+
+                    // the service was stopped while extractors were running
+                    if (this._watchAnyNodeChange !== watcher) {
+                        this._pendingChange = null;
+                        reject(new WatchError('Service was stopped before the end of start'));
+
+                        return;
+                    }
+
+                    resolveInitialInstances(result, response);
+                });
+
+                this._pendingUpdate = initialUpdate.catch(rethrowAsync);
+            };
+
             const firstError = (err) => {
+                this._abortStart = null;
                 this._watchAnyNodeChange.removeListener('change', firstChange);
                 this._watchAnyNodeChange.end();
                 this._watchAnyNodeChange = null;
@@ -282,6 +1348,7 @@ class ServiceInstancesMonitor extends EventEmitter {
             };
 
             const timerId = setTimeout(() => {
+                this._abortStart = null;
                 this._watchAnyNodeChange.removeListener('error', firstError);
                 this._watchAnyNodeChange.removeListener('change', firstChange);
                 this._watchAnyNodeChange.end();
@@ -289,6 +1356,15 @@ class ServiceInstancesMonitor extends EventEmitter {
                 reject(new WatchTimeoutError('Initial consul watch request was timed out'));
             }, this._timeoutMsec);
 
+            // the watcher is ended by `stopService()`, the timer and listeners of the start must be removed as well
+            this._abortStart = () => {
+                this._abortStart = null;
+                this._watchAnyNodeChange.removeListener('error', firstError);
+                this._watchAnyNodeChange.removeListener('change', firstChange);
+                clearTimeout(timerId);
+                reject(new WatchError('Service was stopped before the end of start'));
+            };
+
             this._watchAnyNodeChange.once('change', firstChange);
             this._watchAnyNodeChange.once('error', firstError);
         });
@@ -300,38 +1376,116 @@ class ServiceInstancesMonitor extends EventEmitter {
      *
      * If service was unhealthy, it becomes healthy.
      *
+     * If extractors are asynchronous, the change is applied when extractors of this change and of all previous ones
+     * are settled, so events of changes are emitted in order of receiving.
+     *
      * @param {Array} data - list of healthy nodes after some changes
      * @param {IncomingMessage} response - response from Consul
      * @emits ServiceInstancesMonitor#changed actual array of a valid nodes
+     * @emits ServiceInstancesMonitor#diff changes compared to the previous array of nodes
      * @private
      */
     _onWatcherChange(data, response) {
+        if (!this._isAsyncExtraction) {
+            this._applyChange(this._buildServiceInstances(data), response);
+
+            return;
+        }
+
+        const watcher = this._watchAnyNodeChange;
+        const update = this._pendingUpdate
+            .then(() => this._buildServiceInstancesAsync(data))
+            .then(result => {
+                // the service was stopped or restarted while extractors were running
+                if (this._watchAnyNodeChange === watcher) {
+                    this._applyChange(result, response);
+                }
+            });
+
+        this._pendingUpdate = update.catch(rethrowAsync);
+    }
+
+    /**
+     * Replaces the list of instances by the new one and emits events
+     *
+     * @param {{instances: ServiceInstances, errors: InvalidDataError[]}} result - result of building of instances
+     * @param {IncomingMessage} response - response from Consul
+     * @emits ServiceInstancesMonitor#changed actual array of a valid nodes
+     * @emits ServiceInstancesMonitor#diff changes compared to the previous array of nodes
+     * @private
+     */
+    _applyChange({instances, errors}, response) {
         let isHealthyStateChanged = false;
         if (!this.isWatchHealthy()) {
             this._setWatchHealthy();
             isHealthyStateChanged = true;
         }
 
-        const {instances, errors} = instancesFactory.buildServiceInstances(
-            data,
-            this._checkNameWithStatus,
-            this._extractors
-        );
-
-        this._serviceInstances = instances;
+        const previousInstances = this._serviceInstances;
+        this._consulInstances = instances;
+        this._outlierDetector.retain(instances);
+        this._serviceInstances = this._applyEjections(instances);
         for (const headerName of X_CONSUL_HEADERS) {
             this._consulHeaders[headerName] = response.headers[headerName];
         }
         if (isHealthyStateChanged) {
             this.emit('healthy');
         }
-        this.emit('changed', instances);
+        this.emit('changed', this._serviceInstances);
+        this._emitInstancesDiff(previousInstances, this._serviceInstances);
 
         if (!_.isEmpty(errors)) {
             this._emitFactoryErrors(errors);
         }
     }
 
+    /**
+     * @param {Array} data - list of nodes received from consul
+     * @return {{instances: ServiceInstances, errors: InvalidDataError[]}}
+     * @private
+     */
+    _buildServiceInstances(data) {
+        return this._retainCachedInfo(
+            instancesFactory.buildServiceInstances(data, this._statusCheck, this._extractors, this._getBuildOptions())
+        );
+    }
+
+    /**
+     * @param {Array} data - list of nodes received from consul
+     * @return {Promise<{instances: ServiceInstances, errors: InvalidDataError[]}>}
+     * @private
+     */
+    _buildServiceInstancesAsync(data) {
+        return instancesFactory
+            .buildServiceInstancesAsync(data, this._statusCheck, this._extractors, this._getBuildOptions())
+            .then(result => this._retainCachedInfo(result));
+    }
+
+    /**
+     * @return {Factory~BuildOptions}
+     * @private
+     */
+    _getBuildOptions() {
+        return this._fallbackToLastInfo ?
+            _.assign({}, this._buildOptions, {previousInstances: this._serviceInstances}) :
+            this._buildOptions;
+    }
+
+    /**
+     * Removes info of instances that are gone from the cache of info
+     *
+     * @param {{instances: ServiceInstances, errors: InvalidDataError[]}} result - result of building of instances
+     * @return {{instances: ServiceInstances, errors: InvalidDataError[]}}
+     * @private
+     */
+    _retainCachedInfo(result) {
+        if (_.has(this._buildOptions, 'infoCache')) {
+            this._buildOptions.infoCache.retain(result.instances);
+        }
+
+        return result;
+    }
+
     _onWatcherError(err) {
         this._unsetFallbackToWatchHealthy();
 
@@ -359,6 +1513,36 @@ class ServiceInstancesMonitor extends EventEmitter {
         await this._retryStartService();
     }
 
+    /**
+     * Compares lists of instances and emits event for every changed instance and the `diff` event with
+     * all changes at once. Nothing is emitted if lists are equal.
+     *
+     * @param {ServiceInstances} previousInstances
+     * @param {ServiceInstances} instances
+     * @private
+     */
+    _emitInstancesDiff(previousInstances, instances) {
+        const diff = instancesFactory.buildServiceInstancesDiff(previousInstances, instances);
+
+        if (diff.isEmpty()) {
+            return;
+        }
+
+        diff.getAdded().forEach(instance => this.emit('instanceAdded', instance));
+        diff.getRemoved().forEach(instance => this.emit('instanceRemoved', instance));
+        diff.getBecameHealthy().forEach(
+            ({instance, previousInstance}) => this.emit('instanceBecameHealthy', instance, previousInstance)
+        );
+        diff.getBecameUnhealthy().forEach(
+            ({instance, previousInstance}) => this.emit('instanceBecameUnhealthy', instance, previousInstance)
+        );
+        diff.getInfoChanged().forEach(
+            ({instance, previousInstance}) => this.emit('instanceInfoChanged', instance, previousInstance)
+        );
+
+        this.emit('diff', diff);
+    }
+
     _emitFactoryErrors(errors) {
         setImmediate(() => {
             errors.forEach(error => this.emit.call(this, 'error', error));
@@ -401,11 +1585,13 @@ class ServiceInstancesMonitor extends EventEmitter {
 
     async _retryStartService() {
         try {
+            const previousInstances = this._serviceInstances;
             const serviceInstances = await this.startService();
             this._serviceInstances = serviceInstances;
 
             this.emit('healthy');
             this.emit('changed', serviceInstances);
+            this._emitInstancesDiff(previousInstances, serviceInstances);
         } catch (err) {
             setImmediate(() => this.emit('error', err));
 
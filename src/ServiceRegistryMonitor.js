@@ -0,0 +1,227 @@
+'use strict';
+
+const EventEmitter = require('events');
+const _ = require('lodash');
+const ServiceInstancesMonitor = require('./ServiceInstancesMonitor');
+const AlreadyInitializedError = require('./Error').AlreadyInitializedError;
+
+/**
+ * Events of `ServiceInstancesMonitor` that are re-emitted by the registry with the name of service as the first
+ * argument.
+ */
+const FORWARDED_EVENTS = [
+    'changed',
+    'diff',
+    'instanceAdded',
+    'instanceRemoved',
+    'instanceBecameHealthy',
+    'instanceBecameUnhealthy',
+    'instanceInfoChanged',
+    'ejected',
+    'restored',
+];
+
+/**
+ * Config of single service in the registry
+ *
+ * @typedef {Object} ServiceRegistryMonitor~ServiceConfig
+ * @property {string} [serviceName] - name of service in consul, name of the config is used if omitted
+ * @property {string} [checkNameWithStatus]
+ * @property {Factory~StatusCheckMatcher} [statusCheck]
+ * @property {Factory~StatusCheckConfig[]} [statusChecks]
+ * @property {string} [dc]
+ * @property {number} [timeoutMsec]
+ * @property {Object} [extractors]
+ */
+
+/**
+ * Monitors a set of services using one Consul client. Every service is watched by its own
+ * `ServiceInstancesMonitor`, the registry starts and stops them together and aggregates their state.
+ *
+ * Registry is `healthy` only if watches of all services are healthy.
+ *
+ * @emits ServiceRegistryMonitor#changed
+ * @emits ServiceRegistryMonitor#diff
+ * @emits ServiceRegistryMonitor#error
+ * @emits ServiceRegistryMonitor#healthy
+ * @emits ServiceRegistryMonitor#unhealthy
+ * @emits ServiceRegistryMonitor#serviceHealthy
+ * @emits ServiceRegistryMonitor#serviceUnhealthy
+ */
+class ServiceRegistryMonitor extends EventEmitter {
+
+    /**
+     * @param {Object.<string, ServiceRegistryMonitor~ServiceConfig>} services - configs of services where key is a
+     *  name that is used to identify the service in the registry events and methods
+     * @param {Consul} consul
+     * @throws {TypeError} On invalid services format or invalid config of one of services
+     * @public
+     */
+    constructor(services, consul) {
+        super();
+
+        if (!_.isPlainObject(services) || _.isEmpty(services)) {
+            throw new TypeError('services must be a non-empty object');
+        }
+
+        this._monitors = new Map();
+
+        for (const serviceName in services) {
+            const config = services[serviceName];
+
+            if (!_.isPlainObject(config)) {
+                throw new TypeError(`services.${serviceName} must be an object`);
+            }
+
+            const options = _.defaults(_.omit(config, 'extractors'), {serviceName});
+
+            let monitor;
+            try {
+                monitor = new ServiceInstancesMonitor(options, consul, config.extractors);
+            } catch (err) {
+                throw new TypeError(`services.${serviceName}: ${err.message}`);
+            }
+
+            this._monitors.set(serviceName, monitor);
+            this._listenMonitor(serviceName, monitor);
+        }
+
+        this._isWatchHealthy = false;
+        this._initialized = false;
+    }
+
+    isWatchHealthy() {
+        return this._isWatchHealthy;
+    }
+
+    isInitialized() {
+        return this._initialized;
+    }
+
+    /**
+     * @returns {string[]}
+     */
+    getServiceNames() {
+        return [...this._monitors.keys()];
+    }
+
+    /**
+     * @param {string} serviceName - name of service in the registry
+     * @returns {ServiceInstancesMonitor}
+     * @throws {TypeError} if service is absent in the registry
+     */
+    getMonitor(serviceName) {
+        if (!this._monitors.has(serviceName)) {
+            throw new TypeError(`service "${serviceName}" is not registered in the registry`);
+        }
+
+        return this._monitors.get(serviceName);
+    }
+
+    /**
+     * @param {string} serviceName - name of service in the registry
+     * @returns {ServiceInstances}
+     * @throws {TypeError} if service is absent in the registry
+     */
+    getInstances(serviceName) {
+        return this.getMonitor(serviceName).getInstances();
+    }
+
+    /**
+     * Starts monitors of all services and resolves promise with initial lists of instances of every service.
+     *
+     * If at least one monitor fails to start, all monitors are stopped and promise is rejected with the error of
+     * the first failed monitor. Errors are the same as in `ServiceInstancesMonitor::startService`.
+     *
+     * @returns {Promise<Object.<string, ServiceInstances>,AlreadyInitializedError|WatchError|WatchTimeoutError>}
+     * @public
+     */
+    startService() {
+        if (this.isInitialized()) {
+            return Promise.reject(new AlreadyInitializedError('Registry is already started'));
+        }
+
+        const serviceNames = this.getServiceNames();
+
+        return Promise.all(serviceNames.map(serviceName => this._monitors.get(serviceName).startService()))
+            .then(listsOfInstances => {
+                this._initialized = true;
+                this._isWatchHealthy = this._areAllMonitorsHealthy();
+
+                return _.zipObject(serviceNames, listsOfInstances);
+            })
+            .catch(err => {
+                this.stopService();
+
+                throw err;
+            });
+    }
+
+    /**
+     * Stops monitors of all services. Registry becomes `uninitialized` and `unhealthy`.
+     *
+     * @returns {ServiceRegistryMonitor}
+     * @public
+     */
+    stopService() {
+        for (const monitor of this._monitors.values()) {
+            monitor.stopService();
+        }
+
+        this._initialized = false;
+        this._isWatchHealthy = false;
+
+        return this;
+    }
+
+    /**
+     * @param {string} serviceName
+     * @param {ServiceInstancesMonitor} monitor
+     * @private
+     */
+    _listenMonitor(serviceName, monitor) {
+        FORWARDED_EVENTS.forEach(eventName => {
+            monitor.on(eventName, (...args) => this.emit(eventName, serviceName, ...args));
+        });
+
+        monitor.on('error', err => this.emit('error', err, serviceName));
+
+        monitor.on('healthy', () => {
+            this.emit('serviceHealthy', serviceName);
+            this._updateWatchHealth();
+        });
+
+        monitor.on('unhealthy', () => {
+            this.emit('serviceUnhealthy', serviceName);
+            this._updateWatchHealth();
+        });
+    }
+
+    /**
+     * @private
+     */
+    _updateWatchHealth() {
+        if (!this.isInitialized()) {
+            return;
+        }
+
+        const isWatchHealthy = this._areAllMonitorsHealthy();
+
+        if (isWatchHealthy === this._isWatchHealthy) {
+            return;
+        }
+
+        this._isWatchHealthy = isWatchHealthy;
+        this.emit(isWatchHealthy ? 'healthy' : 'unhealthy');
+    }
+
+    /**
+     * @returns {boolean}
+     * @private
+     */
+    _areAllMonitorsHealthy() {
+        return [...this._monitors.values()].every(monitor => monitor.isWatchHealthy());
+    }
+}
+
+module.exports = ServiceRegistryMonitor;
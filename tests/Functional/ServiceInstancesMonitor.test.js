@@ -11,6 +11,7 @@ const getPort = require('get-port');
 const ServiceInstance = require('src/ServiceInstance');
 const ServiceInstances = require('src/ServiceInstances');
 const ServiceInstancesMonitor = require('src/ServiceInstancesMonitor');
+const {buildHealthCheck, buildCheckResult} = require('src/Factory');
 const {WatchError, WatchTimeoutError, InvalidDataError} = require('src/Error');
 
 const nockTestParams = require('./nock.data');
@@ -152,6 +153,106 @@ describe('ServiceInstancesMonitor methods tests', function () {
         await monitor.stopService();
     });
 
+    it('tags and filter expression are passed to consul', async function () {
+        const filter = 'Service.Meta.version == "2"';
+        const secondRequestIndex = nockTestParams.firstResponseHeaders['X-Consul-Index'];
+
+        const nockInstance = nock(consulHostAndPort)
+            .get(`/v1/health/service/${options.serviceName}`)
+            .query({index: 0, wait: '60s', tag: ['v2', 'primary'], filter})
+            .reply(200, nockTestParams.firstResponseBody, nockTestParams.firstResponseHeaders)
+            .get(`/v1/health/service/${options.serviceName}`)
+            .query({index: secondRequestIndex, wait: '60s', tag: ['v2', 'primary'], filter})
+            .delay(60000)
+            .reply(200, nockTestParams.firstResponseBody, nockTestParams.firstResponseHeaders);
+
+        const monitor = new ServiceInstancesMonitor(
+            _.assign({tags: ['v2', 'primary'], filter}, options),
+            consulClient
+        );
+        const initialInstances = await monitor.startService();
+
+        assert.lengthOf(nockInstance.pendingMocks(), 1);
+        assert.lengthOf(initialInstances.getHealthy(), 2);
+
+        monitor.stopService();
+    });
+
+    it('initial list of nodes is built by asynchronous extractors', async function () {
+        const secondRequestIndex = nockTestParams.firstResponseHeaders['X-Consul-Index'];
+
+        nock(consulHostAndPort)
+            .get(`/v1/health/service/${options.serviceName}`).query({index: 0, wait: '60s'})
+            .reply(200, nockTestParams.firstResponseBody, nockTestParams.firstResponseHeaders)
+            .get(`/v1/health/service/${options.serviceName}`).query({index: secondRequestIndex, wait: '60s'})
+            .delay(60000)
+            .reply(200, nockTestParams.firstResponseBody, nockTestParams.firstResponseHeaders);
+
+        const extractors = {
+            status: {
+                extract: output => new Promise(resolve => {
+                    setTimeout(() => resolve(output.data.status), 10);
+                })
+            }
+        };
+        const monitor = new ServiceInstancesMonitor(
+            _.assign({extractTimeoutMsec: 1000}, options),
+            consulClient,
+            extractors
+        );
+        const initialInstances = await monitor.startService();
+        monitor.stopService();
+
+        assert.deepEqual(
+            initialInstances.getHealthy().map(instance => instance.getInfo().get('status')),
+            ['OK', 'OK']
+        );
+        assert.strictEqual(monitor.getInstances(), initialInstances);
+    });
+
+    it('stop of the service while asynchronous extractors of initial nodes are running', async function () {
+        nock(consulHostAndPort)
+            .get(`/v1/health/service/${options.serviceName}`).query({index: 0, wait: '60s'})
+            .reply(200, nockTestParams.firstResponseBody, nockTestParams.firstResponseHeaders)
+            .get(`/v1/health/service/${options.serviceName}`)
+            .query({index: nockTestParams.firstResponseHeaders['X-Consul-Index'], wait: '60s'})
+            .delay(60000)
+            .reply(200, nockTestParams.firstResponseBody, nockTestParams.firstResponseHeaders);
+
+        let resolveExtractionStarted;
+        const extractionStarted = new Promise(resolve => {
+            resolveExtractionStarted = resolve;
+        });
+        const extractors = {
+            status: {
+                extract: output => new Promise(resolve => {
+                    resolveExtractionStarted();
+                    setTimeout(() => resolve(output.data.status), 100);
+                })
+            }
+        };
+        const monitor = new ServiceInstancesMonitor(
+            _.assign({extractTimeoutMsec: 1000}, options),
+            consulClient,
+            extractors
+        );
+        const initialInstances = monitor.getInstances();
+        const startPromise = monitor.startService();
+
+        await extractionStarted;
+        monitor.stopService();
+
+        await assertThrowsAsync(() => startPromise, WatchError, 'Service was stopped before the end of start');
+
+        await new Promise(resolve => {
+            setTimeout(resolve, 200);
+        });
+
+        assert.isFalse(monitor.isInitialized());
+        assert.isFalse(monitor._isWatcherRegistered());
+        assert.strictEqual(monitor.getInstances(), initialInstances);
+    });
+
     it('check of initial list of nodes received from startService', async function () {
         const expectedConsulHeaders = {
             'x-consul-index': nockTestParams.firstResponseHeaders['X-Consul-Index'],
@@ -169,7 +270,10 @@ describe('ServiceInstancesMonitor methods tests', function () {
             nockTestParams.firstResponseBody[0].Node.Datacenter,
             nockTestParams.firstResponseBody[0].Service.ID,
             nockTestParams.firstResponseBody[0].Service.Tags,
-            null
+            null,
+            [],
+            nockTestParams.firstResponseBody[0].Checks.map(buildHealthCheck),
+            buildCheckResult(nockTestParams.firstResponseBody[0].Checks[1].Output)
         );
 
         const expectedNode2 = new ServiceInstance(
@@ -182,7 +286,10 @@ describe('ServiceInstancesMonitor methods tests', function () {
             nockTestParams.firstResponseBody[1].Node.Datacenter,
             nockTestParams.firstResponseBody[1].Service.ID,
             nockTestParams.firstResponseBody[1].Service.Tags,
-            null
+            null,
+            [],
+            nockTestParams.firstResponseBody[1].Checks.map(buildHealthCheck),
+            buildCheckResult(nockTestParams.firstResponseBody[1].Checks[1].Output)
         );
 
         const firstRequestIndex = 0;
@@ -584,3 +691,187 @@ describe('ServiceInstancesMonitor methods tests', function () {
         monitor.stopService();
     });
 });
+
+describe('ServiceInstancesMonitor with several datacenters', function () {
+
+    const consulHost = '127.0.0.1';
+    let consulPort;
+    let consulHostAndPort;
+    let consulClient;
+
+    const options = deepFreeze({
+        serviceName: 'transcoder',
+        timeoutMsec: 500,
+        checkNameWithStatus: 'Transcoder health status',
+        dcs: ['dc1', 'dc2']
+    });
+
+    const dc2ResponseBody = _.cloneDeep([nockTestParams.firstResponseBody[1]]);
+    dc2ResponseBody[0].Node.Datacenter = 'dc2';
+
+    before(async () => {
+        consulPort = await getPort();
+        consulHostAndPort = `http://${consulHost}:${consulPort}`;
+    });
+
+    beforeEach(function () {
+        consulClient = new Consul({
+            host: consulHost,
+            port: consulPort,
+        });
+
+        nock.cleanAll();
+    });
+
+    after(function () {
+        nock.cleanAll();
+        nock.abortPendingRequests();
+    });
+
+    it('merges instances of all datacenters', async function () {
+        const secondRequestIndex = nockTestParams.firstResponseHeaders['X-Consul-Index'];
+
+        nock(consulHostAndPort)
+            .get(`/v1/health/service/${options.serviceName}`).query({dc: 'dc1', index: 0, wait: '60s'})
+            .reply(200, [nockTestParams.firstResponseBody[0]], nockTestParams.firstResponseHeaders)
+            .get(`/v1/health/service/${options.serviceName}`).query({dc: 'dc2', index: 0, wait: '60s'})
+            .reply(200, dc2ResponseBody, nockTestParams.firstResponseHeaders)
+            .get(`/v1/health/service/${options.serviceName}`).query({dc: 'dc1', index: secondRequestIndex, wait: '60s'})
+            .delay(60000)
+            .reply(200, [], nockTestParams.firstResponseHeaders)
+            .get(`/v1/health/service/${options.serviceName}`).query({dc: 'dc2', index: secondRequestIndex, wait: '60s'})
+            .delay(60000)
+            .reply(200, [], nockTestParams.firstResponseHeaders);
+
+        const monitor = new ServiceInstancesMonitor(options, consulClient);
+        const initialInstances = await monitor.startService();
+
+        assert.isTrue(monitor.isInitialized());
+        assert.isTrue(monitor.isWatchHealthy());
+        assert.isTrue(monitor.isDatacenterWatchHealthy('dc1'));
+        assert.isTrue(monitor.isDatacenterWatchHealthy('dc2'));
+        assert.deepEqual(monitor.getDatacenters(), ['dc1', 'dc2']);
+        assert.strictEqual(monitor.getInstances(), initialInstances);
+        assert.lengthOf(initialInstances.getHealthy(), 2);
+        assert.lengthOf(initialInstances.getByDatacenter('dc1').getHealthy(), 1);
+        assert.lengthOf(initialInstances.getByDatacenter('dc2').getHealthy(), 1);
+        assert.strictEqual(
+            initialInstances.getByDatacenter('dc2').getHealthy()[0].getNodeAddress(),
+            dc2ResponseBody[0].Node.Address
+        );
+        assert.strictEqual(
+            monitor.getConsulHeaders('dc1')['x-consul-index'],
+            nockTestParams.firstResponseHeaders['X-Consul-Index']
+        );
+
+        monitor.stopService();
+
+        assert.isFalse(monitor.isInitialized());
+        assert.isFalse(monitor.isWatchHealthy());
+        assert.isEmpty(monitor.getDatacenters());
+    });
+
+    it('unreachable datacenter does not make the monitor unhealthy', async function () {
+        const secondRequestIndex = nockTestParams.firstResponseHeaders['X-Consul-Index'];
+
+        nock(consulHostAndPort)
+            .get(`/v1/health/service/${options.serviceName}`).query({dc: 'dc1', index: 0, wait: '60s'})
+            .reply(200, [nockTestParams.firstResponseBody[0]], nockTestParams.firstResponseHeaders)
+            .get(`/v1/health/service/${options.serviceName}`).query({dc: 'dc2', index: 0, wait: '60s'})
+            .reply(500, 'No path to datacenter')
+            .get(`/v1/health/service/${options.serviceName}`).query({dc: 'dc1', index: secondRequestIndex, wait: '60s'})
+            .delay(60000)
+            .reply(200, [], nockTestParams.firstResponseHeaders);
+
+        const errors = [];
+        const monitor = new ServiceInstancesMonitor(options, consulClient);
+        monitor.on('error', err => errors.push(err));
+
+        const initialInstances = await monitor.startService();
+
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.isTrue(monitor.isInitialized());
+        assert.isTrue(monitor.isWatchHealthy());
+        assert.isTrue(monitor.isDatacenterWatchHealthy('dc1'));
+        assert.isFalse(monitor.isDatacenterWatchHealthy('dc2'));
+        assert.lengthOf(initialInstances.getHealthy(), 1);
+        assert.lengthOf(errors, 1);
+        assert.instanceOf(errors[0], WatchError);
+
+        monitor.stopService();
+    });
+
+    it('start fails if all datacenters are unreachable', async function () {
+        nock(consulHostAndPort)
+            .get(`/v1/health/service/${options.serviceName}`).query({dc: 'dc1', index: 0, wait: '60s'})
+            .reply(500, 'Internal error')
+            .get(`/v1/health/service/${options.serviceName}`).query({dc: 'dc2', index: 0, wait: '60s'})
+            .reply(500, 'Internal error');
+
+        const monitor = new ServiceInstancesMonitor(options, consulClient);
+
+        await assertThrowsAsync(() => monitor.startService(), WatchError, 'internal server error');
+
+        assert.isFalse(monitor.isInitialized());
+        assert.isFalse(monitor.isWatchHealthy());
+        assert.isEmpty(monitor.getDatacenters());
+    });
+
+    it('stop of the service while datacenters are starting', async function () {
+        // monitors of datacenters must be stopped together with their timers of the initial request,
+        // otherwise the timers fire after the stop of the service
+
+        this.timeout(options.timeoutMsec * 4);
+
+        nock(consulHostAndPort)
+            .get(`/v1/health/service/${options.serviceName}`).query({dc: 'dc1', index: 0, wait: '60s'})
+            .delay(60000)
+            .reply(200, [nockTestParams.firstResponseBody[0]], nockTestParams.firstResponseHeaders)
+            .get(`/v1/health/service/${options.serviceName}`).query({dc: 'dc2', index: 0, wait: '60s'})
+            .delay(60000)
+            .reply(200, dc2ResponseBody, nockTestParams.firstResponseHeaders);
+
+        const monitor = new ServiceInstancesMonitor(options, consulClient);
+        const startPromise = monitor.startService();
+
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.deepEqual(monitor.getDatacenters(), ['dc1', 'dc2']);
+
+        const datacenterMonitors = [...monitor._datacenterMonitors.values()];
+        monitor.stopService();
+
+        await assertThrowsAsync(() => startPromise, WatchError, 'Service was stopped before the end of start');
+
+        await new Promise(resolve => {
+            setTimeout(resolve, options.timeoutMsec * 2);
+        });
+
+        assert.isFalse(monitor.isInitialized());
+        assert.isFalse(monitor.isWatchHealthy());
+        assert.isEmpty(monitor.getDatacenters());
+        datacenterMonitors.forEach(datacenterMonitor => assert.isFalse(datacenterMonitor._isWatcherRegistered()));
+    });
+
+    it('resolves datacenters from consul for wildcard', async function () {
+        const secondRequestIndex = nockTestParams.firstResponseHeaders['X-Consul-Index'];
+
+        nock(consulHostAndPort)
+            .get('/v1/catalog/datacenters')
+            .reply(200, ['dc2'])
+            .get(`/v1/health/service/${options.serviceName}`).query({dc: 'dc2', index: 0, wait: '60s'})
+            .reply(200, dc2ResponseBody, nockTestParams.firstResponseHeaders)
+            .get(`/v1/health/service/${options.serviceName}`).query({dc: 'dc2', index: secondRequestIndex, wait: '60s'})
+            .delay(60000)
+            .reply(200, [], nockTestParams.firstResponseHeaders);
+
+        const monitor = new ServiceInstancesMonitor(_.assign({}, options, {dcs: '*'}), consulClient);
+        const initialInstances = await monitor.startService();
+
+        assert.deepEqual(monitor.getDatacenters(), ['dc2']);
+        assert.lengthOf(initialInstances.getByDatacenter('dc2').getHealthy(), 1);
+
+        monitor.stopService();
+    });
+});
@@ -0,0 +1,78 @@
+'use strict';
+
+const {assertThrowsAsync} = require('../support/helpers');
+const Consul = require('consul');
+const nock = require('nock');
+const assert = require('chai').assert;
+const sinon = require('sinon');
+const deepFreeze = require('deep-freeze');
+const getPort = require('get-port');
+const ServiceRegistryMonitor = require('src/ServiceRegistryMonitor');
+const {WatchError} = require('src/Error');
+
+const nockTestParams = require('./nock.data');
+
+describe('ServiceRegistryMonitor methods tests', function () {
+
+    const consulHost = '127.0.0.1';
+    let consulPort;
+    let consulHostAndPort;
+    let consulClient;
+
+    const timeoutMsec = 500;
+    const services = deepFreeze({
+        transcoder: {timeoutMsec, checkNameWithStatus: 'Transcoder health status'},
+        http: {timeoutMsec, serviceName: 'example_http_service', checkNameWithStatus: 'http status'},
+    });
+
+    before(async () => {
+        consulPort = await getPort();
+        consulHostAndPort = `http://${consulHost}:${consulPort}`;
+    });
+
+    beforeEach(function () {
+        consulClient = new Consul({
+            host: consulHost,
+            port: consulPort,
+        });
+
+        nock.cleanAll();
+    });
+
+    after(function () {
+        nock.cleanAll();
+        nock.abortPendingRequests();
+    });
+
+    it('monitors that are still starting are stopped if another one fails to start', async function () {
+        // the start of the monitor of `http` must be aborted together with its timer of the initial request,
+        // otherwise the timer fires after the stop of the monitor
+
+        this.timeout(timeoutMsec * 4);
+
+        nock(consulHostAndPort)
+            .get('/v1/health/service/transcoder').query({index: 0, wait: '60s'})
+            .reply(500, 'Internal error')
+            .get('/v1/health/service/example_http_service').query({index: 0, wait: '60s'})
+            .delay(60000)
+            .reply(200, nockTestParams.firstResponseBody, nockTestParams.firstResponseHeaders);
+
+        const registry = new ServiceRegistryMonitor(services, consulClient);
+        const httpStartSpy = sinon.spy(registry.getMonitor('http'), 'startService');
+
+        await assertThrowsAsync(() => registry.startService(), WatchError, 'internal server error');
+        await assertThrowsAsync(
+            () => httpStartSpy.firstCall.returnValue,
+            WatchError,
+            'Service was stopped before the end of start'
+        );
+
+        await new Promise(resolve => {
+            setTimeout(resolve, timeoutMsec * 2);
+        });
+
+        assert.isFalse(registry.isInitialized());
+        assert.isFalse(registry.isWatchHealthy());
+        assert.isFalse(registry.getMonitor('http')._isWatcherRegistered());
+    });
+});
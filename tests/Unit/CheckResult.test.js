@@ -0,0 +1,32 @@
+'use strict';
+
+const assert = require('chai').assert;
+const CheckResult = require('src/CheckResult');
+
+describe('CheckResult', function () {
+
+    const validArgs = ['GET', 'http://172.16.3.3:3000/service/status', 503, 'Service Unavailable'];
+
+    [
+        [0, '', 'method must be a non-empty string'],
+        [1, null, 'url must be a non-empty string'],
+        [2, '503', 'statusCode must be an integer'],
+        [3, undefined, 'reasonPhrase must be a string'],
+    ].forEach(([position, value, message]) => {
+        it(`constructor: ${message}, value = ${JSON.stringify(value)}`, function () {
+            const args = [...validArgs];
+            args[position] = value;
+
+            assert.throws(() => new CheckResult(...args), TypeError, message);
+        });
+    });
+
+    it('getters return values passed to constructor', function () {
+        const checkResult = new CheckResult(...validArgs);
+
+        assert.strictEqual(checkResult.getMethod(), 'GET');
+        assert.strictEqual(checkResult.getUrl(), 'http://172.16.3.3:3000/service/status');
+        assert.strictEqual(checkResult.getStatusCode(), 503);
+        assert.strictEqual(checkResult.getReasonPhrase(), 'Service Unavailable');
+    });
+});
@@ -0,0 +1,138 @@
+'use strict';
+
+const assert = require('chai').assert;
+const sinon = require('sinon');
+const CircuitBreaker = require('src/CircuitBreaker');
+
+describe('CircuitBreaker', function () {
+    let clock;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers();
+    });
+
+    afterEach(() => {
+        clock.restore();
+    });
+
+    function fail(breaker, count) {
+        for (let i = 0; i < count; i++) {
+            breaker.onCallStarted().onFailure();
+        }
+    }
+
+    [0, -1, 1.5, '10', null].forEach(value => {
+        it(`constructor: incorrect "failureThreshold", value = ${JSON.stringify(value)}`, function () {
+            assert.throws(() => new CircuitBreaker(value), TypeError, 'failureThreshold must be a positive integer');
+        });
+
+        it(`constructor: incorrect "resetTimeoutMsec", value = ${JSON.stringify(value)}`, function () {
+            assert.throws(() => new CircuitBreaker(3, value), TypeError, 'resetTimeoutMsec must be a positive integer');
+        });
+    });
+
+    it('breaker is closed initially', function () {
+        const breaker = new CircuitBreaker();
+
+        assert.strictEqual(breaker.getState(), CircuitBreaker.STATE_CLOSED);
+        assert.isTrue(breaker.isCallPermitted());
+    });
+
+    it('breaker opens after failures in a row', function () {
+        const breaker = new CircuitBreaker(3, 1000);
+
+        fail(breaker, 2);
+        assert.strictEqual(breaker.getState(), CircuitBreaker.STATE_CLOSED);
+
+        fail(breaker, 1);
+        assert.strictEqual(breaker.getState(), CircuitBreaker.STATE_OPEN);
+        assert.isFalse(breaker.isCallPermitted());
+    });
+
+    it('success breaks the row of failures', function () {
+        const breaker = new CircuitBreaker(3, 1000);
+
+        fail(breaker, 2);
+        assert.strictEqual(breaker.onSuccess(), breaker);
+        fail(breaker, 2);
+
+        assert.strictEqual(breaker.getState(), CircuitBreaker.STATE_CLOSED);
+    });
+
+    it('open breaker becomes half-open after reset timeout and lets one trial call through', function () {
+        const breaker = new CircuitBreaker(1, 1000);
+
+        fail(breaker, 1);
+        clock.tick(999);
+        assert.strictEqual(breaker.getState(), CircuitBreaker.STATE_OPEN);
+
+        clock.tick(1);
+        assert.strictEqual(breaker.getState(), CircuitBreaker.STATE_HALF_OPEN);
+        assert.isTrue(breaker.isCallPermitted());
+
+        assert.strictEqual(breaker.onCallStarted(), breaker);
+        assert.isFalse(breaker.isCallPermitted(), 'only one trial call is let through');
+    });
+
+    it('success of trial call closes the breaker', function () {
+        const breaker = new CircuitBreaker(2, 1000);
+
+        fail(breaker, 2);
+        clock.tick(1000);
+        breaker.onCallStarted().onSuccess();
+
+        assert.strictEqual(breaker.getState(), CircuitBreaker.STATE_CLOSED);
+        assert.isTrue(breaker.isCallPermitted());
+
+        fail(breaker, 1);
+        assert.strictEqual(breaker.getState(), CircuitBreaker.STATE_CLOSED, 'the row of failures starts anew');
+    });
+
+    it('failure of trial call opens the breaker again', function () {
+        const breaker = new CircuitBreaker(2, 1000);
+
+        fail(breaker, 2);
+        clock.tick(1000);
+        assert.strictEqual(breaker.onCallStarted().onFailure(), breaker);
+
+        assert.strictEqual(breaker.getState(), CircuitBreaker.STATE_OPEN);
+
+        clock.tick(1000);
+        assert.strictEqual(breaker.getState(), CircuitBreaker.STATE_HALF_OPEN);
+        assert.isTrue(breaker.isCallPermitted());
+    });
+
+    it('next trial call is let through if the trial call is not settled in reset timeout', function () {
+        const breaker = new CircuitBreaker(1, 1000);
+
+        fail(breaker, 1);
+        clock.tick(1000);
+        breaker.onCallStarted();
+
+        clock.tick(999);
+        assert.isFalse(breaker.isCallPermitted());
+
+        clock.tick(1);
+        assert.isTrue(breaker.isCallPermitted());
+
+        breaker.onCallStarted();
+        assert.isFalse(breaker.isCallPermitted(), 'only one trial call is let through again');
+
+        breaker.onSuccess();
+        assert.strictEqual(breaker.getState(), CircuitBreaker.STATE_CLOSED);
+    });
+
+    it('late outcome of call started before the breaker opened is ignored', function () {
+        const breaker = new CircuitBreaker(1, 1000);
+
+        breaker.onCallStarted();
+        fail(breaker, 1);
+
+        breaker.onSuccess();
+        assert.strictEqual(breaker.getState(), CircuitBreaker.STATE_OPEN);
+
+        breaker.onFailure();
+        clock.tick(1000);
+        assert.strictEqual(breaker.getState(), CircuitBreaker.STATE_HALF_OPEN, 'reset timeout is not restarted');
+    });
+});
@@ -0,0 +1,206 @@
+'use strict';
+
+const EventEmitter = require('events');
+const assert = require('chai').assert;
+const sinon = require('sinon');
+const CircuitBreaker = require('src/CircuitBreaker');
+const CircuitBreakerRegistry = require('src/CircuitBreakerRegistry');
+const ServiceInstance = require('src/ServiceInstance');
+const ServiceInstances = require('src/ServiceInstances');
+const {NoAvailableInstanceError} = require('src/Error');
+
+function createInstance(serviceId) {
+    return new ServiceInstance(
+        null, null, null, 8080, '192.168.101.10', 'transcoder-1.priv', 'dc1', serviceId, [], null
+    );
+}
+
+class FakeMonitor extends EventEmitter {
+    constructor(instances = new ServiceInstances()) {
+        super();
+        this._instances = instances;
+    }
+
+    getInstances() {
+        return this._instances;
+    }
+}
+
+function getRejection(promise) {
+    return promise.then(() => assert.fail('promise must be rejected'), err => err);
+}
+
+describe('CircuitBreakerRegistry', function () {
+    const first = createInstance('transcoder_1');
+    const second = createInstance('transcoder_2');
+    const unhealthy = createInstance('transcoder_3');
+
+    let clock;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers();
+    });
+
+    afterEach(() => {
+        clock.restore();
+    });
+
+    function createMonitor() {
+        return new FakeMonitor(new ServiceInstances().addHealthy(first).addHealthy(second).addUnhealthy(unhealthy));
+    }
+
+    [null, {}, {on: () => {}, removeListener: () => {}}].forEach(monitor => {
+        it(`constructor: incorrect monitor, value = ${JSON.stringify(monitor)}`, function () {
+            assert.throws(
+                () => new CircuitBreakerRegistry(monitor),
+                TypeError,
+                'monitor argument does not look like ServiceInstancesMonitor object'
+            );
+        });
+    });
+
+    [
+        [null, 'options must be an object'],
+        [{failureThreshold: 0}, 'options.failureThreshold must be a positive integer'],
+        [{failureThreshold: '5'}, 'options.failureThreshold must be a positive integer'],
+        [{resetTimeoutMsec: -1}, 'options.resetTimeoutMsec must be a positive integer'],
+        [{resetTimeoutMsec: 1.5}, 'options.resetTimeoutMsec must be a positive integer'],
+    ].forEach(([options, message]) => {
+        it(`constructor: incorrect options, value = ${JSON.stringify(options)}`, function () {
+            assert.throws(() => new CircuitBreakerRegistry(new FakeMonitor(), options), TypeError, message);
+        });
+    });
+
+    it('breakers are created for all instances of the monitor', function () {
+        const registry = new CircuitBreakerRegistry(createMonitor());
+
+        assert.strictEqual(registry.getSize(), 3);
+        assert.instanceOf(registry.getBreaker(first), CircuitBreaker);
+        assert.instanceOf(registry.getBreaker(unhealthy), CircuitBreaker);
+        assert.notStrictEqual(registry.getBreaker(first), registry.getBreaker(second));
+        assert.isNull(registry.getBreaker(createInstance('transcoder_4')));
+    });
+
+    it('breakers follow changes of the monitor', function () {
+        const monitor = createMonitor();
+        const registry = new CircuitBreakerRegistry(monitor, {failureThreshold: 1});
+        const breaker = registry.getBreaker(first);
+        const added = createInstance('transcoder_4');
+
+        registry.getBreaker(second).onFailure();
+
+        monitor.emit('changed', new ServiceInstances().addHealthy(first).addUnhealthy(added));
+
+        assert.strictEqual(registry.getSize(), 2);
+        assert.strictEqual(registry.getBreaker(first), breaker, 'breaker of the kept instance is kept');
+        assert.instanceOf(registry.getBreaker(added), CircuitBreaker);
+        assert.isNull(registry.getBreaker(second));
+
+        monitor.emit('changed', new ServiceInstances().addHealthy(first).addHealthy(second));
+
+        assert.strictEqual(
+            registry.getBreaker(second).getState(),
+            CircuitBreaker.STATE_CLOSED,
+            'instance that registers again starts with a closed breaker'
+        );
+    });
+
+    it('execute picks healthy instances in turn and resolves with the result of fn', async function () {
+        const registry = new CircuitBreakerRegistry(createMonitor());
+        const picked = [];
+
+        for (let i = 0; i < 3; i++) {
+            assert.strictEqual(await registry.execute(instance => picked.push(instance) && 'result'), 'result');
+        }
+
+        assert.deepEqual(picked, [first, second, first]);
+    });
+
+    it('execute feeds the outcome back to the breaker of the instance', async function () {
+        const registry = new CircuitBreakerRegistry(createMonitor(), {failureThreshold: 2, resetTimeoutMsec: 1000});
+        const error = new Error('connection refused');
+        const calls = [];
+
+        const fn = instance => {
+            calls.push(instance);
+
+            return instance === first ? Promise.reject(error) : 'result';
+        };
+
+        assert.strictEqual(await getRejection(registry.execute(fn)), error);
+        await registry.execute(fn);
+        assert.strictEqual(await getRejection(registry.execute(fn)), error);
+
+        assert.strictEqual(registry.getBreaker(first).getState(), CircuitBreaker.STATE_OPEN);
+        assert.strictEqual(registry.getBreaker(second).getState(), CircuitBreaker.STATE_CLOSED);
+
+        // instance with open breaker is skipped
+        await registry.execute(fn);
+        await registry.execute(fn);
+        assert.deepEqual(calls, [first, second, first, second, second]);
+    });
+
+    it('error thrown by fn rejects the promise and counts as failure', async function () {
+        const registry = new CircuitBreakerRegistry(createMonitor(), {failureThreshold: 1});
+        const error = new Error('bad request');
+
+        const err = await getRejection(registry.execute(() => {
+            throw error;
+        }));
+
+        assert.strictEqual(err, error);
+        assert.strictEqual(registry.getBreaker(first).getState(), CircuitBreaker.STATE_OPEN);
+    });
+
+    it('execute lets one trial call through half-open breaker', async function () {
+        const monitor = new FakeMonitor(new ServiceInstances().addHealthy(first));
+        const registry = new CircuitBreakerRegistry(monitor, {failureThreshold: 1, resetTimeoutMsec: 1000});
+
+        await getRejection(registry.execute(() => Promise.reject(new Error('timeout'))));
+        clock.tick(1000);
+
+        let resolveTrial;
+        const trial = registry.execute(() => new Promise(resolve => resolveTrial = resolve));
+
+        assert.instanceOf(await getRejection(registry.execute(() => 'result')), NoAvailableInstanceError);
+
+        resolveTrial('trial');
+        assert.strictEqual(await trial, 'trial');
+        assert.strictEqual(registry.getBreaker(first).getState(), CircuitBreaker.STATE_CLOSED);
+        assert.strictEqual(await registry.execute(() => 'result'), 'result');
+    });
+
+    it('execute rejects if there is no healthy instance with closed breaker', async function () {
+        const monitor = new FakeMonitor(new ServiceInstances().addHealthy(first).addUnhealthy(unhealthy));
+        const registry = new CircuitBreakerRegistry(monitor, {failureThreshold: 1});
+        const fn = sinon.spy();
+
+        registry.getBreaker(first).onFailure();
+
+        const err = await getRejection(registry.execute(fn));
+
+        assert.instanceOf(err, NoAvailableInstanceError);
+        assert.strictEqual(err.message, 'there is no healthy instance with closed circuit breaker');
+        assert.isTrue(fn.notCalled);
+    });
+
+    it('execute rejects if fn is not a function', async function () {
+        const registry = new CircuitBreakerRegistry(createMonitor());
+
+        const err = await getRejection(registry.execute('fn'));
+
+        assert.instanceOf(err, TypeError);
+        assert.strictEqual(err.message, 'fn must be a function');
+    });
+
+    it('close stops following changes of the monitor', async function () {
+        const monitor = createMonitor();
+        const registry = new CircuitBreakerRegistry(monitor);
+
+        assert.strictEqual(registry.close(), registry);
+        assert.strictEqual(monitor.listenerCount('changed'), 0);
+        assert.strictEqual(registry.getSize(), 0);
+        assert.isNull(registry.getBreaker(first));
+        assert.instanceOf(await getRejection(registry.execute(() => 'result')), NoAvailableInstanceError);
+    });
+});
@@ -0,0 +1,56 @@
+'use strict';
+
+const assert = require('chai').assert;
+const BaseExtractor = require('src/Extractor/BaseExtractor');
+const {SchemaValidationError} = require('src/Error');
+
+describe('BaseExtractor', function () {
+
+    class BuildExtractor extends BaseExtractor {
+        _extract(outputObject) {
+            if (outputObject.data.build === undefined) {
+                throw new SchemaValidationError('"data.build" field is required', {path: 'data.build'});
+            }
+
+            if (outputObject.data.build === null) {
+                throw new RangeError('unexpected null');
+            }
+
+            return outputObject.data.build;
+        }
+    }
+
+    [null, 'true', 1].forEach(isMandatory => {
+        it(`constructor: incorrect "isMandatory", value = ${JSON.stringify(isMandatory)}`, function () {
+            assert.throws(() => new BuildExtractor(isMandatory), TypeError, 'isMandatory must be a boolean');
+        });
+    });
+
+    it('extractor is mandatory by default', function () {
+        assert.isTrue(new BuildExtractor().isMandatory());
+        assert.isFalse(new BuildExtractor(false).isMandatory());
+    });
+
+    it('returns result of _extract', function () {
+        assert.strictEqual(new BuildExtractor().extract({data: {build: '4f2a9c1'}}), '4f2a9c1');
+        assert.strictEqual(new BuildExtractor(false).extract({data: {build: '4f2a9c1'}}), '4f2a9c1');
+    });
+
+    it('mandatory extractor throws on invalid output', function () {
+        assert.throws(() => new BuildExtractor().extract({data: {}}), SchemaValidationError, '"data.build"');
+    });
+
+    it('optional extractor returns undefined on invalid output', function () {
+        assert.isUndefined(new BuildExtractor(false).extract({data: {}}));
+    });
+
+    it('optional extractor does not suppress other errors', function () {
+        assert.throws(() => new BuildExtractor(false).extract({data: {build: null}}), RangeError, 'unexpected null');
+    });
+
+    it('_extract must be implemented', function () {
+        class EmptyExtractor extends BaseExtractor {}
+
+        assert.throws(() => new EmptyExtractor().extract({}), Error, 'EmptyExtractor must implement _extract()');
+    });
+});
@@ -0,0 +1,33 @@
+'use strict';
+
+const assert = require('chai').assert;
+const CpuInfoExtractor = require('src/Extractor/CpuInfoExtractor');
+const CpuInfo = require('src/Extractor/dto/CpuInfo');
+const {SchemaValidationError} = require('src/Error');
+
+describe('CpuInfoExtractor', function () {
+
+    [{usage: 0.53, count: 10}, {usage: 100, count: -1}, {usage: 0, count: 1}].forEach(cpu => {
+        it(`extracts CpuInfo, cpu = ${JSON.stringify(cpu)}`, function () {
+            const cpuInfo = new CpuInfoExtractor().extract({data: {status: 'OK', cpu}});
+
+            assert.instanceOf(cpuInfo, CpuInfo);
+            assert.strictEqual(cpuInfo.getCpuUsage(), cpu.usage);
+            assert.strictEqual(cpuInfo.getCpuCount(), cpu.count);
+        });
+    });
+
+    [
+        [{}, '"data.cpu.usage" field is required'],
+        [{data: {cpu: 'high'}}, '"data.cpu.usage" field is required'],
+        [{data: {cpu: {usage: 101, count: 10}}}, '"data.cpu.usage" field must be a number between [0, 100]'],
+        [{data: {cpu: {usage: -0.5, count: 10}}}, '"data.cpu.usage" field must be a number between [0, 100]'],
+        [{data: {cpu: {usage: 0.53, count: 1.5}}}, '"data.cpu.count" field must be an integer not less than -1'],
+        [{data: {cpu: {usage: 0.53}}}, '"data.cpu.count" field is required'],
+    ].forEach(([outputObject, message]) => {
+        it(`invalid output, value = ${JSON.stringify(outputObject)}`, function () {
+            assert.throws(() => new CpuInfoExtractor().extract(outputObject), SchemaValidationError, message);
+            assert.isUndefined(new CpuInfoExtractor(false).extract(outputObject));
+        });
+    });
+});
@@ -0,0 +1,30 @@
+'use strict';
+
+const assert = require('chai').assert;
+const MemoryInfoExtractor = require('src/Extractor/MemoryInfoExtractor');
+const MemoryInfo = require('src/Extractor/dto/MemoryInfo');
+const {SchemaValidationError} = require('src/Error');
+
+describe('MemoryInfoExtractor', function () {
+
+    [{total: 12452, free: 11078}, {total: -1, free: -1}].forEach(mem => {
+        it(`extracts MemoryInfo, mem = ${JSON.stringify(mem)}`, function () {
+            const memoryInfo = new MemoryInfoExtractor().extract({data: {status: 'OK', mem}});
+
+            assert.instanceOf(memoryInfo, MemoryInfo);
+            assert.strictEqual(memoryInfo.getTotalMemory(), mem.total);
+            assert.strictEqual(memoryInfo.getFreeMemory(), mem.free);
+        });
+    });
+
+    [
+        [{data: {}}, '"data.mem.total" field is required'],
+        [{data: {mem: {total: '12452', free: 11078}}}, '"data.mem.total" field must be an integer not less than -1'],
+        [{data: {mem: {total: 12452, free: -2}}}, '"data.mem.free" field must be an integer not less than -1'],
+    ].forEach(([outputObject, message]) => {
+        it(`invalid output, value = ${JSON.stringify(outputObject)}`, function () {
+            assert.throws(() => new MemoryInfoExtractor().extract(outputObject), SchemaValidationError, message);
+            assert.isUndefined(new MemoryInfoExtractor(false).extract(outputObject));
+        });
+    });
+});
@@ -0,0 +1,27 @@
+'use strict';
+
+const assert = require('chai').assert;
+const PidInfoExtractor = require('src/Extractor/PidInfoExtractor');
+const PidInfo = require('src/Extractor/dto/PidInfo');
+const {SchemaValidationError} = require('src/Error');
+
+describe('PidInfoExtractor', function () {
+
+    it('extracts PidInfo', function () {
+        const pidInfo = new PidInfoExtractor().extract({data: {status: 'OK', pid: 29}});
+
+        assert.instanceOf(pidInfo, PidInfo);
+        assert.strictEqual(pidInfo.getPid(), 29);
+    });
+
+    [
+        [{data: {}}, '"data.pid" field is required'],
+        [{data: {pid: '29'}}, '"data.pid" field must be an integer not less than 1'],
+        [{data: {pid: 0}}, '"data.pid" field must be an integer not less than 1'],
+    ].forEach(([outputObject, message]) => {
+        it(`invalid output, value = ${JSON.stringify(outputObject)}`, function () {
+            assert.throws(() => new PidInfoExtractor().extract(outputObject), SchemaValidationError, message);
+            assert.isUndefined(new PidInfoExtractor(false).extract(outputObject));
+        });
+    });
+});
@@ -0,0 +1,168 @@
+'use strict';
+
+const assert = require('chai').assert;
+const deepFreeze = require('deep-freeze');
+const SchemaExtractor = require('src/Extractor/SchemaExtractor');
+const {InvalidDataError, SchemaValidationError} = require('src/Error');
+
+describe('SchemaExtractor', function () {
+
+    const output = deepFreeze({
+        data: {
+            status: 'OK',
+            pid: 29,
+            mem: {total: 12452, free: 11078},
+            cpu: {usage: 0.53, count: 10},
+            features: ['hls', 'dash'],
+        }
+    });
+
+    const schema = {
+        status: {path: 'data.status', type: 'string', enum: ['OK', 'OVERLOADED', 'MAINTENANCE']},
+        pid: {path: 'data.pid', type: 'integer', min: 1},
+        cpuUsage: {path: 'data.cpu.usage', type: 'number', min: 0, max: 100},
+        features: {path: 'data.features', type: 'array'},
+    };
+
+    [
+        [null, 'schema must be a non-empty object'],
+        [{}, 'schema must be a non-empty object'],
+        [{cpu: 'number'}, 'schema.cpu must be an object'],
+        [{cpu: {path: '', type: 'number'}}, 'schema.cpu.path must be a non-empty string'],
+        [{cpu: {type: 'float'}}, 'schema.cpu.type must be one of the following values'],
+        [{cpu: {type: 'string', min: 1}}, 'schema.cpu.min is allowed for number and integer fields only'],
+        [{cpu: {type: 'number', max: '100'}}, 'schema.cpu.max must be a number'],
+        [{cpu: {type: 'number', min: 10, max: 1}}, 'schema.cpu.min must not be greater than schema.cpu.max'],
+        [{cpu: {type: 'string', enum: []}}, 'schema.cpu.enum must be a non-empty array'],
+        [{cpu: {type: 'number', optional: 'yes'}}, 'schema.cpu.optional must be a boolean'],
+        [{cpu: {type: 'number', max: 100, default: 101}}, 'schema.cpu.default must be a number not greater than 100'],
+    ].forEach(([invalidSchema, message]) => {
+        it(`constructor: incorrect schema, value = ${JSON.stringify(invalidSchema)}`, function () {
+            assert.throws(() => new SchemaExtractor(invalidSchema), TypeError, message);
+        });
+    });
+
+    it('constructor: incorrect options', function () {
+        assert.throws(() => new SchemaExtractor(schema, {map: 'CpuInfo'}), TypeError, 'options.map must be a function');
+        assert.throws(
+            () => new SchemaExtractor(schema, {isMandatory: 1}), TypeError, 'options.isMandatory must be a boolean'
+        );
+    });
+
+    it('returns frozen DTO with fields of schema', function () {
+        const dto = new SchemaExtractor(schema).extract(output);
+
+        assert.deepEqual(dto, {status: 'OK', pid: 29, cpuUsage: 0.53, features: ['hls', 'dash']});
+        assert.isFrozen(dto);
+    });
+
+    it('name of field is used as path if path is omitted', function () {
+        assert.deepEqual(new SchemaExtractor({data: {type: 'object'}}).extract(output), {data: output.data});
+    });
+
+    it('returns result of map', function () {
+        class CpuInfo {
+            constructor(usage, count) {
+                this.usage = usage;
+                this.count = count;
+            }
+        }
+
+        const extractor = new SchemaExtractor(
+            {usage: {path: 'data.cpu.usage', type: 'number'}, count: {path: 'data.cpu.count', type: 'integer'}},
+            {map: fields => new CpuInfo(fields.usage, fields.count)}
+        );
+
+        const cpuInfo = extractor.extract(output);
+
+        assert.instanceOf(cpuInfo, CpuInfo);
+        assert.deepEqual(cpuInfo, new CpuInfo(0.53, 10));
+    });
+
+    it('absent field takes default value', function () {
+        const extractor = new SchemaExtractor({
+            cpuCount: {path: 'data.cpu.count', type: 'integer', default: -1},
+            gpuCount: {path: 'data.gpu.count', type: 'integer', default: -1},
+        });
+
+        assert.deepEqual(extractor.extract(output), {cpuCount: 10, gpuCount: -1});
+    });
+
+    it('absent optional field is omitted', function () {
+        const extractor = new SchemaExtractor({
+            status: {path: 'data.status', type: 'string'},
+            build: {path: 'data.build', type: 'string', optional: true},
+        });
+
+        assert.deepEqual(extractor.extract(output), {status: 'OK'});
+    });
+
+    it('absent mandatory field', function () {
+        const extractor = new SchemaExtractor({gpuCount: {path: 'data.gpu.count', type: 'integer'}});
+
+        try {
+            extractor.extract(output);
+            assert.fail('extract must throw');
+        } catch (err) {
+            assert.instanceOf(err, SchemaValidationError);
+            assert.instanceOf(err, InvalidDataError);
+            assert.strictEqual(err.message, '"data.gpu.count" field is required');
+            assert.deepEqual(err.extra, {path: 'data.gpu.count'});
+        }
+    });
+
+    [
+        [{type: 'string'}, 'pid', '"data.pid" field must be a string'],
+        [{type: 'boolean'}, 'status', '"data.status" field must be a boolean'],
+        [{type: 'integer'}, 'cpu.usage', '"data.cpu.usage" field must be an integer'],
+        [{type: 'number', min: 0, max: 0.5}, 'cpu.usage', '"data.cpu.usage" field must be a number between [0, 0.5]'],
+        [{type: 'integer', min: 30}, 'pid', '"data.pid" field must be an integer not less than 30'],
+        [{type: 'integer', max: 8}, 'cpu.count', '"data.cpu.count" field must be an integer not greater than 8'],
+        [{type: 'string', enum: ['OK']}, 'mem', '"data.mem" field must be one of the following values: ["OK"]'],
+        [
+            {type: 'string', enum: ['DOWN']}, 'status',
+            '"data.status" field must be one of the following values: ["DOWN"]'
+        ],
+        [{type: 'object'}, 'features', '"data.features" field must be an object'],
+    ].forEach(([field, path, message]) => {
+        it(`invalid field, path = data.${path}, schema = ${JSON.stringify(field)}`, function () {
+            const extractor = new SchemaExtractor({value: Object.assign({path: `data.${path}`}, field)});
+
+            try {
+                extractor.extract(output);
+                assert.fail('extract must throw');
+            } catch (err) {
+                assert.instanceOf(err, SchemaValidationError);
+                assert.strictEqual(err.message, message);
+                assert.strictEqual(err.extra.path, `data.${path}`);
+            }
+        });
+    });
+
+    it('null is not an absent value', function () {
+        const extractor = new SchemaExtractor({build: {path: 'data.build', type: 'string', optional: true}});
+
+        assert.throws(
+            () => extractor.extract({data: {build: null}}), SchemaValidationError, '"data.build" field must be a string'
+        );
+    });
+
+    it('optional extractor returns undefined on invalid output', function () {
+        const extractor = new SchemaExtractor(
+            {gpuCount: {path: 'data.gpu.count', type: 'integer'}}, {isMandatory: false, map: () => assert.fail()}
+        );
+
+        assert.isUndefined(extractor.extract(output));
+    });
+
+    it('error of map is not suppressed by optional extractor', function () {
+        const extractor = new SchemaExtractor(schema, {
+            isMandatory: false,
+            map: () => {
+                throw new RangeError('unknown status');
+            }
+        });
+
+        assert.throws(() => extractor.extract(output), RangeError, 'unknown status');
+    });
+});
@@ -0,0 +1,36 @@
+'use strict';
+
+const assert = require('chai').assert;
+const StatusInfoExtractor = require('src/Extractor/StatusInfoExtractor');
+const StatusInfo = require('src/Extractor/dto/StatusInfo');
+const {SchemaValidationError} = require('src/Error');
+
+describe('StatusInfoExtractor', function () {
+
+    [
+        ['OK', {isOk: true, isOverloaded: false, isOnMaintenance: false}],
+        ['OVERLOADED', {isOk: false, isOverloaded: true, isOnMaintenance: false}],
+        ['MAINTENANCE', {isOk: false, isOverloaded: false, isOnMaintenance: true}],
+    ].forEach(([status, expected]) => {
+        it(`extracts StatusInfo, status = ${status}`, function () {
+            const statusInfo = new StatusInfoExtractor().extract({data: {status, pid: 29}});
+
+            assert.instanceOf(statusInfo, StatusInfo);
+            assert.strictEqual(statusInfo.getStatus(), status);
+            assert.strictEqual(statusInfo.isOk(), expected.isOk);
+            assert.strictEqual(statusInfo.isOverloaded(), expected.isOverloaded);
+            assert.strictEqual(statusInfo.isOnMaintenance(), expected.isOnMaintenance);
+        });
+    });
+
+    [
+        [{status: 'OK'}, '"data.status" field is required'],
+        [{data: {status: 'ok'}}, '"data.status" field must be one of the following values: ["OK","OVERLOADED",'],
+        [{data: {status: 1}}, '"data.status" field must be one of the following values'],
+    ].forEach(([outputObject, message]) => {
+        it(`invalid output, value = ${JSON.stringify(outputObject)}`, function () {
+            assert.throws(() => new StatusInfoExtractor().extract(outputObject), SchemaValidationError, message);
+            assert.isUndefined(new StatusInfoExtractor(false).extract(outputObject));
+        });
+    });
+});
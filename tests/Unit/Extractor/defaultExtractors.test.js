@@ -0,0 +1,52 @@
+'use strict';
+
+const assert = require('chai').assert;
+const Extractors = require('src/Extractor');
+
+describe('Extractors::defaultExtractors', function () {
+
+    const outputObject = {
+        data: {status: 'OVERLOADED', pid: 29, mem: {total: 12452, free: 11078}, cpu: {usage: 0.53, count: 10}}
+    };
+
+    it('returns mandatory extractors of the payload of the example http service', function () {
+        const extractors = Extractors.defaultExtractors();
+
+        assert.hasAllKeys(extractors, ['status', 'pid', 'mem', 'cpu']);
+        assert.instanceOf(extractors.status, Extractors.StatusInfoExtractor);
+        assert.instanceOf(extractors.pid, Extractors.PidInfoExtractor);
+        assert.instanceOf(extractors.mem, Extractors.MemoryInfoExtractor);
+        assert.instanceOf(extractors.cpu, Extractors.CpuInfoExtractor);
+
+        for (const name in extractors) {
+            assert.isTrue(extractors[name].isMandatory());
+        }
+
+        assert.isTrue(extractors.status.extract(outputObject).isOverloaded());
+        assert.strictEqual(extractors.pid.extract(outputObject).getPid(), 29);
+        assert.strictEqual(extractors.mem.extract(outputObject).getFreeMemory(), 11078);
+        assert.strictEqual(extractors.cpu.extract(outputObject).getCpuUsage(), 0.53);
+    });
+
+    it('passes isMandatory to extractors', function () {
+        const extractors = Extractors.defaultExtractors(false);
+
+        for (const name in extractors) {
+            assert.isFalse(extractors[name].isMandatory());
+            assert.isUndefined(extractors[name].extract({data: {}}));
+        }
+    });
+
+    it('returns new extractors on every call', function () {
+        assert.notStrictEqual(Extractors.defaultExtractors().cpu, Extractors.defaultExtractors().cpu);
+    });
+
+    it('classes of built-in extractors are available by names of info', function () {
+        assert.deepEqual(Extractors.builtinExtractors, {
+            status: Extractors.StatusInfoExtractor,
+            pid: Extractors.PidInfoExtractor,
+            mem: Extractors.MemoryInfoExtractor,
+            cpu: Extractors.CpuInfoExtractor,
+        });
+    });
+});
@@ -0,0 +1,43 @@
+'use strict';
+
+const assert = require('chai').assert;
+const Factory = require('src/Factory');
+const CheckResult = require('src/CheckResult');
+
+describe('Factory::buildCheckResult', function () {
+
+    [
+        [
+            'HTTP GET http://172.16.3.3:3000/service/status: 200 OK Output: {"data":{"status":"OK"}}',
+            new CheckResult('GET', 'http://172.16.3.3:3000/service/status', 200, 'OK')
+        ],
+        [
+            'HTTP GET http://172.16.3.3:3000/service/status: 503 Service Unavailable Output: {"data":{}}',
+            new CheckResult('GET', 'http://172.16.3.3:3000/service/status', 503, 'Service Unavailable')
+        ],
+        [
+            'HTTP POST https://[::1]:3000/status?verbose=1: 429 Too Many Requests',
+            new CheckResult('POST', 'https://[::1]:3000/status?verbose=1', 429, 'Too Many Requests')
+        ],
+        [
+            'HTTP GET http://172.16.3.3:3000/service/status: 204 Output: ',
+            new CheckResult('GET', 'http://172.16.3.3:3000/service/status', 204, '')
+        ],
+    ].forEach(([output, expectedCheckResult]) => {
+        it(`parses status line of output: ${output}`, function () {
+            assert.deepEqual(Factory.buildCheckResult(output), expectedCheckResult);
+        });
+    });
+
+    [
+        'Get "http://172.16.3.3:3000/service/status": dial tcp 172.16.3.3:3000: connect: connection refused',
+        'TCP connect 127.0.0.1:3000: Success',
+        '{"data":{"status":"OK"}}',
+        '',
+        null,
+    ].forEach(output => {
+        it(`returns null for output without status line: ${JSON.stringify(output)}`, function () {
+            assert.isNull(Factory.buildCheckResult(output));
+        });
+    });
+});
@@ -0,0 +1,61 @@
+'use strict';
+
+const assert = require('chai').assert;
+const deepFreeze = require('deep-freeze');
+const Factory = require('src/Factory');
+const HealthCheck = require('src/HealthCheck');
+
+describe('Factory::buildHealthCheck', function () {
+
+    it('builds check with all fields', function () {
+        const check = deepFreeze({
+            Node: 'transcoder_app',
+            CheckID: 'service:transcoder',
+            Name: 'Transcoder health status',
+            Status: 'warning',
+            Notes: '',
+            Output: 'HTTP GET http://localhost:9090/status: 429 Too Many Requests Output: {}',
+            ServiceID: 'transcoder_1',
+            ServiceName: 'transcoder',
+            Type: 'http',
+            CreateIndex: 10,
+            ModifyIndex: 27
+        });
+
+        const healthCheck = Factory.buildHealthCheck(check);
+
+        assert.instanceOf(healthCheck, HealthCheck);
+        assert.strictEqual(healthCheck.getCheckId(), 'service:transcoder');
+        assert.strictEqual(healthCheck.getName(), 'Transcoder health status');
+        assert.strictEqual(healthCheck.getStatus(), 'warning');
+        assert.strictEqual(healthCheck.getOutput(), check.Output);
+        assert.strictEqual(healthCheck.getType(), 'http');
+        assert.strictEqual(healthCheck.getServiceId(), 'transcoder_1');
+        assert.strictEqual(healthCheck.getModifyIndex(), 27);
+        assert.isFalse(healthCheck.isPassing());
+    });
+
+    it('builds check without optional fields', function () {
+        const check = deepFreeze({
+            CheckID: 'serfHealth',
+            Name: 'Serf Health Status',
+            Status: 'passing',
+            Output: 'Agent alive and reachable'
+        });
+
+        const healthCheck = Factory.buildHealthCheck(check);
+
+        assert.strictEqual(healthCheck.getType(), '');
+        assert.strictEqual(healthCheck.getServiceId(), '');
+        assert.isNull(healthCheck.getModifyIndex());
+        assert.isTrue(healthCheck.isPassing());
+    });
+
+    it('throws on invalid format of check', function () {
+        assert.throws(
+            () => Factory.buildHealthCheck({CheckID: 'serfHealth', Name: 'Serf Health Status', Status: 'passing'}),
+            TypeError,
+            'output must be a string'
+        );
+    });
+});
@@ -4,6 +4,7 @@ const proxyquire = require('proxyquire').noCallThru();
 const sinon = require('sinon');
 const assert = require('chai').assert;
 const ServiceInstanceInfo = require('src/ServiceInstanceInfo');
+const {UnknownPayloadVersionError} = require('src/Error');
 
 describe('Factory::buildInstanceInfoFromOutput', function () {
     const ServiceInstanceInfoStub = sinon.stub();
@@ -13,7 +14,7 @@ describe('Factory::buildInstanceInfoFromOutput', function () {
 
     beforeEach(function () {
         ServiceInstanceInfoStub.reset();
-        ServiceInstanceInfoStub.callsFake((arg) => new ServiceInstanceInfo(arg));
+        ServiceInstanceInfoStub.callsFake((arg, errors) => new ServiceInstanceInfo(arg, errors));
     });
 
     const extractorName = 'mem';
@@ -53,8 +54,9 @@ describe('Factory::buildInstanceInfoFromOutput', function () {
         const result = Factory.buildInstanceInfoFromOutput(validOutput, extractors);
 
         assert.isTrue(ServiceInstanceInfoStub.calledOnce);
-        assert.isTrue(ServiceInstanceInfoStub.calledWithExactly(expectedDto));
+        assert.isTrue(ServiceInstanceInfoStub.calledWithExactly(expectedDto, {}));
         assert.instanceOf(result, ServiceInstanceInfo);
+        assert.isFalse(result.hasErrors());
     });
 
     it('throws error on output with invalid data for JSON::parse', function () {
@@ -66,12 +68,89 @@ describe('Factory::buildInstanceInfoFromOutput', function () {
         );
     });
 
-    it('throws error on error from one of an extractors', function () {
-        assert.throws(
-            function () {
-                Factory.buildInstanceInfoFromOutput(invalidDataForExtractor, extractors);
-            },
-            Error
+    it('keeps error of failed extractor and results of the rest ones', function () {
+        const cpuExtractor = {extract: () => 1.5};
+
+        const result = Factory.buildInstanceInfoFromOutput(
+            invalidDataForExtractor, {cpu: cpuExtractor, [extractorName]: extractors[extractorName]}
         );
+
+        assert.instanceOf(result, ServiceInstanceInfo);
+        assert.isTrue(result.hasErrors());
+        assert.strictEqual(result.get('cpu'), 1.5);
+        assert.isUndefined(result.get(extractorName));
+        assert.isNull(result.getError('cpu'));
+        assert.instanceOf(result.getError(extractorName), Error);
+        assert.strictEqual(result.getError(extractorName).message, 'Some msg');
+    });
+
+    it('output is parsed by passed parser', function () {
+        const parser = {parse: sinon.stub().returns(validDataForExtractor)};
+
+        const result = Factory.buildInstanceInfoFromOutput('mem.free=4 mem.total=8', extractors, parser);
+
+        assert.isTrue(parser.parse.calledOnceWithExactly('mem.free=4 mem.total=8'));
+        assert.deepEqual(result.get(extractorName), {total: 8, free: 4});
+    });
+
+    describe('payload version', function () {
+        const fallbackExtractors = {status: {extract: output => output.data.status}};
+        const payloadVersion = {
+            path: 'data.v',
+            extractors: {
+                2: {state: {extract: output => output.data.state}},
+                'beta': {state: {extract: output => output.data.state.toLowerCase()}},
+            }
+        };
+
+        [
+            ['{"data":{"v":2,"state":"OK"}}', 'OK'],
+            ['{"data":{"v":"2","state":"OK"}}', 'OK'],
+            ['{"data":{"v":"beta","state":"OK"}}', 'ok'],
+        ].forEach(([output, state]) => {
+            it(`extractors are selected by version, output = ${output}`, function () {
+                const result = Factory.buildInstanceInfoFromOutput(
+                    output, fallbackExtractors, undefined, payloadVersion
+                );
+
+                assert.strictEqual(result.get('state'), state);
+                assert.isUndefined(result.get('status'));
+            });
+        });
+
+        it('fallback extractors are used for output without version', function () {
+            const result = Factory.buildInstanceInfoFromOutput(
+                '{"data":{"status":"OK"}}', fallbackExtractors, undefined, payloadVersion
+            );
+
+            assert.strictEqual(result.get('status'), 'OK');
+            assert.isUndefined(result.get('state'));
+        });
+
+        [
+            ['{"data":{"v":3,"state":"OK"}}', 'Unknown version 3 of payload in "data.v"', 3],
+            ['{"data":{"v":{"major":2}}}', 'Unknown version {"major":2} of payload in "data.v"', {major: 2}],
+        ].forEach(([output, message, version]) => {
+            it(`throws on unknown version, output = ${output}`, function () {
+                try {
+                    Factory.buildInstanceInfoFromOutput(output, fallbackExtractors, undefined, payloadVersion);
+                    assert.fail('buildInstanceInfoFromOutput must throw');
+                } catch (err) {
+                    assert.instanceOf(err, UnknownPayloadVersionError);
+                    assert.strictEqual(err.message, message);
+                    assert.deepEqual(err.extra, {path: 'data.v', version});
+                }
+            });
+        });
+
+        it('throws on output without version if there are no fallback extractors', function () {
+            assert.throws(
+                () => Factory.buildInstanceInfoFromOutput(
+                    '{"data":{"status":"OK"}}', undefined, undefined, {extractors: payloadVersion.extractors}
+                ),
+                UnknownPayloadVersionError,
+                'Payload has no version in "data.v" and there are no fallback extractors'
+            );
+        });
     });
 });
@@ -6,6 +6,7 @@ const assert = require('chai').assert;
 const deepFreeze = require('deep-freeze');
 const ServiceInstance = require('src/ServiceInstance');
 const ServiceInstanceInfo = require('src/ServiceInstanceInfo');
+const HealthCheck = require('src/HealthCheck');
 
 
 describe('Factory::buildServiceInstance', function () {
@@ -107,7 +108,12 @@ describe('Factory::buildServiceInstance', function () {
             node.Node.Datacenter,
             node.Service.ID,
             node.Service.Tags,
-            instanceStatus
+            instanceStatus,
+            [],
+            [],
+            null,
+            null,
+            {passing: 1, warning: 1}
         ));
 
         assert.instanceOf(instance, ServiceInstance);
@@ -162,7 +168,12 @@ describe('Factory::buildServiceInstance', function () {
             node.Node.Datacenter,
             node.Service.ID,
             node.Service.Tags,
-            instanceStatus
+            instanceStatus,
+            [],
+            [],
+            null,
+            null,
+            {passing: 1, warning: 1}
         ));
 
         assert.instanceOf(instance, ServiceInstance);
@@ -217,7 +228,12 @@ describe('Factory::buildServiceInstance', function () {
             node.Node.Datacenter,
             node.Service.ID,
             node.Service.Tags,
-            instanceStatus
+            instanceStatus,
+            [],
+            [],
+            null,
+            null,
+            {passing: 1, warning: 1}
         ));
 
         assert.instanceOf(instance, ServiceInstance);
@@ -270,10 +286,103 @@ describe('Factory::buildServiceInstance', function () {
             node.Node.Datacenter,
             node.Service.ID,
             node.Service.Tags,
-            instanceStatus
+            instanceStatus,
+            [],
+            [],
+            null,
+            null,
+            {passing: 1, warning: 1}
         ));
 
         assert.instanceOf(instance, ServiceInstance);
         assert.strictEqual(instance, expectedInstance);
     });
+
+    it('checks and health reasons of node are passed to inner class constructor', function () {
+        const node = deepFreeze({
+            Node: {
+                Node: 'transcoder_app',
+                Address: '192.168.101.4',
+                Datacenter: 'dc1',
+                TaggedAddresses: null,
+            },
+            Service: {
+                Tags: ['transcoder_app'],
+                Port: 12345,
+                ID: 'service_192.168.1.10_8080'
+            },
+            Checks: [
+                {
+                    CheckID: 'serfHealth',
+                    Name: 'Serf Health Status',
+                    Status: 'passing',
+                    Output: 'Agent alive and reachable',
+                    Type: '',
+                    ServiceID: '',
+                    ModifyIndex: 15
+                },
+                {
+                    CheckID: 'service:transcoder',
+                    Name: 'Transcoder health status',
+                    Status: 'critical',
+                    Output: 'HTTP GET http://localhost:9090/status: 503 Service Unavailable Output: {}',
+                    Type: 'http',
+                    ServiceID: 'service_192.168.1.10_8080',
+                    ModifyIndex: 27
+                }
+            ]
+        });
+        const healthReasons = [{rule: 'checkNotPassing', checkId: 'service:transcoder', message: 'message'}];
+
+        stub.returns({});
+
+        Factory.buildServiceInstance(node, null, healthReasons);
+
+        assert.isTrue(stub.calledOnce);
+
+        const args = stub.firstCall.args;
+        assert.strictEqual(args[10], healthReasons);
+        assert.deepEqual(args[11], [
+            new HealthCheck('serfHealth', 'Serf Health Status', 'passing', 'Agent alive and reachable', '', '', 15),
+            new HealthCheck(
+                'service:transcoder',
+                'Transcoder health status',
+                'critical',
+                'HTTP GET http://localhost:9090/status: 503 Service Unavailable Output: {}',
+                'http',
+                'service_192.168.1.10_8080',
+                27
+            )
+        ]);
+    });
+
+    [
+        [undefined, {passing: 1, warning: 1}],
+        [{Passing: 10, Warning: 1}, {passing: 10, warning: 1}],
+        [{Passing: 5}, {passing: 5, warning: 1}],
+    ].forEach(([Weights, weights]) => {
+        it(`service weights are passed to inner class constructor, Weights = ${JSON.stringify(Weights)}`, function () {
+            const node = deepFreeze({
+                Node: {
+                    Node: 'transcoder_app',
+                    Address: '192.168.101.4',
+                    Datacenter: 'dc1',
+                    TaggedAddresses: null,
+                },
+                Service: {
+                    Tags: ['transcoder_app'],
+                    Port: 12345,
+                    ID: 'service_192.168.1.10_8080',
+                    Weights
+                }
+            });
+
+            stub.returns({});
+
+            Factory.buildServiceInstance(node, null);
+
+            assert.isTrue(stub.calledOnce);
+            assert.deepEqual(stub.firstCall.args[14], weights);
+        });
+    });
 });
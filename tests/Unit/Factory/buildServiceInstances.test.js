@@ -7,7 +7,8 @@ const dataDriven = require('data-driven');
 const deepFreeze = require('deep-freeze');
 const ServiceInstance = require('src/ServiceInstance');
 const ServiceInstances = require('src/ServiceInstances');
-const InvalidDataError = require('src/Error').InvalidDataError;
+const ServiceInstanceInfo = require('src/ServiceInstanceInfo');
+const {InvalidDataError, OutputTruncatedError, UnknownPayloadVersionError} = require('src/Error');
 
 const extractorName = 'mem';
 const extractors = {
@@ -28,9 +29,86 @@ const extractors = {
     }
 };
 
+const checkNameWithStatus = "Service 'transcoder' health info";
+
+/**
+ * @param {string} outputData - body of the output
+ * @returns {string} output of HTTP check that responded with 200 OK
+ */
+function createHttpOutput(outputData) {
+    return `HTTP GET http://192.168.101.4:12345/status: 200 OK Output: ${outputData}`;
+}
+
+/**
+ * @param {string} output
+ * @param {Object} [fields] - fields that override the default ones
+ * @returns {Object} passing HTTP check with status of `transcoder_12345` instance
+ */
+function createStatusCheck(output, fields = {}) {
+    return Object.assign({
+        CheckID: 'service:transcoder',
+        Status: 'passing',
+        Name: checkNameWithStatus,
+        Type: 'http',
+        Output: output
+    }, fields);
+}
+
+/**
+ * @param {Object[]} checks - checks of the node after passing serfHealth check
+ * @param {Object} [nodeFields] - fields of `Node` that override the default ones
+ * @returns {Object} frozen node of `transcoder_12345` instance
+ */
+function createTranscoderNode(checks, nodeFields = {}) {
+    return deepFreeze({
+        Node: Object.assign({
+            Node: 'transcoder_app',
+            Address: '192.168.101.4',
+            Datacenter: 'dc1',
+            TaggedAddresses: null,
+        }, nodeFields),
+        Service: {
+            Tags: ['transcoder_app'],
+            Port: 12345,
+            ID: 'transcoder_12345'
+        },
+        Checks: [
+            {
+                CheckID: 'serfHealth',
+                Status: 'passing',
+                Name: 'Serf Health Status',
+                Output: 'Agent alive and reachable',
+            },
+            ...checks
+        ],
+    });
+}
+
+/**
+ * @param {ServiceInstanceInfo|null} info
+ * @returns {ServiceInstances} list with `transcoder_12345` instance of the node built by `createTranscoderNode`
+ */
+function createPreviousInstances(info) {
+    return new ServiceInstances().addHealthy(new ServiceInstance(
+        null, null, null, 12345, '192.168.101.4', 'transcoder_app', 'dc1', 'transcoder_12345',
+        ['transcoder_app'], info
+    ));
+}
+
+/**
+ * @param {ServiceInstanceInfo|null} info - info that the cache returns, the cache has no info of instance if null
+ * @returns {Object} stub of `InstanceInfoCache` that returns info of age 1500 msec
+ */
+function createCache(info) {
+    return {
+        set: sinon.spy(),
+        get: sinon.stub().returns(info === null ? null : {info, age: 1500}),
+        reuse: sinon.spy()
+    };
+}
+
 describe('Factory::buildServiceInstances', function () {
 
-    const checkNameWithStatus = "Service 'transcoder' health info";
     const builderStub = sinon.stub();
     const Factory = proxyquire('src/Factory', {
         './ConsulResponseValidator': {
@@ -42,6 +120,12 @@ describe('Factory::buildServiceInstances', function () {
         builderStub.reset();
     });
 
+    function build(node, checks, extractorsOfCheck, options) {
+        builderStub.returns({validNodes: [node], errors: []});
+
+        return Factory.buildServiceInstances([node], checks, extractorsOfCheck, options);
+    }
+
     it('tests consulHelper.filterValidHealthyServices was called', function () {
         const nodes = [];
         builderStub.returns({validNodes: [], errors: []});
@@ -319,7 +403,14 @@ describe('Factory::buildServiceInstances', function () {
             inputNodes[0].Node.Datacenter,
             inputNodes[0].Service.ID,
             inputNodes[0].Service.Tags,
-            null
+            null,
+            [{
+                rule: 'checkNotPassing',
+                checkId: 'service:transcoder',
+                message: `check "${checkNameWithStatus}" is in critical state`
+            }],
+            inputNodes[0].Checks.map(Factory.buildHealthCheck),
+            Factory.buildCheckResult(inputNodes[0].Checks[1].Output)
         );
 
         builderStub.returns({validNodes: inputNodes, errors: []});
@@ -392,7 +483,10 @@ describe('Factory::buildServiceInstances', function () {
             inputNodes[0].Node.Datacenter,
             inputNodes[0].Service.ID,
             inputNodes[0].Service.Tags,
-            null
+            null,
+            [],
+            inputNodes[0].Checks.map(Factory.buildHealthCheck),
+            Factory.buildCheckResult(inputNodes[0].Checks[1].Output)
         );
 
         builderStub.returns({validNodes: inputNodes, errors: []});
@@ -462,7 +556,10 @@ describe('Factory::buildServiceInstances', function () {
             inputNodes[0].Node.Datacenter,
             inputNodes[0].Service.ID,
             inputNodes[0].Service.Tags,
-            null
+            null,
+            [],
+            inputNodes[0].Checks.map(Factory.buildHealthCheck),
+            Factory.buildCheckResult(inputNodes[0].Checks[1].Output)
         );
         builderStub.returns({validNodes: inputNodes, errors: []});
 
@@ -568,7 +665,10 @@ describe('Factory::buildServiceInstances', function () {
             inputNodes[0].Node.Datacenter,
             inputNodes[0].Service.ID,
             inputNodes[0].Service.Tags,
-            null
+            null,
+            [],
+            inputNodes[0].Checks.map(Factory.buildHealthCheck),
+            Factory.buildCheckResult(inputNodes[0].Checks[1].Output)
         );
         const expTranscoder2 = new ServiceInstance(
             null,
@@ -580,7 +680,10 @@ describe('Factory::buildServiceInstances', function () {
             inputNodes[1].Node.Datacenter,
             inputNodes[1].Service.ID,
             inputNodes[1].Service.Tags,
-            null
+            null,
+            [],
+            inputNodes[1].Checks.map(Factory.buildHealthCheck),
+            Factory.buildCheckResult(inputNodes[1].Checks[1].Output)
         );
         builderStub.returns({validNodes: inputNodes, errors: []});
 
@@ -704,4 +807,999 @@ describe('Factory::buildServiceInstances', function () {
             assert.instanceOf(errors[0], InvalidDataError);
         });
     });
+
+    describe('warning state', function () {
+        function createNode(statusOfChecks) {
+            return deepFreeze({
+                Node: {
+                    Node: 'transcoder_app',
+                    Address: '192.168.101.4',
+                    Datacenter: 'dc1',
+                    TaggedAddresses: {
+                        lan: '192.168.101.4',
+                        wan: '1.2.3.4'
+                    },
+                },
+                Service: {
+                    Tags: ['transcoder_app'],
+                    Port: 12345,
+                    ID: 'service_192.168.1.10_8080'
+                },
+                Checks: [
+                    {
+                        CheckID: 'serfHealth',
+                        Status: 'passing',
+                        Name: 'Serf Health Status',
+                        Output: 'Agent alive and reachable',
+                    },
+                    {
+                        CheckID: 'service:transcoder',
+                        Status: statusOfChecks[0],
+                        Name: checkNameWithStatus,
+                        Output: 'HTTP GET http://localhost:9090/transcoder/status: 429 Too Many Requests Output: {}'
+                    },
+                    {
+                        CheckID: 'disk',
+                        Status: statusOfChecks[1],
+                        Name: 'Disk usage',
+                        Output: ''
+                    }
+                ],
+            });
+        }
+
+        it('node with checks in warning state is unhealthy by default', function () {
+            const inputNodes = [createNode(['warning', 'passing'])];
+            builderStub.returns({validNodes: inputNodes, errors: []});
+
+            const {instances, errors} = Factory.buildServiceInstances(inputNodes, checkNameWithStatus);
+
+            assert.isEmpty(errors);
+            assert.isFalse(instances.isWarningHealthy());
+            assert.isEmpty(instances.getHealthy());
+            assert.lengthOf(instances.getWarning(), 1);
+            assert.lengthOf(instances.getUnhealthy(), 1);
+        });
+
+        it('node with checks in warning state is healthy with treatWarningAsHealthy option', function () {
+            const inputNodes = [createNode(['passing', 'warning'])];
+            builderStub.returns({validNodes: inputNodes, errors: []});
+
+            const {instances, errors} = Factory.buildServiceInstances(
+                inputNodes, checkNameWithStatus, undefined, {treatWarningAsHealthy: true}
+            );
+
+            assert.isEmpty(errors);
+            assert.isTrue(instances.isWarningHealthy());
+            assert.lengthOf(instances.getHealthy(), 1);
+            assert.lengthOf(instances.getWarning(), 1);
+            assert.isEmpty(instances.getUnhealthy());
+        });
+
+        it('instances are classified by classifier option', function () {
+            const inputNodes = [createNode(['passing', 'warning'])];
+            const classifier = () => 'OVERLOADED';
+            builderStub.returns({validNodes: inputNodes, errors: []});
+
+            const {instances, errors} = Factory.buildServiceInstances(
+                inputNodes, checkNameWithStatus, undefined, {classifier}
+            );
+
+            assert.isEmpty(errors);
+            assert.strictEqual(instances.getClassifier(), classifier);
+            assert.deepEqual(instances.getBucket('OVERLOADED'), instances.getAll());
+        });
+
+        it('node with checks in warning and critical state is unhealthy', function () {
+            const inputNodes = [createNode(['warning', 'critical'])];
+            builderStub.returns({validNodes: inputNodes, errors: []});
+
+            const {instances, errors} = Factory.buildServiceInstances(
+                inputNodes, checkNameWithStatus, undefined, {treatWarningAsHealthy: true}
+            );
+
+            assert.isEmpty(errors);
+            assert.isEmpty(instances.getHealthy());
+            assert.isEmpty(instances.getWarning());
+            assert.lengthOf(instances.getUnhealthy(), 1);
+        });
+    });
+
+    describe('health policy', function () {
+        function createNode(serfHealthStatus, diskStatus) {
+            return deepFreeze({
+                Node: {
+                    Node: 'transcoder_app',
+                    Address: '192.168.101.4',
+                    Datacenter: 'dc1',
+                    TaggedAddresses: null,
+                },
+                Service: {
+                    Tags: ['transcoder_app'],
+                    Port: 12345,
+                    ID: 'service_192.168.1.10_8080'
+                },
+                Checks: [
+                    {
+                        CheckID: 'serfHealth',
+                        Status: serfHealthStatus,
+                        Name: 'Serf Health Status',
+                        Output: '',
+                    },
+                    {
+                        CheckID: 'service:transcoder',
+                        Status: 'passing',
+                        Name: checkNameWithStatus,
+                        Output: 'HTTP GET http://localhost:9090/transcoder/status: 200 OK Output: {}'
+                    },
+                    {
+                        CheckID: 'disk',
+                        Status: diskStatus,
+                        Name: 'Disk usage',
+                        Output: ''
+                    }
+                ],
+            });
+        }
+
+        function build(node, healthPolicy) {
+            builderStub.returns({validNodes: [node], errors: []});
+
+            return Factory.buildServiceInstances([node], checkNameWithStatus, undefined, {healthPolicy});
+        }
+
+        it('healthy instance has no health reasons', function () {
+            const {instances, errors} = build(createNode('passing', 'passing'), {});
+
+            assert.isEmpty(errors);
+            assert.lengthOf(instances.getHealthy(), 1);
+            assert.deepEqual(instances.getHealthy()[0].getHealthReasons(), []);
+        });
+
+        ['disk', 'Disk usage'].forEach(ignoredCheck => {
+            it(`ignored check does not affect health, ignoredChecks = ["${ignoredCheck}"]`, function () {
+                const {instances, errors} = build(createNode('passing', 'critical'), {ignoredChecks: [ignoredCheck]});
+
+                assert.isEmpty(errors);
+                assert.lengthOf(instances.getHealthy(), 1);
+                assert.isEmpty(instances.getUnhealthy());
+            });
+        });
+
+        it('required check in warning state makes instance unhealthy', function () {
+            const {instances, errors} = build(createNode('passing', 'warning'), {requiredChecks: ['disk']});
+
+            assert.isEmpty(errors);
+            assert.isEmpty(instances.getWarning());
+            assert.lengthOf(instances.getUnhealthy(), 1);
+            assert.deepEqual(instances.getUnhealthy()[0].getHealthReasons(), [{
+                rule: 'requiredCheckNotPassing',
+                checkId: 'disk',
+                message: 'required check "Disk usage" is in warning state'
+            }]);
+        });
+
+        it('absent required check makes instance unhealthy', function () {
+            const healthPolicy = {requiredChecks: ['Disk usage', 'mem']};
+            const {instances, errors} = build(createNode('passing', 'passing'), healthPolicy);
+
+            assert.isEmpty(errors);
+            assert.lengthOf(instances.getUnhealthy(), 1);
+            assert.deepEqual(instances.getUnhealthy()[0].getHealthReasons(), [{
+                rule: 'requiredCheckMissing',
+                checkId: 'mem',
+                message: 'required check "mem" is not registered on the node'
+            }]);
+        });
+
+        it('node with serfHealth in critical state is skipped by default', function () {
+            const {instances, errors} = build(createNode('critical', 'passing'), {serfHealthCritical: 'skip'});
+
+            assert.isEmpty(instances.getAll());
+            assert.lengthOf(errors, 1);
+            assert.strictEqual(errors[0].message, 'serfHealth check is in critical state, node will be skipped');
+        });
+
+        it('node with serfHealth in critical state is unhealthy, serfHealthCritical = "unhealthy"', function () {
+            const {instances, errors} = build(createNode('critical', 'warning'), {serfHealthCritical: 'unhealthy'});
+
+            assert.isEmpty(errors);
+            assert.lengthOf(instances.getUnhealthy(), 1);
+            assert.isNull(instances.getUnhealthy()[0].getLanIp());
+            assert.deepEqual(instances.getUnhealthy()[0].getHealthReasons(), [
+                {
+                    rule: 'serfHealthCritical',
+                    checkId: 'serfHealth',
+                    message: 'serfHealth check is in critical state'
+                },
+                {
+                    rule: 'checkNotPassing',
+                    checkId: 'disk',
+                    message: 'check "Disk usage" is in warning state'
+                }
+            ]);
+        });
+
+        it('required serfHealth check in critical state is not reported as absent', function () {
+            const healthPolicy = {serfHealthCritical: 'unhealthy', requiredChecks: ['serfHealth']};
+            const {instances, errors} = build(createNode('critical', 'passing'), healthPolicy);
+
+            assert.isEmpty(errors);
+            assert.lengthOf(instances.getUnhealthy(), 1);
+            assert.deepEqual(instances.getUnhealthy()[0].getHealthReasons(), [{
+                rule: 'serfHealthCritical',
+                checkId: 'serfHealth',
+                message: 'serfHealth check is in critical state'
+            }]);
+        });
+
+        it('ignored serfHealth check does not skip the node', function () {
+            const {instances, errors} = build(createNode('critical', 'passing'), {ignoredChecks: ['serfHealth']});
+
+            assert.isEmpty(errors);
+            assert.lengthOf(instances.getHealthy(), 1);
+        });
+    });
+
+    it('healthy - status check found by statusCheck matcher', function () {
+        const inputNodes = deepFreeze([{
+            Node: {
+                Node: 'transcoder_app',
+                Address: '192.168.101.4',
+                Datacenter: 'dc1',
+                TaggedAddresses: null,
+            },
+            Service: {
+                Tags: ['transcoder_app'],
+                Port: 12345,
+                ID: 'transcoder_12345'
+            },
+            Checks: [
+                {
+                    CheckID: 'serfHealth',
+                    Status: 'passing',
+                    Name: 'Serf Health Status',
+                    Output: 'Agent alive and reachable',
+                },
+                {
+                    CheckID: 'transcoder_12345_status',
+                    Status: 'passing',
+                    Name: 'transcoder health status on port 12345',
+                    Output: 'HTTP GET http://localhost:12345/status: 200 OK Output: {"data":{"pid":100}}'
+                }
+            ],
+        }]);
+        const extractors = {pid: {extract: output => output.data.pid}};
+
+        builderStub.returns({validNodes: inputNodes, errors: []});
+
+        const {instances, errors} = Factory.buildServiceInstances(
+            inputNodes, {checkIdTemplate: '{serviceId}_status'}, extractors
+        );
+
+        assert.isEmpty(errors);
+        assert.lengthOf(instances.getHealthy(), 1);
+        assert.strictEqual(instances.getHealthy()[0].getInfo().get('pid'), 100);
+    });
+
+    describe('list of status checks', function () {
+        const statusChecks = deepFreeze([
+            {
+                namespace: 'load',
+                statusCheck: {checkIdTemplate: '{serviceId}_load'},
+                extractors: {cpu: {extract: output => output.cpu}}
+            },
+            {
+                namespace: 'features',
+                statusCheck: 'transcoder features',
+                extractors: {flags: {extract: output => output.flags}},
+                optional: true
+            }
+        ]);
+
+        const loadCheck = deepFreeze({
+            CheckID: 'transcoder_12345_load',
+            Status: 'passing',
+            Name: 'transcoder load',
+            Output: 'HTTP GET http://localhost:12345/load: 200 OK Output: {"cpu":0.5}'
+        });
+
+        const featuresCheck = deepFreeze({
+            CheckID: 'transcoder_12345_features',
+            Status: 'passing',
+            Name: 'transcoder features',
+            Output: 'HTTP GET http://localhost:12345/features: 200 OK Output: {"flags":["hevc"]}'
+        });
+
+        it('info of every check is available by its namespace', function () {
+            const {instances, errors} = build(createTranscoderNode([loadCheck, featuresCheck]), statusChecks);
+
+            assert.isEmpty(errors);
+            assert.lengthOf(instances.getHealthy(), 1);
+
+            const info = instances.getHealthy()[0].getInfo();
+            assert.instanceOf(info.get('load'), ServiceInstanceInfo);
+            assert.strictEqual(info.get('load').get('cpu'), 0.5);
+            assert.deepEqual(info.get('features').get('flags'), ['hevc']);
+        });
+
+        it('absent optional check leaves its namespace empty', function () {
+            const {instances, errors} = build(createTranscoderNode([loadCheck]), statusChecks);
+
+            assert.isEmpty(errors);
+            assert.lengthOf(instances.getHealthy(), 1);
+
+            const info = instances.getHealthy()[0].getInfo();
+            assert.strictEqual(info.get('load').get('cpu'), 0.5);
+            assert.isNull(info.get('features'));
+        });
+
+        it('optional check with invalid format of output leaves its namespace empty', function () {
+            const {instances, errors} = build(createTranscoderNode([
+                loadCheck,
+                {CheckID: 'features', Status: 'passing', Name: 'transcoder features', Output: 'TTL expired'}
+            ]), statusChecks);
+
+            assert.lengthOf(errors, 1);
+            assert.strictEqual(
+                errors[0].message,
+                'Invalid format of output field of optional check received from consul, info will be empty'
+            );
+            assert.lengthOf(instances.getHealthy(), 1);
+            assert.isNull(instances.getHealthy()[0].getInfo().get('features'));
+        });
+
+        it('node without required check is skipped', function () {
+            const node = createTranscoderNode([featuresCheck]);
+            const {instances, errors} = build(node, statusChecks);
+
+            assert.isEmpty(instances.getAll());
+            assert.lengthOf(errors, 1);
+            assert.instanceOf(errors[0], InvalidDataError);
+            assert.strictEqual(
+                errors[0].message,
+                'Status check "load" was not found among all checks on the node, node will be skipped'
+            );
+            assert.deepEqual(errors[0].extra, {node});
+        });
+
+        it('extraction error leaves namespace of the check empty', function () {
+            const {instances, errors} = build(createTranscoderNode([
+                loadCheck,
+                {
+                    CheckID: 'features',
+                    Status: 'passing',
+                    Name: 'transcoder features',
+                    Output: 'HTTP GET http://localhost:12345/features: 200 OK Output: not json'
+                }
+            ]), statusChecks);
+
+            assert.lengthOf(errors, 1);
+            assert.deepEqual(errors[0].extra, {outputData: 'not json', namespace: 'features'});
+            assert.strictEqual(instances.getHealthy()[0].getInfo().get('load').get('cpu'), 0.5);
+            assert.isNull(instances.getHealthy()[0].getInfo().get('features'));
+        });
+    });
+
+    describe('predicate of status check', function () {
+        const statusExtractors = {status: {extract: output => output.data.status}};
+        const node = createTranscoderNode([createStatusCheck(createHttpOutput('{"data":{"status":"OK"}}'))]);
+
+        it('check is not treated as status check if predicate throws', function () {
+            const predicate = sinon.stub().throws(new Error('check.Definition is undefined'));
+
+            const {instances, errors} = build(node, {predicate}, statusExtractors);
+
+            assert.isEmpty(instances.getAll());
+            assert.lengthOf(errors, 3);
+            [0, 1].forEach(index => {
+                assert.instanceOf(errors[index], InvalidDataError);
+                assert.strictEqual(
+                    errors[index].message,
+                    'Predicate of status check failed, check is not treated as status check: ' +
+                    'check.Definition is undefined'
+                );
+                assert.deepEqual(errors[index].extra, {address: '192.168.101.4', check: node.Checks[index]});
+            });
+            assert.strictEqual(
+                errors[2].message,
+                'Check with `checkNameWithStatus` was not found among all checks on the node, node will be skipped'
+            );
+        });
+
+        it('error of predicate names namespace of the check for the list of status checks', function () {
+            const predicate = check => {
+                if (check.CheckID === 'serfHealth') {
+                    throw new Error('unexpected check');
+                }
+
+                return check.Name === checkNameWithStatus;
+            };
+            const statusChecks = [{namespace: 'transcoder', statusCheck: {predicate}, extractors: statusExtractors}];
+
+            const {instances, errors} = build(node, statusChecks, undefined);
+
+            assert.strictEqual(instances.getHealthy()[0].getInfo().get('transcoder').get('status'), 'OK');
+            assert.lengthOf(errors, 1);
+            assert.deepEqual(
+                errors[0].extra, {address: '192.168.101.4', check: node.Checks[0], namespace: 'transcoder'}
+            );
+        });
+    });
+
+    describe('output of checks of different types', function () {
+        const statusExtractors = {status: {extract: output => output.data.status}};
+
+        function createNode(type, output) {
+            const statusCheck = createStatusCheck(output, {Type: type});
+
+            if (type === undefined) {
+                delete statusCheck.Type;
+            }
+
+            return createTranscoderNode([statusCheck]);
+        }
+
+        [
+            ['http', 'HTTP GET http://localhost:12345/status: 200 OK Output: {"data":{"status":"OK"}}'],
+            ['', 'HTTP GET http://localhost:12345/status: 200 OK Output: {"data":{"status":"OK"}}'],
+            [undefined, 'HTTP GET http://localhost:12345/status: 200 OK Output: {"data":{"status":"OK"}}'],
+            ['grpc', '{"data":{"status":"OK"}}'],
+            ['tcp', '{"data":{"status":"OK"}}'],
+            ['ttl', '{"data":{"status":"OK"}}'],
+            ['script', '{"data":{"status":"OK"}}\n'],
+            ['docker', 'Docker exec Output: {"data":{"status":"OK"}}'],
+        ].forEach(([type, output]) => {
+            it(`info is extracted from output of check with type ${JSON.stringify(type)}`, function () {
+                const {instances, errors} = build(createNode(type, output), checkNameWithStatus, statusExtractors);
+
+                assert.isEmpty(errors);
+                assert.lengthOf(instances.getHealthy(), 1);
+                assert.strictEqual(instances.getHealthy()[0].getInfo().get('status'), 'OK');
+            });
+        });
+
+        [
+            ['http', '{"data":{"status":"OK"}}'],
+            ['tcp', ''],
+            ['grpc', ' '],
+            ['ttl', ''],
+            ['script', ' \n'],
+        ].forEach(([type, output]) => {
+            it(`skipped - invalid format of output of check with type ${type}`, function () {
+                const node = createNode(type, output);
+                const {instances, errors} = build(node, checkNameWithStatus, statusExtractors);
+
+                assert.isEmpty(instances.getAll());
+                assert.lengthOf(errors, 1);
+                assert.strictEqual(
+                    errors[0].message,
+                    'Invalid format of output field of check received from consul, node will be skipped'
+                );
+                assert.deepEqual(errors[0].extra, {address: node.Node.Address, check: node.Checks[1]});
+            });
+        });
+
+        it('whole output of tcp check is passed to output parser', function () {
+            const outputParser = {parse: sinon.stub().returns({data: {status: 'OK'}})};
+            const node = createNode('tcp', 'TCP connect 127.0.0.1:12345: Success');
+
+            const {instances, errors} = build(node, checkNameWithStatus, statusExtractors, {outputParser});
+
+            assert.isEmpty(errors);
+            assert.isTrue(outputParser.parse.calledOnceWithExactly('TCP connect 127.0.0.1:12345: Success'));
+            assert.strictEqual(instances.getHealthy()[0].getInfo().get('status'), 'OK');
+        });
+
+        it('custom locator overrides the default one', function () {
+            const locator = sinon.stub().returns('{"data":{"status":"CUSTOM"}}');
+            const node = createNode('ttl', 'status=CUSTOM');
+
+            const {instances, errors} = build(
+                node, checkNameWithStatus, statusExtractors, {outputLocators: {ttl: locator}}
+            );
+
+            assert.isEmpty(errors);
+            assert.isTrue(locator.calledOnceWithExactly('status=CUSTOM', node.Checks[1]));
+            assert.strictEqual(instances.getHealthy()[0].getInfo().get('status'), 'CUSTOM');
+        });
+
+        it('skipped - locator throws', function () {
+            const locator = sinon.stub().throws(new Error('output is not a string'));
+            const node = createNode('ttl', 'status=CUSTOM');
+
+            const {instances, errors} = build(
+                node, checkNameWithStatus, statusExtractors, {outputLocators: {ttl: locator}}
+            );
+
+            assert.isEmpty(instances.getAll());
+            assert.lengthOf(errors, 1);
+            assert.instanceOf(errors[0], InvalidDataError);
+            assert.strictEqual(
+                errors[0].message,
+                'Locator of output failed: output is not a string, node will be skipped'
+            );
+            assert.deepEqual(errors[0].extra, {address: node.Node.Address, check: node.Checks[1]});
+        });
+
+        it('info of optional check is empty if locator throws', function () {
+            const locator = sinon.stub().throws(new Error('output is not a string'));
+            const statusChecks = [
+                {
+                    namespace: 'transcoder',
+                    statusCheck: checkNameWithStatus,
+                    extractors: statusExtractors,
+                    optional: true
+                }
+            ];
+
+            const {instances, errors} = build(
+                createNode('ttl', 'status=CUSTOM'), statusChecks, undefined, {outputLocators: {ttl: locator}}
+            );
+
+            assert.isNull(instances.getHealthy()[0].getInfo().get('transcoder'));
+            assert.strictEqual(
+                errors[0].message,
+                'Locator of output failed: output is not a string, info will be empty'
+            );
+        });
+    });
+
+    describe('critical status check', function () {
+        const statusExtractors = {status: {extract: output => output.data.status}};
+
+        function createNode(output) {
+            return createTranscoderNode([createStatusCheck(output, {Status: 'critical'})]);
+        }
+
+        const overloadedOutput = 'HTTP GET http://192.168.101.4:12345/status: 503 Service Unavailable ' +
+            'Output: {"data":{"status":"OVERLOADED"}}';
+
+        it('unhealthy instance carries info and result of the check by default', function () {
+            const {instances, errors} = build(createNode(overloadedOutput), checkNameWithStatus, statusExtractors);
+
+            assert.isEmpty(errors);
+            assert.lengthOf(instances.getUnhealthy(), 1);
+
+            const instance = instances.getUnhealthy()[0];
+            assert.strictEqual(instance.getInfo().get('status'), 'OVERLOADED');
+            assert.strictEqual(instance.getCheckResult().getStatusCode(), 503);
+            assert.strictEqual(instance.getCheckResult().getReasonPhrase(), 'Service Unavailable');
+        });
+
+        it('extractors are not run if extractOnCritical is false', function () {
+            const {instances, errors} = build(
+                createNode(overloadedOutput), checkNameWithStatus, statusExtractors, {extractOnCritical: false}
+            );
+
+            assert.isEmpty(errors);
+            assert.lengthOf(instances.getUnhealthy(), 1);
+            assert.isNull(instances.getUnhealthy()[0].getInfo());
+            assert.strictEqual(instances.getUnhealthy()[0].getCheckResult().getStatusCode(), 503);
+        });
+
+        it('node with critical check without response is not skipped if extractOnCritical is false', function () {
+            const output = 'Get "http://192.168.101.4:12345/status": dial tcp: connect: connection refused';
+
+            const {instances, errors} = build(
+                createNode(output), checkNameWithStatus, statusExtractors, {extractOnCritical: false}
+            );
+
+            assert.isEmpty(errors);
+            assert.lengthOf(instances.getUnhealthy(), 1);
+            assert.isNull(instances.getUnhealthy()[0].getInfo());
+            assert.isNull(instances.getUnhealthy()[0].getCheckResult());
+        });
+
+        it('node with critical check without response is skipped by default', function () {
+            const output = 'Get "http://192.168.101.4:12345/status": dial tcp: connect: connection refused';
+
+            const {instances, errors} = build(createNode(output), checkNameWithStatus, statusExtractors);
+
+            assert.isEmpty(instances.getAll());
+            assert.lengthOf(errors, 1);
+        });
+    });
+
+    describe('truncated output', function () {
+        const statusExtractors = {status: {extract: output => output.data.status}};
+        const truncatedOutput = createHttpOutput('{"data":{"status":"O');
+
+        function createNode(output) {
+            return createTranscoderNode([createStatusCheck(output)], {ID: '0e6bd5b8-1a1b-4d69-9cb8-0ab84fe54b0a'});
+        }
+
+        it('truncated output is reported and info is empty', function () {
+            const {instances, errors} = build(
+                createNode(truncatedOutput), checkNameWithStatus, statusExtractors, {outputMaxSize: 16}
+            );
+
+            assert.lengthOf(instances.getHealthy(), 1);
+            assert.isNull(instances.getHealthy()[0].getInfo());
+            assert.lengthOf(errors, 1);
+            assert.instanceOf(errors[0], OutputTruncatedError);
+            assert.instanceOf(errors[0], InvalidDataError);
+            assert.strictEqual(
+                errors[0].message,
+                'Output of check received from consul is truncated, info will be empty'
+            );
+            assert.deepEqual(errors[0].extra, {
+                nodeName: 'transcoder_app',
+                nodeId: '0e6bd5b8-1a1b-4d69-9cb8-0ab84fe54b0a',
+                serviceId: 'transcoder_12345',
+                checkId: 'service:transcoder',
+                outputMaxSize: 16
+            });
+        });
+
+        it('output with kept tail of the body is reported as truncated', function () {
+            // HTTP check keeps the tail of the response body, so the body ends as complete JSON
+            const tailOfBody = 'tus":"OK","pid":100}}';
+
+            const {instances, errors} = build(
+                createNode(createHttpOutput(tailOfBody)),
+                checkNameWithStatus,
+                statusExtractors,
+                {outputMaxSize: Buffer.byteLength(tailOfBody)}
+            );
+
+            assert.isNull(instances.getHealthy()[0].getInfo());
+            assert.lengthOf(errors, 1);
+            assert.instanceOf(errors[0], OutputTruncatedError);
+            assert.strictEqual(errors[0].extra.outputMaxSize, Buffer.byteLength(tailOfBody));
+        });
+
+        it('output shorter than outputMaxSize is not treated as truncated', function () {
+            const {instances, errors} = build(createNode(truncatedOutput), checkNameWithStatus, statusExtractors);
+
+            assert.isNull(instances.getHealthy()[0].getInfo());
+            assert.lengthOf(errors, 1);
+            assert.instanceOf(errors[0], InvalidDataError);
+            assert.notInstanceOf(errors[0], OutputTruncatedError);
+        });
+
+        it('complete output of outputMaxSize length is not treated as truncated', function () {
+            const output = 'HTTP GET http://192.168.101.4:12345/status: 200 OK Output: {"data":{"status":"OK"}}';
+
+            const {instances, errors} = build(
+                createNode(output), checkNameWithStatus, statusExtractors, {outputMaxSize: 16}
+            );
+
+            assert.isEmpty(errors);
+            assert.strictEqual(instances.getHealthy()[0].getInfo().get('status'), 'OK');
+        });
+
+        it('the last info of instance is used if previous instances are set', function () {
+            const lastInfo = new ServiceInstanceInfo({status: 'OK'});
+            const options = {outputMaxSize: 16, previousInstances: createPreviousInstances(lastInfo)};
+
+            const {instances, errors} = build(
+                createNode(truncatedOutput), checkNameWithStatus, statusExtractors, options
+            );
+
+            assert.lengthOf(errors, 1);
+            assert.instanceOf(errors[0], OutputTruncatedError);
+            assert.strictEqual(
+                errors[0].message,
+                'Output of check received from consul is truncated, the last info of instance is used'
+            );
+            assert.strictEqual(instances.getHealthy()[0].getInfo(), lastInfo);
+        });
+
+        it('the last info of the same instance is used among several previous instances', function () {
+            const lastInfo = new ServiceInstanceInfo({status: 'OK'});
+            const previousInstances = createPreviousInstances(lastInfo)
+                .addHealthy(new ServiceInstance(
+                    null, null, null, 12345, '192.168.101.5', 'transcoder_app', 'dc1', 'transcoder_12345',
+                    ['transcoder_app'], new ServiceInstanceInfo({status: 'OVERLOADED'})
+                ))
+                .addHealthy(new ServiceInstance(
+                    null, null, null, 12346, '192.168.101.4', 'transcoder_app', 'dc1', 'transcoder_12346',
+                    ['transcoder_app'], new ServiceInstanceInfo({status: 'OVERLOADED'})
+                ));
+
+            const options = {outputMaxSize: 16, previousInstances};
+
+            const {instances} = build(createNode(truncatedOutput), checkNameWithStatus, statusExtractors, options);
+
+            assert.strictEqual(instances.getHealthy()[0].getInfo(), lastInfo);
+        });
+
+        it('info is empty if instance is absent in previous instances', function () {
+            const options = {outputMaxSize: 16, previousInstances: new ServiceInstances()};
+
+            const {instances, errors} = build(
+                createNode(truncatedOutput), checkNameWithStatus, statusExtractors, options
+            );
+
+            assert.lengthOf(errors, 1);
+            assert.isNull(instances.getHealthy()[0].getInfo());
+        });
+
+        it('the last info of namespace is used for the list of status checks', function () {
+            const lastStatusInfo = new ServiceInstanceInfo({status: 'OK'});
+            const options = {
+                outputMaxSize: 16,
+                previousInstances: createPreviousInstances(new ServiceInstanceInfo({transcoder: lastStatusInfo}))
+            };
+            const statusChecks = [
+                {
+                    namespace: 'transcoder',
+                    statusCheck: checkNameWithStatus,
+                    extractors: statusExtractors,
+                    optional: false
+                }
+            ];
+
+            const {instances, errors} = build(createNode(truncatedOutput), statusChecks, statusExtractors, options);
+
+            assert.lengthOf(errors, 1);
+            assert.strictEqual(instances.getHealthy()[0].getInfo().get('transcoder'), lastStatusInfo);
+        });
+    });
+
+    describe('cache of info', function () {
+        const statusExtractors = {status: {extract: output => output.data.status}};
+        const validOutput = createHttpOutput('{"data":{"status":"OK"}}');
+        const invalidOutput = createHttpOutput('{"data":');
+
+        function createNode(output, diskOutput = validOutput) {
+            return createTranscoderNode([
+                createStatusCheck(output),
+                createStatusCheck(diskOutput, {CheckID: 'service:disk', Name: 'Disk usage'})
+            ]);
+        }
+
+        it('successfully extracted info is stored in the cache', function () {
+            const infoCache = createCache(null);
+
+            const {instances} = build(createNode(validOutput), checkNameWithStatus, statusExtractors, {infoCache});
+
+            const instance = instances.getHealthy()[0];
+            assert.isTrue(infoCache.set.calledOnceWithExactly('transcoder_12345', '192.168.101.4', instance.getInfo()));
+            assert.isTrue(infoCache.get.notCalled);
+            assert.isTrue(infoCache.reuse.notCalled);
+            assert.isFalse(instance.isInfoStale());
+            assert.strictEqual(instance.getInfoAge(), 0);
+        });
+
+        it('info from the cache is used and marked as stale if extraction fails', function () {
+            const lastInfo = new ServiceInstanceInfo({status: 'OK'});
+            const infoCache = createCache(lastInfo);
+
+            const {instances, errors} = build(
+                createNode(invalidOutput), checkNameWithStatus, statusExtractors, {infoCache}
+            );
+
+            const instance = instances.getHealthy()[0];
+            assert.lengthOf(errors, 1);
+            assert.instanceOf(errors[0], InvalidDataError);
+            assert.isTrue(infoCache.get.calledOnceWithExactly('transcoder_12345', '192.168.101.4'));
+            assert.isTrue(infoCache.reuse.calledOnceWithExactly('transcoder_12345', '192.168.101.4'));
+            assert.isTrue(infoCache.set.notCalled);
+            assert.strictEqual(instance.getInfo(), lastInfo);
+            assert.isTrue(instance.isInfoStale());
+            assert.strictEqual(instance.getInfoAge(), 1500);
+        });
+
+        it('info is empty if the cache has no info of instance', function () {
+            const {instances, errors} = build(
+                createNode(invalidOutput), checkNameWithStatus, statusExtractors, {infoCache: createCache(null)}
+            );
+
+            assert.lengthOf(errors, 1);
+            assert.isNull(instances.getHealthy()[0].getInfo());
+            assert.isFalse(instances.getHealthy()[0].isInfoStale());
+        });
+
+        it('only namespaces of failed checks are taken from the cache for the list of status checks', function () {
+            const lastTranscoderInfo = new ServiceInstanceInfo({status: 'OK'});
+            const infoCache = createCache(new ServiceInstanceInfo({
+                transcoder: lastTranscoderInfo,
+                disk: new ServiceInstanceInfo({status: 'FULL'})
+            }));
+            const statusChecks = [
+                {namespace: 'transcoder', statusCheck: checkNameWithStatus, extractors: statusExtractors},
+                {namespace: 'disk', statusCheck: 'Disk usage', extractors: statusExtractors}
+            ];
+
+            const {instances} = build(
+                createNode(invalidOutput, validOutput), statusChecks, statusExtractors, {infoCache}
+            );
+
+            const instance = instances.getHealthy()[0];
+            assert.strictEqual(instance.getInfo().get('transcoder'), lastTranscoderInfo);
+            assert.strictEqual(instance.getInfo().get('disk').get('status'), 'OK');
+            assert.isTrue(instance.isInfoStale());
+        });
+    });
+
+    describe('failed extractors', function () {
+        const statusExtractors = {
+            status: {extract: output => output.data.status},
+            pid: {
+                extract(output) {
+                    if (!Number.isInteger(output.data.pid)) {
+                        throw new Error('pid is not an integer');
+                    }
+
+                    return output.data.pid;
+                }
+            }
+        };
+        const outputData = '{"data":{"status":"OK"}}';
+        const node = createTranscoderNode([createStatusCheck(createHttpOutput(outputData))]);
+
+        it('info keeps results of succeeded extractors and error names the failed one', function () {
+            const {instances, errors} = build(node, checkNameWithStatus, statusExtractors);
+
+            const info = instances.getHealthy()[0].getInfo();
+            assert.strictEqual(info.get('status'), 'OK');
+            assert.isTrue(info.hasErrors());
+            assert.strictEqual(info.getError('pid').message, 'pid is not an integer');
+            assert.lengthOf(errors, 1);
+            assert.instanceOf(errors[0], InvalidDataError);
+            assert.strictEqual(
+                errors[0].message,
+                'Extractor "pid" failed, info has no data of the extractor: pid is not an integer'
+            );
+            assert.deepEqual(errors[0].extra, {outputData, extractorName: 'pid'});
+        });
+
+        it('error names namespace of the check for the list of status checks', function () {
+            const statusChecks = [
+                {namespace: 'transcoder', statusCheck: checkNameWithStatus, extractors: statusExtractors}
+            ];
+
+            const {instances, errors} = build(node, statusChecks, undefined);
+
+            assert.strictEqual(instances.getHealthy()[0].getInfo().get('transcoder').get('status'), 'OK');
+            assert.lengthOf(errors, 1);
+            assert.deepEqual(errors[0].extra, {outputData, extractorName: 'pid', namespace: 'transcoder'});
+        });
+
+        it('partial info is not stored in the cache of info', function () {
+            const infoCache = createCache(null);
+
+            const {instances} = build(node, checkNameWithStatus, statusExtractors, {infoCache});
+
+            assert.isTrue(infoCache.set.notCalled);
+            assert.isTrue(infoCache.get.calledOnceWithExactly('transcoder_12345', '192.168.101.4'));
+            assert.isTrue(infoCache.reuse.notCalled);
+            assert.isTrue(instances.getHealthy()[0].getInfo().hasErrors());
+            assert.isFalse(instances.getHealthy()[0].isInfoStale());
+        });
+
+        it('data of the failed extractor is taken from the cache of info', function () {
+            const infoCache = createCache(new ServiceInstanceInfo({status: 'OVERLOADED', pid: 100}));
+
+            const {instances, errors} = build(node, checkNameWithStatus, statusExtractors, {infoCache});
+
+            const instance = instances.getHealthy()[0];
+            assert.strictEqual(instance.getInfo().get('status'), 'OK');
+            assert.strictEqual(instance.getInfo().get('pid'), 100);
+            assert.isFalse(instance.getInfo().hasErrors());
+            assert.isTrue(instance.isInfoStale());
+            assert.strictEqual(instance.getInfoAge(), 1500);
+            assert.isTrue(infoCache.set.notCalled);
+            assert.lengthOf(errors, 1, 'the error of extractor is reported anyway');
+            assert.strictEqual(errors[0].extra.extractorName, 'pid');
+        });
+
+        it('data of the failed extractor is taken from the namespace of the check in the cache of info', function () {
+            const statusChecks = [
+                {namespace: 'transcoder', statusCheck: checkNameWithStatus, extractors: statusExtractors}
+            ];
+            const infoCache = createCache(new ServiceInstanceInfo({
+                transcoder: new ServiceInstanceInfo({status: 'OVERLOADED', pid: 100})
+            }));
+
+            const {instances} = build(node, statusChecks, undefined, {infoCache});
+
+            const info = instances.getHealthy()[0].getInfo().get('transcoder');
+            assert.strictEqual(info.get('status'), 'OK');
+            assert.strictEqual(info.get('pid'), 100);
+            assert.isTrue(instances.getHealthy()[0].isInfoStale());
+        });
+
+        it('info keeps the error if the cache of info has no data of the failed extractor', function () {
+            const infoCache = createCache(new ServiceInstanceInfo({status: 'OVERLOADED'}));
+
+            const {instances} = build(node, checkNameWithStatus, statusExtractors, {infoCache});
+
+            const instance = instances.getHealthy()[0];
+            assert.strictEqual(instance.getInfo().get('status'), 'OK');
+            assert.strictEqual(instance.getInfo().getError('pid').message, 'pid is not an integer');
+            assert.isFalse(instance.isInfoStale());
+            assert.isTrue(infoCache.reuse.notCalled, 'nothing is reused from the cache of info');
+        });
+    });
+
+    describe('payload version', function () {
+        const fallbackExtractors = {status: {extract: output => output.data.status}};
+        const payloadVersion = {
+            path: 'data.version',
+            extractors: {
+                2: {status: {extract: output => output.data.state.code}}
+            }
+        };
+
+        function createNode(outputData) {
+            return createTranscoderNode([createStatusCheck(createHttpOutput(outputData))]);
+        }
+
+        it('info is built by extractors of the version of output', function () {
+            const {instances, errors} = build(
+                createNode('{"data":{"version":2,"state":{"code":"OVERLOADED"}}}'),
+                checkNameWithStatus,
+                fallbackExtractors,
+                {payloadVersion}
+            );
+
+            assert.isEmpty(errors);
+            assert.strictEqual(instances.getHealthy()[0].getInfo().get('status'), 'OVERLOADED');
+        });
+
+        it('info of output without version is built by fallback extractors', function () {
+            const {instances, errors} = build(
+                createNode('{"data":{"status":"OK"}}'), checkNameWithStatus, fallbackExtractors, {payloadVersion}
+            );
+
+            assert.isEmpty(errors);
+            assert.strictEqual(instances.getHealthy()[0].getInfo().get('status'), 'OK');
+        });
+
+        it('extractors of version are run without fallback extractors', function () {
+            const {instances, errors} = build(
+                createNode('{"data":{"version":2,"state":{"code":"OK"}}}'),
+                checkNameWithStatus,
+                undefined,
+                {payloadVersion}
+            );
+
+            assert.isEmpty(errors);
+            assert.strictEqual(instances.getHealthy()[0].getInfo().get('status'), 'OK');
+        });
+
+        it('unknown version is reported with UnknownPayloadVersionError and info is empty', function () {
+            const outputData = '{"data":{"version":3,"status":"OK"}}';
+
+            const {instances, errors} = build(
+                createNode(outputData), checkNameWithStatus, fallbackExtractors, {payloadVersion}
+            );
+
+            assert.isNull(instances.getHealthy()[0].getInfo());
+            assert.lengthOf(errors, 1);
+            assert.instanceOf(errors[0], UnknownPayloadVersionError);
+            assert.strictEqual(errors[0].message, 'Unknown version 3 of payload in "data.version"');
+            assert.deepEqual(errors[0].extra, {outputData, path: 'data.version', version: 3});
+        });
+
+        it('failed extractor of version is reported by name', function () {
+            const {instances, errors} = build(
+                createNode('{"data":{"version":2}}'), checkNameWithStatus, fallbackExtractors, {payloadVersion}
+            );
+
+            assert.isTrue(instances.getHealthy()[0].getInfo().hasErrors());
+            assert.lengthOf(errors, 1);
+            assert.strictEqual(errors[0].extra.extractorName, 'status');
+        });
+
+        it('every check of the list of status checks has its own payload version', function () {
+            const outputData = '{"data":{"version":2,"state":{"code":"OK"}}}';
+            const statusChecks = [
+                {namespace: 'versioned', statusCheck: checkNameWithStatus, payloadVersion},
+                {namespace: 'plain', statusCheck: checkNameWithStatus, extractors: fallbackExtractors},
+            ];
+
+            const {instances, errors} = build(
+                createNode(outputData), statusChecks, undefined, {payloadVersion: {extractors: {}}}
+            );
+
+            const info = instances.getHealthy()[0].getInfo();
+            assert.isEmpty(errors);
+            assert.strictEqual(info.get('versioned').get('status'), 'OK');
+            assert.isUndefined(info.get('plain').get('status'));
+        });
+    });
 });
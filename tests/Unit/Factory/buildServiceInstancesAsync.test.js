@@ -0,0 +1,246 @@
+'use strict';
+
+const proxyquire = require('proxyquire').noCallThru();
+const sinon = require('sinon');
+const assert = require('chai').assert;
+const deepFreeze = require('deep-freeze');
+const ServiceInstances = require('src/ServiceInstances');
+const ServiceInstanceInfo = require('src/ServiceInstanceInfo');
+const {InvalidDataError, ExtractorTimeoutError, UnknownPayloadVersionError} = require('src/Error');
+
+describe('Factory::buildServiceInstancesAsync', function () {
+
+    const checkNameWithStatus = "Service 'transcoder' health info";
+    const builderStub = sinon.stub();
+    const Factory = proxyquire('src/Factory', {
+        './ConsulResponseValidator': {
+            'filterValidHealthyServices': builderStub
+        }
+    });
+
+    const outputData = '{"data":{"status":"OK","build":"4f2a9c1"}}';
+    const statusExtractor = {extract: output => output.data.status};
+    const releaseExtractor = {
+        extract: output => new Promise(resolve => {
+            setImmediate(() => resolve({build: output.data.build, tag: 'v2.3.0'}));
+        })
+    };
+
+    function createNode(output) {
+        return deepFreeze({
+            Node: {
+                Node: 'transcoder_app',
+                Address: '192.168.101.4',
+                Datacenter: 'dc1',
+                TaggedAddresses: null,
+            },
+            Service: {
+                Tags: ['transcoder_app'],
+                Port: 12345,
+                ID: 'transcoder_12345'
+            },
+            Checks: [
+                {
+                    CheckID: 'serfHealth',
+                    Status: 'passing',
+                    Name: 'Serf Health Status',
+                    Output: 'Agent alive and reachable',
+                },
+                {
+                    CheckID: 'service:transcoder',
+                    Status: 'passing',
+                    Name: checkNameWithStatus,
+                    Type: 'http',
+                    Output: `HTTP GET http://192.168.101.4:12345/status: 200 OK Output: ${output}`
+                }
+            ],
+        });
+    }
+
+    function build(output, checks, extractors, options) {
+        const node = createNode(output);
+        builderStub.returns({validNodes: [node], errors: []});
+
+        return Factory.buildServiceInstancesAsync([node], checks, extractors, options);
+    }
+
+    afterEach(function () {
+        builderStub.reset();
+    });
+
+    it('info contains results of synchronous and asynchronous extractors', async function () {
+        const {instances, errors} = await build(
+            outputData, checkNameWithStatus, {status: statusExtractor, release: releaseExtractor}
+        );
+
+        assert.instanceOf(instances, ServiceInstances);
+        assert.isEmpty(errors);
+        assert.lengthOf(instances.getHealthy(), 1);
+        assert.instanceOf(instances.getHealthy()[0].getInfo(), ServiceInstanceInfo);
+        assert.strictEqual(instances.getHealthy()[0].getInfo().get('status'), 'OK');
+        assert.deepEqual(instances.getHealthy()[0].getInfo().get('release'), {build: '4f2a9c1', tag: 'v2.3.0'});
+    });
+
+    it('info of every status check of the list is built by its own extractors', async function () {
+        const statusChecks = [
+            {namespace: 'status', statusCheck: checkNameWithStatus, extractors: {status: statusExtractor}},
+            {
+                namespace: 'release',
+                statusCheck: {checkId: 'service:transcoder'},
+                extractors: {release: releaseExtractor}
+            }
+        ];
+
+        const {instances, errors} = await build(outputData, statusChecks, undefined);
+
+        const info = instances.getHealthy()[0].getInfo();
+        assert.isEmpty(errors);
+        assert.strictEqual(info.get('status').get('status'), 'OK');
+        assert.deepEqual(info.get('release').get('release'), {build: '4f2a9c1', tag: 'v2.3.0'});
+    });
+
+    it('extractor that is not settled in time fails with ExtractorTimeoutError', async function () {
+        const hangingExtractor = {extract: () => new Promise(() => {})};
+
+        const {instances, errors} = await build(
+            outputData, checkNameWithStatus, {status: statusExtractor, release: hangingExtractor},
+            {extractTimeoutMsec: 20}
+        );
+
+        const info = instances.getHealthy()[0].getInfo();
+        assert.strictEqual(info.get('status'), 'OK');
+        assert.isUndefined(info.get('release'));
+        assert.instanceOf(info.getError('release'), ExtractorTimeoutError);
+        assert.deepEqual(info.getError('release').extra, {extractorName: 'release', timeoutMsec: 20});
+        assert.lengthOf(errors, 1);
+        assert.instanceOf(errors[0], InvalidDataError);
+        assert.strictEqual(
+            errors[0].message,
+            'Extractor "release" failed, info has no data of the extractor: extractor is not settled in 20 msec'
+        );
+    });
+
+    it('rejected extractor fails the same way as thrown one', async function () {
+        const rejectedExtractor = {extract: () => Promise.reject(new Error('signature is invalid'))};
+
+        const {instances, errors} = await build(outputData, checkNameWithStatus, {signature: rejectedExtractor});
+
+        assert.strictEqual(
+            instances.getHealthy()[0].getInfo().getError('signature').message, 'signature is invalid'
+        );
+        assert.lengthOf(errors, 1);
+        assert.deepEqual(errors[0].extra, {outputData, extractorName: 'signature'});
+    });
+
+    it('output that can not be parsed leaves info empty', async function () {
+        const {instances, errors} = await build('{"data":', checkNameWithStatus, {release: releaseExtractor});
+
+        assert.isNull(instances.getHealthy()[0].getInfo());
+        assert.lengthOf(errors, 1);
+        assert.instanceOf(errors[0], InvalidDataError);
+        assert.deepEqual(errors[0].extra, {outputData: '{"data":'});
+    });
+
+    it('extractors are selected by version of output', async function () {
+        const payloadVersion = {path: 'data.v', extractors: {1: {release: releaseExtractor}}};
+
+        const versioned = await build(
+            '{"data":{"v":1,"build":"4f2a9c1"}}', checkNameWithStatus, {status: statusExtractor}, {payloadVersion}
+        );
+        const unknown = await build(
+            '{"data":{"v":2,"build":"4f2a9c1"}}', checkNameWithStatus, {status: statusExtractor}, {payloadVersion}
+        );
+
+        assert.isEmpty(versioned.errors);
+        assert.deepEqual(
+            versioned.instances.getHealthy()[0].getInfo().get('release'), {build: '4f2a9c1', tag: 'v2.3.0'}
+        );
+        assert.isNull(unknown.instances.getHealthy()[0].getInfo());
+        assert.lengthOf(unknown.errors, 1);
+        assert.instanceOf(unknown.errors[0], UnknownPayloadVersionError);
+    });
+
+    it('cache of info is used once per update', async function () {
+        const infoCache = {set: sinon.spy(), get: sinon.stub().returns(null), reuse: sinon.spy()};
+
+        const {instances} = await build(outputData, checkNameWithStatus, {release: releaseExtractor}, {infoCache});
+
+        assert.isTrue(infoCache.set.calledOnceWithExactly(
+            'transcoder_12345', '192.168.101.4', instances.getHealthy()[0].getInfo()
+        ));
+    });
+
+    it('nodes are validated and extractors are run once per update', async function () {
+        const statusSpy = sinon.spy(statusExtractor, 'extract');
+
+        try {
+            await build(outputData, checkNameWithStatus, {status: statusExtractor, release: releaseExtractor});
+        } finally {
+            statusSpy.restore();
+        }
+
+        assert.isTrue(builderStub.calledOnce);
+        assert.isTrue(statusSpy.calledOnce);
+    });
+
+    it('errors of extraction keep their order among errors of nodes', async function () {
+        const nodes = [
+            createNode('{"data":'),
+            deepFreeze({
+                Node: {Node: 'transcoder_app_2', Address: '192.168.101.5', Datacenter: 'dc1', TaggedAddresses: null},
+                Service: {Tags: ['transcoder_app'], Port: 12345, ID: 'transcoder_12345'},
+                Checks: []
+            }),
+            createNode(outputData)
+        ];
+        const rejectedExtractor = {extract: () => Promise.reject(new Error('signature is invalid'))};
+        builderStub.returns({validNodes: nodes, errors: []});
+
+        const {errors} = await Factory.buildServiceInstancesAsync(
+            nodes, checkNameWithStatus, {signature: rejectedExtractor}
+        );
+
+        assert.lengthOf(errors, 3);
+        assert.deepEqual(errors[0].extra, {outputData: '{"data":'});
+        assert.strictEqual(
+            errors[1].message,
+            'node received from consul has not registered health checks, node will be skipped'
+        );
+        assert.strictEqual(
+            errors[2].message,
+            'Extractor "signature" failed, info has no data of the extractor: signature is invalid'
+        );
+    });
+
+    it('timer of extractors is not started if nodes can not be prepared', function () {
+        const setTimeoutSpy = sinon.spy(global, 'setTimeout');
+        builderStub.throws(new Error('invalid nodes'));
+
+        try {
+            assert.throws(
+                () => Factory.buildServiceInstancesAsync([], checkNameWithStatus, {status: statusExtractor}),
+                'invalid nodes'
+            );
+            assert.isTrue(setTimeoutSpy.notCalled);
+        } finally {
+            setTimeoutSpy.restore();
+        }
+    });
+
+    it('asynchronous extractor fails in synchronous build', function () {
+        const node = createNode(outputData);
+        builderStub.returns({validNodes: [node], errors: []});
+
+        const {instances, errors} = Factory.buildServiceInstances(
+            [node], checkNameWithStatus, {release: releaseExtractor}
+        );
+
+        const info = instances.getHealthy()[0].getInfo();
+        assert.instanceOf(info.getError('release'), TypeError);
+        assert.strictEqual(
+            info.getError('release').message,
+            'extractor returned a promise, asynchronous extractors are supported by buildServiceInstancesAsync only'
+        );
+        assert.lengthOf(errors, 1);
+    });
+});
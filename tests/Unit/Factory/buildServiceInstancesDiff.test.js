@@ -0,0 +1,111 @@
+'use strict';
+
+const assert = require('chai').assert;
+const Factory = require('src/Factory');
+const ServiceInstance = require('src/ServiceInstance');
+const ServiceInstances = require('src/ServiceInstances');
+const ServiceInstanceInfo = require('src/ServiceInstanceInfo');
+const ServiceInstancesDiff = require('src/ServiceInstancesDiff');
+
+function createInstance(serviceId, nodeAddress, instanceInfo = null) {
+    return new ServiceInstance(
+        nodeAddress,
+        nodeAddress,
+        nodeAddress,
+        8080,
+        nodeAddress,
+        'transcoder-1.priv',
+        'dc1',
+        serviceId,
+        ['node-transcoder'],
+        instanceInfo
+    );
+}
+
+describe('Factory::buildServiceInstancesDiff', function () {
+
+    it('empty diff for equal lists of instances', function () {
+        const previous = new ServiceInstances()
+            .addHealthy(createInstance('transcoder_1', '192.168.101.10', new ServiceInstanceInfo({cpu: 1})))
+            .addUnhealthy(createInstance('transcoder_2', '192.168.101.11'));
+        const current = new ServiceInstances()
+            .addHealthy(createInstance('transcoder_1', '192.168.101.10', new ServiceInstanceInfo({cpu: 1})))
+            .addUnhealthy(createInstance('transcoder_2', '192.168.101.11'));
+
+        const diff = Factory.buildServiceInstancesDiff(previous, current);
+
+        assert.instanceOf(diff, ServiceInstancesDiff);
+        assert.isTrue(diff.isEmpty());
+        assert.isEmpty(diff.getAdded());
+        assert.isEmpty(diff.getRemoved());
+        assert.isEmpty(diff.getBecameHealthy());
+        assert.isEmpty(diff.getBecameUnhealthy());
+        assert.isEmpty(diff.getInfoChanged());
+    });
+
+    it('added and removed instances', function () {
+        const removedInstance = createInstance('transcoder_1', '192.168.101.10');
+        const addedInstance = createInstance('transcoder_1', '192.168.101.11');
+
+        const previous = new ServiceInstances().addHealthy(removedInstance);
+        const current = new ServiceInstances().addUnhealthy(addedInstance);
+
+        const diff = Factory.buildServiceInstancesDiff(previous, current);
+
+        assert.isFalse(diff.isEmpty());
+        assert.deepEqual(diff.getAdded(), [addedInstance]);
+        assert.deepEqual(diff.getRemoved(), [removedInstance]);
+        assert.isEmpty(diff.getBecameHealthy());
+        assert.isEmpty(diff.getBecameUnhealthy());
+        assert.isEmpty(diff.getInfoChanged());
+    });
+
+    it('instances that changed health state', function () {
+        const previousHealthy = createInstance('transcoder_1', '192.168.101.10');
+        const previousUnhealthy = createInstance('transcoder_2', '192.168.101.11');
+        const currentUnhealthy = createInstance('transcoder_1', '192.168.101.10');
+        const currentHealthy = createInstance('transcoder_2', '192.168.101.11');
+
+        const previous = new ServiceInstances().addHealthy(previousHealthy).addUnhealthy(previousUnhealthy);
+        const current = new ServiceInstances().addHealthy(currentHealthy).addUnhealthy(currentUnhealthy);
+
+        const diff = Factory.buildServiceInstancesDiff(previous, current);
+
+        assert.isEmpty(diff.getAdded());
+        assert.isEmpty(diff.getRemoved());
+        assert.isEmpty(diff.getInfoChanged());
+        assert.lengthOf(diff.getBecameHealthy(), 1);
+        assert.strictEqual(diff.getBecameHealthy()[0].instance, currentHealthy);
+        assert.strictEqual(diff.getBecameHealthy()[0].previousInstance, previousUnhealthy);
+        assert.lengthOf(diff.getBecameUnhealthy(), 1);
+        assert.strictEqual(diff.getBecameUnhealthy()[0].instance, currentUnhealthy);
+        assert.strictEqual(diff.getBecameUnhealthy()[0].previousInstance, previousHealthy);
+    });
+
+    it('instance with changed info is reported together with health change', function () {
+        const previousInstance = createInstance('transcoder_1', '192.168.101.10', new ServiceInstanceInfo({cpu: 1}));
+        const currentInstance = createInstance('transcoder_1', '192.168.101.10', new ServiceInstanceInfo({cpu: 2}));
+
+        const previous = new ServiceInstances().addHealthy(previousInstance);
+        const current = new ServiceInstances().addUnhealthy(currentInstance);
+
+        const diff = Factory.buildServiceInstancesDiff(previous, current);
+
+        assert.deepEqual(diff.getBecameUnhealthy(), [{instance: currentInstance, previousInstance}]);
+        assert.deepEqual(diff.getInfoChanged(), [{instance: currentInstance, previousInstance}]);
+    });
+
+    it('instance with info that became null is reported as changed', function () {
+        const previousInstance = createInstance('transcoder_1', '192.168.101.10', new ServiceInstanceInfo({cpu: 1}));
+        const currentInstance = createInstance('transcoder_1', '192.168.101.10');
+
+        const previous = new ServiceInstances().addHealthy(previousInstance);
+        const current = new ServiceInstances().addHealthy(currentInstance);
+
+        const diff = Factory.buildServiceInstancesDiff(previous, current);
+
+        assert.isEmpty(diff.getBecameHealthy());
+        assert.isEmpty(diff.getBecameUnhealthy());
+        assert.deepEqual(diff.getInfoChanged(), [{instance: currentInstance, previousInstance}]);
+    });
+});
@@ -0,0 +1,63 @@
+'use strict';
+
+const assert = require('chai').assert;
+const sinon = require('sinon');
+const deepFreeze = require('deep-freeze');
+const Factory = require('src/Factory');
+
+describe('Factory::buildStatusCheckMatcher', function () {
+
+    const node = deepFreeze({
+        Node: {
+            Node: 'transcoder_app',
+            Address: '192.168.101.4',
+        },
+        Service: {
+            Port: 3000,
+            ID: 'example_http_service_3000'
+        },
+    });
+
+    const statusCheck = deepFreeze({
+        CheckID: 'example_http_service_3000_status',
+        Name: 'example_http_service health status on port 3000',
+        Status: 'passing',
+        Output: '',
+    });
+
+    const serfHealthCheck = deepFreeze({
+        CheckID: 'serfHealth',
+        Name: 'Serf Health Status',
+        Status: 'passing',
+        Output: '',
+    });
+
+    [
+        ['string', 'example_http_service health status on port 3000'],
+        ['name', {name: 'example_http_service health status on port 3000'}],
+        ['nameRegex', {nameRegex: /^example_http_service health status on port \d+$/}],
+        ['nameRegex with global flag', {nameRegex: /health status/g}],
+        ['checkId', {checkId: 'example_http_service_3000_status'}],
+        ['checkIdTemplate', {checkIdTemplate: '{serviceId}_status'}],
+        ['checkIdTemplate with port', {checkIdTemplate: 'example_http_service_{port}_status'}],
+        ['predicate', {predicate: check => check.CheckID.endsWith('_status')}],
+    ].forEach(([title, matcher]) => {
+        it(`matches status check by ${title}`, function () {
+            const isStatusCheck = Factory.buildStatusCheckMatcher(matcher);
+
+            // called twice to be sure that matcher has no state between calls
+            assert.isTrue(isStatusCheck(statusCheck, node));
+            assert.isTrue(isStatusCheck(statusCheck, node));
+            assert.isFalse(isStatusCheck(serfHealthCheck, node));
+        });
+    });
+
+    it('predicate receives check and node', function () {
+        const predicate = sinon.stub().returns(1);
+
+        const isStatusCheck = Factory.buildStatusCheckMatcher({predicate});
+
+        assert.isTrue(isStatusCheck(statusCheck, node));
+        assert.isTrue(predicate.calledOnceWithExactly(statusCheck, node));
+    });
+});
@@ -0,0 +1,52 @@
+'use strict';
+
+const assert = require('chai').assert;
+const Factory = require('src/Factory');
+const ServiceInstance = require('src/ServiceInstance');
+const ServiceInstanceInfo = require('src/ServiceInstanceInfo');
+const StatusInfo = require('src/Extractor/dto/StatusInfo');
+const PidInfo = require('src/Extractor/dto/PidInfo');
+
+describe('Factory::buildStatusClassifier', function () {
+
+    const instance = new ServiceInstance(
+        null, null, null, 8080, '192.168.101.10', 'transcoder-1.priv', 'dc1', 'transcoder_1', [], null
+    );
+
+    ['OK', 'OVERLOADED', 'MAINTENANCE'].forEach(status => {
+        it(`instance is classified by its status info, status = ${status}`, function () {
+            const classifier = Factory.buildStatusClassifier();
+
+            assert.strictEqual(classifier(instance, new ServiceInstanceInfo({status: new StatusInfo(status)})), status);
+        });
+    });
+
+    it('instance is classified by status info with custom name', function () {
+        const classifier = Factory.buildStatusClassifier('state');
+        const info = new ServiceInstanceInfo({state: new StatusInfo('OVERLOADED'), status: new StatusInfo('OK')});
+
+        assert.strictEqual(classifier(instance, info), 'OVERLOADED');
+    });
+
+    it('instance is classified by status info in namespace of status check', function () {
+        const classifier = Factory.buildStatusClassifier('status', 'health');
+        const info = new ServiceInstanceInfo({
+            health: new ServiceInstanceInfo({status: new StatusInfo('MAINTENANCE')}),
+            metrics: new ServiceInstanceInfo({}),
+        });
+
+        assert.strictEqual(classifier(instance, info), 'MAINTENANCE');
+    });
+
+    [
+        ['no info', Factory.buildStatusClassifier(), null],
+        ['no status info', Factory.buildStatusClassifier(), new ServiceInstanceInfo({pid: new PidInfo(100)})],
+        ['info is not a status info', Factory.buildStatusClassifier('pid'), new ServiceInstanceInfo({pid: 100})],
+        ['no info of namespace', Factory.buildStatusClassifier('status', 'health'), new ServiceInstanceInfo({})],
+        ['no info with namespace', Factory.buildStatusClassifier('status', 'health'), null],
+    ].forEach(([title, classifier, info]) => {
+        it(`instance is left out of buckets, case = ${title}`, function () {
+            assert.isNull(classifier(instance, info));
+        });
+    });
+});
@@ -0,0 +1,240 @@
+'use strict';
+
+const EventEmitter = require('events');
+const _ = require('lodash');
+const assert = require('chai').assert;
+const HashSelector = require('src/HashSelector');
+const ServiceInstance = require('src/ServiceInstance');
+const ServiceInstances = require('src/ServiceInstances');
+
+function createInstance(serviceId) {
+    return new ServiceInstance(
+        null, null, null, 8080, '192.168.101.10', 'transcoder-1.priv', 'dc1', serviceId, [], null
+    );
+}
+
+class FakeMonitor extends EventEmitter {
+    constructor(instances = new ServiceInstances()) {
+        super();
+        this._instances = instances;
+    }
+
+    getInstances() {
+        return this._instances;
+    }
+}
+
+function createInstances(instances) {
+    return instances.reduce((result, instance) => result.addHealthy(instance), new ServiceInstances());
+}
+
+function pickAll(selector, keys) {
+    return keys.map(key => selector.pickForKey(key).getServiceId());
+}
+
+describe('HashSelector', function () {
+    const instances = _.range(1, 6).map(i => createInstance(`transcoder_${i}`));
+    const keys = _.range(0, 500).map(i => `session_${i}`);
+
+    [null, {}, {on: () => {}, removeListener: () => {}}].forEach(monitor => {
+        it(`constructor: incorrect monitor, value = ${JSON.stringify(monitor)}`, function () {
+            assert.throws(
+                () => new HashSelector(monitor),
+                TypeError,
+                'monitor argument does not look like ServiceInstancesMonitor object'
+            );
+        });
+    });
+
+    [
+        [null, 'options must be an object'],
+        [{algorithm: 'maglev'}, 'options.algorithm must be one of the following values: ketama, rendezvous'],
+        [{virtualNodes: 0}, 'options.virtualNodes must be a positive integer'],
+        [{virtualNodes: 1.5}, 'options.virtualNodes must be a positive integer'],
+        [{virtualNodes: '160'}, 'options.virtualNodes must be a positive integer'],
+    ].forEach(([options, message]) => {
+        it(`constructor: incorrect options, value = ${JSON.stringify(options)}`, function () {
+            assert.throws(() => new HashSelector(new FakeMonitor(), options), TypeError, message);
+        });
+    });
+
+    [
+        [[null, 1], 'key must be a string'],
+        [['session_1', 0], 'n must be a positive integer'],
+        [['session_1', '2'], 'n must be a positive integer'],
+    ].forEach(([args, message]) => {
+        it(`pickNForKey: incorrect arguments, value = ${JSON.stringify(args)}`, function () {
+            const selector = new HashSelector(new FakeMonitor());
+
+            assert.throws(() => selector.pickNForKey(...args), TypeError, message);
+        });
+    });
+
+    it('ketama is the default algorithm', function () {
+        assert.strictEqual(new HashSelector(new FakeMonitor()).getAlgorithm(), 'ketama');
+    });
+
+    ['ketama', 'rendezvous'].forEach(algorithm => {
+        it(`nothing is picked without healthy instances, algorithm = ${algorithm}`, function () {
+            const monitor = new FakeMonitor(new ServiceInstances().addUnhealthy(instances[0]));
+            const selector = new HashSelector(monitor, {algorithm});
+
+            assert.isNull(selector.pickForKey('session_1'));
+            assert.deepEqual(selector.pickNForKey('session_1', 3), []);
+        });
+
+        it(`key is mapped regardless of order of instances, algorithm = ${algorithm}`, function () {
+            const selector = new HashSelector(new FakeMonitor(createInstances(instances)), {algorithm});
+            const reversed = new HashSelector(
+                new FakeMonitor(createInstances(_.reverse(instances.slice()))), {algorithm}
+            );
+
+            assert.deepEqual(pickAll(selector, keys), pickAll(reversed, keys));
+        });
+
+        it(`keys are spread across all instances, algorithm = ${algorithm}`, function () {
+            const selector = new HashSelector(new FakeMonitor(createInstances(instances)), {algorithm});
+            const counts = _.countBy(pickAll(selector, keys));
+
+            assert.lengthOf(_.keys(counts), instances.length);
+            _.values(counts).forEach(count => assert.isAbove(count, 50));
+        });
+
+        it(`only keys of removed instance move, algorithm = ${algorithm}`, function () {
+            const monitor = new FakeMonitor(createInstances(instances));
+            const selector = new HashSelector(monitor, {algorithm});
+            const before = pickAll(selector, keys);
+
+            monitor.emit('changed', createInstances(instances.slice(1)).addUnhealthy(instances[0]));
+            const after = pickAll(selector, keys);
+
+            keys.forEach((key, i) => {
+                if (before[i] === 'transcoder_1') {
+                    assert.notStrictEqual(after[i], 'transcoder_1');
+                } else {
+                    assert.strictEqual(after[i], before[i]);
+                }
+            });
+        });
+
+        it(`only keys taken by added instance move, algorithm = ${algorithm}`, function () {
+            const monitor = new FakeMonitor(createInstances(instances.slice(1)));
+            const selector = new HashSelector(monitor, {algorithm});
+            const before = pickAll(selector, keys);
+
+            monitor.emit('changed', createInstances(instances));
+            const after = pickAll(selector, keys);
+
+            keys.forEach((key, i) => {
+                if (after[i] !== 'transcoder_1') {
+                    assert.strictEqual(after[i], before[i]);
+                }
+            });
+        });
+
+        it(`pickNForKey returns distinct instances in order of preference, algorithm = ${algorithm}`, function () {
+            const selector = new HashSelector(new FakeMonitor(createInstances(instances)), {algorithm});
+
+            keys.slice(0, 50).forEach(key => {
+                const picked = selector.pickNForKey(key, 3);
+
+                assert.lengthOf(_.uniq(picked), 3);
+                assert.strictEqual(picked[0], selector.pickForKey(key));
+            });
+
+            assert.sameMembers(selector.pickNForKey('session_1', 10), instances);
+        });
+
+        it(`close stops following changes of monitor, algorithm = ${algorithm}`, function () {
+            const monitor = new FakeMonitor(createInstances(instances));
+            const selector = new HashSelector(monitor, {algorithm});
+
+            assert.strictEqual(selector.close(), selector);
+            assert.strictEqual(monitor.listenerCount('changed'), 0);
+            assert.isNull(selector.pickForKey('session_1'));
+        });
+    });
+
+    it('virtual nodes of ketama are configurable', function () {
+        const monitor = new FakeMonitor(createInstances(instances.slice(0, 2)));
+        const selector = new HashSelector(monitor, {virtualNodes: 1});
+        const ranges = [];
+
+        selector.on('keysMoved', moved => ranges.push(...moved));
+        monitor.emit('changed', new ServiceInstances());
+
+        // with a single point per instance the ring of two instances consists of three ranges
+        assert.lengthOf(ranges, 3);
+        assert.strictEqual(ranges[0].start, 0);
+        assert.strictEqual(_.last(ranges).end, 0xffffffff);
+        ranges.forEach(range => assert.isNull(range.to));
+    });
+
+    it('keysMoved lists ranges of ketama ring that moved', function () {
+        const monitor = new FakeMonitor(createInstances(instances));
+        const selector = new HashSelector(monitor, {virtualNodes: 40});
+        const storageKeys = instances.map(instance => new ServiceInstances().getKey(instance));
+        const before = keys.map(key => selector.pickForKey(key));
+        let moved = null;
+
+        selector.on('keysMoved', ranges => {
+            moved = ranges;
+        });
+        monitor.emit('changed', createInstances([instances[1], instances[2], instances[3], createInstance('new_one')]));
+
+        assert.isNotEmpty(moved);
+        moved.forEach((range, i) => {
+            assert.isAtMost(range.start, range.end);
+            assert.notStrictEqual(range.from, range.to);
+            assert.include(storageKeys.concat('new_one_192.168.101.10_dc1'), range.to);
+
+            if (i > 0) {
+                assert.isAbove(range.start, moved[i - 1].end);
+            }
+        });
+
+        keys.forEach((key, i) => {
+            const hash = HashSelector.hashKey(key);
+            const range = moved.find(item => item.start <= hash && hash <= item.end);
+            const oldKey = new ServiceInstances().getKey(before[i]);
+            const newKey = new ServiceInstances().getKey(selector.pickForKey(key));
+
+            if (range === undefined) {
+                assert.strictEqual(newKey, oldKey);
+            } else {
+                assert.strictEqual(range.from, oldKey);
+                assert.strictEqual(range.to, newKey);
+            }
+        });
+    });
+
+    it('keysMoved lists removed and added instances of rendezvous hashing', function () {
+        const monitor = new FakeMonitor(createInstances(instances.slice(0, 2)));
+        const selector = new HashSelector(monitor, {algorithm: 'rendezvous'});
+        const moved = [];
+
+        selector.on('keysMoved', ranges => moved.push(ranges));
+        monitor.emit('changed', createInstances(instances.slice(1, 3)));
+        monitor.emit('changed', createInstances(instances.slice(1, 3)));
+
+        assert.deepEqual(moved, [
+            [
+                {start: null, end: null, from: 'transcoder_1_192.168.101.10_dc1', to: null},
+                {start: null, end: null, from: null, to: 'transcoder_3_192.168.101.10_dc1'},
+            ],
+        ]);
+    });
+
+    ['ketama', 'rendezvous'].forEach(algorithm => {
+        it(`keysMoved is not emitted if nothing moved, algorithm = ${algorithm}`, function () {
+            const monitor = new FakeMonitor(createInstances(instances));
+            const selector = new HashSelector(monitor, {algorithm});
+            const moved = [];
+
+            selector.on('keysMoved', ranges => moved.push(ranges));
+            monitor.emit('changed', createInstances(instances).addUnhealthy(createInstance('transcoder_6')));
+
+            assert.isEmpty(moved);
+        });
+    });
+});
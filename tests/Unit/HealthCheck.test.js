@@ -0,0 +1,45 @@
+'use strict';
+
+const assert = require('chai').assert;
+const HealthCheck = require('src/HealthCheck');
+
+describe('HealthCheck', function () {
+
+    const validArgs = ['service:transcoder', 'Transcoder health status', 'passing', 'OK', 'http', 'transcoder_1', 27];
+
+    [
+        [0, '', 'checkId must be a non-empty string'],
+        [1, null, 'name must be a string'],
+        [2, undefined, 'status must be a non-empty string'],
+        [3, null, 'output must be a string'],
+        [4, 1, 'type must be a string'],
+        [5, null, 'serviceId must be a string'],
+        [6, '27', 'modifyIndex must be an integer or null'],
+    ].forEach(([position, value, message]) => {
+        it(`constructor: ${message}, value = ${JSON.stringify(value)}`, function () {
+            const args = [...validArgs];
+            args[position] = value;
+
+            assert.throws(() => new HealthCheck(...args), TypeError, message);
+        });
+    });
+
+    it('getters return values passed to constructor', function () {
+        const check = new HealthCheck(...validArgs);
+
+        assert.strictEqual(check.getCheckId(), 'service:transcoder');
+        assert.strictEqual(check.getName(), 'Transcoder health status');
+        assert.strictEqual(check.getStatus(), 'passing');
+        assert.strictEqual(check.getOutput(), 'OK');
+        assert.strictEqual(check.getType(), 'http');
+        assert.strictEqual(check.getServiceId(), 'transcoder_1');
+        assert.strictEqual(check.getModifyIndex(), 27);
+        assert.isTrue(check.isPassing());
+    });
+
+    ['warning', 'critical'].forEach(status => {
+        it(`isPassing returns false for ${status} status`, function () {
+            assert.isFalse(new HealthCheck('disk', 'Disk usage', status, '', '', '', null).isPassing());
+        });
+    });
+});
@@ -0,0 +1,120 @@
+'use strict';
+
+const assert = require('chai').assert;
+const sinon = require('sinon');
+const InstanceInfoCache = require('src/InstanceInfoCache');
+const ServiceInstance = require('src/ServiceInstance');
+const ServiceInstances = require('src/ServiceInstances');
+const ServiceInstanceInfo = require('src/ServiceInstanceInfo');
+
+function createInstance(serviceId, nodeAddress) {
+    return new ServiceInstance(
+        null, null, null, 8080, nodeAddress, 'transcoder-1.priv', 'dc1', serviceId, [], null
+    );
+}
+
+describe('InstanceInfoCache', function () {
+    let clock;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers();
+    });
+
+    afterEach(() => {
+        clock.restore();
+    });
+
+    [0, -1, 1.5, '1000'].forEach(value => {
+        it(`constructor: incorrect "ttlMsec", value = ${JSON.stringify(value)}`, function () {
+            assert.throws(() => new InstanceInfoCache(value, null), TypeError, 'ttlMsec must be a positive integer');
+        });
+
+        it(`constructor: incorrect "maxUpdates", value = ${JSON.stringify(value)}`, function () {
+            assert.throws(
+                () => new InstanceInfoCache(null, value),
+                TypeError,
+                'maxUpdates must be a positive integer'
+            );
+        });
+    });
+
+    it('constructor: no limits', function () {
+        assert.throws(
+            () => new InstanceInfoCache(null, null),
+            TypeError,
+            'at least one of ttlMsec and maxUpdates must be set'
+        );
+    });
+
+    it('returns null for unknown instance', function () {
+        const cache = new InstanceInfoCache(1000, null)
+            .set('transcoder_1', '192.168.101.10', new ServiceInstanceInfo({}));
+
+        assert.isNull(cache.reuse('transcoder_1', '192.168.101.11'));
+        assert.isNull(cache.reuse('transcoder_2', '192.168.101.10'));
+    });
+
+    it('info is reused until it is older than ttlMsec', function () {
+        const info = new ServiceInstanceInfo({cpu: 1});
+        const cache = new InstanceInfoCache(1000, null).set('transcoder_1', '192.168.101.10', info);
+
+        clock.tick(400);
+        assert.deepEqual(cache.reuse('transcoder_1', '192.168.101.10'), {info, age: 400});
+
+        clock.tick(599);
+        assert.deepEqual(cache.reuse('transcoder_1', '192.168.101.10'), {info, age: 999});
+
+        clock.tick(1);
+        assert.isNull(cache.reuse('transcoder_1', '192.168.101.10'));
+        assert.strictEqual(cache.getSize(), 0);
+    });
+
+    it('info is reused at most maxUpdates times in a row', function () {
+        const info = new ServiceInstanceInfo({cpu: 1});
+        const cache = new InstanceInfoCache(null, 2).set('transcoder_1', '192.168.101.10', info);
+
+        assert.strictEqual(cache.reuse('transcoder_1', '192.168.101.10').info, info);
+        assert.strictEqual(cache.reuse('transcoder_1', '192.168.101.10').info, info);
+        assert.isNull(cache.reuse('transcoder_1', '192.168.101.10'));
+    });
+
+    it('new info resets age and number of updates', function () {
+        const newInfo = new ServiceInstanceInfo({cpu: 2});
+        const cache = new InstanceInfoCache(1000, 1).set('transcoder_1', '192.168.101.10', new ServiceInstanceInfo({}));
+
+        clock.tick(500);
+        cache.reuse('transcoder_1', '192.168.101.10');
+        cache.set('transcoder_1', '192.168.101.10', newInfo);
+
+        clock.tick(700);
+        assert.deepEqual(cache.reuse('transcoder_1', '192.168.101.10'), {info: newInfo, age: 700});
+    });
+
+    it('get does not count the update that reuses info', function () {
+        const info = new ServiceInstanceInfo({cpu: 1});
+        const cache = new InstanceInfoCache(null, 1).set('transcoder_1', '192.168.101.10', info);
+
+        clock.tick(300);
+        assert.deepEqual(cache.get('transcoder_1', '192.168.101.10'), {info, age: 300});
+        assert.deepEqual(cache.get('transcoder_1', '192.168.101.10'), {info, age: 300});
+
+        cache.reuse('transcoder_1', '192.168.101.10');
+        assert.isNull(cache.get('transcoder_1', '192.168.101.10'));
+    });
+
+    it('retain removes info of absent instances', function () {
+        const cache = new InstanceInfoCache(1000, null)
+            .set('transcoder_1', '192.168.101.10', new ServiceInstanceInfo({}))
+            .set('transcoder_2', '192.168.101.10', new ServiceInstanceInfo({}))
+            .set('transcoder_1', '192.168.101.11', new ServiceInstanceInfo({}));
+
+        cache.retain(new ServiceInstances()
+            .addHealthy(createInstance('transcoder_1', '192.168.101.10'))
+            .addUnhealthy(createInstance('transcoder_1', '192.168.101.11'))
+        );
+
+        assert.strictEqual(cache.getSize(), 2);
+        assert.isNull(cache.reuse('transcoder_2', '192.168.101.10'));
+        assert.isNotNull(cache.reuse('transcoder_1', '192.168.101.11'));
+    });
+});
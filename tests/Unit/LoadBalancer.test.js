@@ -0,0 +1,237 @@
+'use strict';
+
+const EventEmitter = require('events');
+const assert = require('chai').assert;
+const sinon = require('sinon');
+const LoadBalancer = require('src/LoadBalancer');
+const ServiceInstance = require('src/ServiceInstance');
+const ServiceInstances = require('src/ServiceInstances');
+const ServiceInstanceInfo = require('src/ServiceInstanceInfo');
+const CpuInfo = require('src/Extractor/dto/CpuInfo');
+
+function createInstance(serviceId, {cpuUsage, weights} = {}) {
+    const info = cpuUsage !== undefined ? new ServiceInstanceInfo({cpu: new CpuInfo(cpuUsage, 4)}) : null;
+
+    return new ServiceInstance(
+        null, null, null, 8080, '192.168.101.10', 'transcoder-1.priv', 'dc1', serviceId, [], info, [], [], null, null,
+        weights
+    );
+}
+
+class FakeMonitor extends EventEmitter {
+    constructor(instances = new ServiceInstances()) {
+        super();
+        this._instances = instances;
+    }
+
+    getInstances() {
+        return this._instances;
+    }
+}
+
+describe('LoadBalancer', function () {
+    const first = createInstance('transcoder_1', {cpuUsage: 40, weights: {passing: 3, warning: 1}});
+    const second = createInstance('transcoder_2', {cpuUsage: 10, weights: {passing: 1, warning: 1}});
+    const third = createInstance('transcoder_3', {cpuUsage: 10, weights: {passing: 0, warning: 0}});
+    const unhealthy = createInstance('transcoder_4', {cpuUsage: 0});
+
+    let randomStub;
+
+    beforeEach(() => {
+        randomStub = sinon.stub(Math, 'random');
+    });
+
+    afterEach(() => {
+        randomStub.restore();
+    });
+
+    function createMonitor() {
+        return new FakeMonitor(
+            new ServiceInstances().addHealthy(first).addHealthy(second).addHealthy(third).addUnhealthy(unhealthy)
+        );
+    }
+
+    [null, {}, {on: () => {}, removeListener: () => {}}].forEach(monitor => {
+        it(`constructor: incorrect monitor, value = ${JSON.stringify(monitor)}`, function () {
+            assert.throws(
+                () => new LoadBalancer(monitor),
+                TypeError,
+                'monitor argument does not look like ServiceInstancesMonitor object'
+            );
+        });
+    });
+
+    [
+        [null, 'options must be an object'],
+        [{strategy: 'leastConnections'}, 'options.strategy must be one of the following values: roundRobin, random'],
+        [{getLoad: 'cpu'}, 'options.getLoad must be a function'],
+    ].forEach(([options, message]) => {
+        it(`constructor: incorrect options, value = ${JSON.stringify(options)}`, function () {
+            assert.throws(() => new LoadBalancer(new FakeMonitor(), options), TypeError, message);
+        });
+    });
+
+    it('round robin is the default strategy', function () {
+        const balancer = new LoadBalancer(createMonitor());
+
+        assert.strictEqual(balancer.getStrategy(), 'roundRobin');
+        assert.deepEqual(
+            [balancer.pick(), balancer.pick(), balancer.pick(), balancer.pick()],
+            [first, second, third, first]
+        );
+    });
+
+    it('random picks instance by Math.random', function () {
+        const balancer = new LoadBalancer(createMonitor(), {strategy: 'random'});
+
+        randomStub.returns(0.5);
+        assert.strictEqual(balancer.pick(), second);
+
+        randomStub.returns(0.99);
+        assert.strictEqual(balancer.pick(), third);
+    });
+
+    [[0, 'transcoder_1'], [0.74, 'transcoder_1'], [0.75, 'transcoder_2'], [0.99, 'transcoder_2']].forEach(
+        ([random, serviceId]) => {
+            it(`weighted random picks instance proportionally to its weight, random = ${random}`, function () {
+                const balancer = new LoadBalancer(createMonitor(), {strategy: 'weightedRandom'});
+
+                randomStub.returns(random);
+                assert.strictEqual(balancer.pick().getServiceId(), serviceId);
+            });
+        }
+    );
+
+    it('weighted random uses warning weight of instance in warning state', function () {
+        const monitor = new FakeMonitor(new ServiceInstances(true).addHealthy(second).addWarning(first));
+        const balancer = new LoadBalancer(monitor, {strategy: 'weightedRandom'});
+
+        randomStub.returns(0.49);
+        assert.strictEqual(balancer.pick(), second);
+
+        randomStub.returns(0.5);
+        assert.strictEqual(balancer.pick(), first);
+    });
+
+    it('weighted random picks nothing if all instances have zero weight', function () {
+        const balancer = new LoadBalancer(
+            new FakeMonitor(new ServiceInstances().addHealthy(third)), {strategy: 'weightedRandom'}
+        );
+
+        assert.isNull(balancer.pick());
+    });
+
+    it('least loaded picks the less loaded of two random instances', function () {
+        const balancer = new LoadBalancer(createMonitor(), {strategy: 'leastLoaded'});
+
+        randomStub.onCall(0).returns(0).onCall(1).returns(0);
+        assert.strictEqual(balancer.pick(), second, 'the second is less loaded than the first');
+
+        randomStub.onCall(2).returns(0).onCall(3).returns(0.99);
+        assert.strictEqual(balancer.pick(), third, 'the third is less loaded than the first');
+    });
+
+    it('least loaded spreads picks in inverse proportion to the load between changes', function () {
+        const monitor = new FakeMonitor(new ServiceInstances().addHealthy(first).addHealthy(second));
+        const balancer = new LoadBalancer(monitor, {strategy: 'leastLoaded'});
+        randomStub.returns(0);
+
+        const picks = [];
+        for (let i = 0; i < 10; i++) {
+            picks.push(balancer.pick());
+        }
+
+        assert.deepEqual(picks, [second, second, second, first, second, second, second, second, first, second]);
+
+        monitor.emit('changed', new ServiceInstances().addHealthy(first).addHealthy(second));
+        assert.strictEqual(balancer.pick(), second, 'picks are counted anew after the change');
+    });
+
+    it('least loaded picks instances with equal load in turn', function () {
+        const monitor = new FakeMonitor(new ServiceInstances().addHealthy(second).addHealthy(third));
+        const balancer = new LoadBalancer(monitor, {strategy: 'leastLoaded'});
+        randomStub.returns(0);
+
+        assert.deepEqual([balancer.pick(), balancer.pick(), balancer.pick()], [second, third, second]);
+    });
+
+    it('least loaded uses custom load of instance', function () {
+        const getLoad = instance => (instance === first ? 1 : 10);
+        const balancer = new LoadBalancer(createMonitor(), {strategy: 'leastLoaded', getLoad});
+        randomStub.returns(0);
+
+        assert.deepEqual([balancer.pick(), balancer.pick()], [first, first]);
+    });
+
+    it('least loaded spreads picks between idle and loaded instances', function () {
+        const getLoad = instance => (instance === first ? 0 : 1);
+        const monitor = new FakeMonitor(new ServiceInstances().addHealthy(first).addHealthy(second));
+        const balancer = new LoadBalancer(monitor, {strategy: 'leastLoaded', getLoad});
+        randomStub.returns(0);
+
+        const picks = [];
+        for (let i = 0; i < 5; i++) {
+            picks.push(balancer.pick());
+        }
+
+        assert.deepEqual(picks, [first, second, first, first, second]);
+    });
+
+    it('least loaded treats negative load as no load', function () {
+        const getLoad = instance => (instance === first ? -5 : 10);
+        const monitor = new FakeMonitor(new ServiceInstances().addHealthy(first).addHealthy(second));
+        const balancer = new LoadBalancer(monitor, {strategy: 'leastLoaded', getLoad});
+        randomStub.returns(0);
+
+        assert.deepEqual([balancer.pick(), balancer.pick()], [second, second]);
+    });
+
+    it('least loaded picks instances without load only if no instance has it', function () {
+        const withoutInfo = createInstance('transcoder_5');
+        const monitor = new FakeMonitor(new ServiceInstances().addHealthy(withoutInfo).addHealthy(first));
+        const balancer = new LoadBalancer(monitor, {strategy: 'leastLoaded'});
+        randomStub.returns(0);
+
+        assert.deepEqual([balancer.pick(), balancer.pick()], [first, first]);
+
+        monitor.emit('changed', new ServiceInstances().addHealthy(withoutInfo).addHealthy(createInstance('a')));
+        assert.strictEqual(balancer.pick(), withoutInfo);
+    });
+
+    ['roundRobin', 'random', 'weightedRandom', 'leastLoaded'].forEach(strategy => {
+        it(`unhealthy instance is never picked, strategy = ${strategy}`, function () {
+            const monitor = createMonitor();
+            const balancer = new LoadBalancer(monitor, {strategy});
+
+            for (const random of [0, 0.3, 0.6, 0.9, 0.99]) {
+                randomStub.returns(random);
+                assert.notStrictEqual(balancer.pick(), unhealthy);
+            }
+
+            monitor.emit('changed', new ServiceInstances().addUnhealthy(unhealthy));
+            assert.isNull(balancer.pick());
+        });
+    });
+
+    it('state is rebuilt on every change of monitor', function () {
+        const monitor = new FakeMonitor();
+        const balancer = new LoadBalancer(monitor);
+
+        assert.isNull(balancer.pick());
+
+        monitor.emit('changed', new ServiceInstances().addHealthy(second));
+        assert.strictEqual(balancer.pick(), second);
+
+        monitor.emit('changed', new ServiceInstances().addHealthy(first).addUnhealthy(second));
+        assert.deepEqual([balancer.pick(), balancer.pick()], [first, first]);
+    });
+
+    it('close stops following changes of monitor', function () {
+        const monitor = createMonitor();
+        const balancer = new LoadBalancer(monitor);
+
+        assert.strictEqual(balancer.close(), balancer);
+        assert.strictEqual(monitor.listenerCount('changed'), 0);
+        assert.isNull(balancer.pick());
+    });
+});
@@ -0,0 +1,146 @@
+'use strict';
+
+const assert = require('chai').assert;
+const sinon = require('sinon');
+const OutlierDetector = require('src/OutlierDetector');
+const ServiceInstance = require('src/ServiceInstance');
+const ServiceInstances = require('src/ServiceInstances');
+
+function createInstance(serviceId) {
+    return new ServiceInstance(
+        null, null, null, 8080, '192.168.101.10', 'transcoder-1.priv', 'dc1', serviceId, [], null
+    );
+}
+
+describe('OutlierDetector', function () {
+    let clock;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers();
+    });
+
+    afterEach(() => {
+        clock.restore();
+    });
+
+    function reportFailures(detector, serviceId, count) {
+        const results = [];
+
+        for (let i = 0; i < count; i++) {
+            results.push(detector.reportFailure(serviceId));
+        }
+
+        return results;
+    }
+
+    ['consecutiveFailures', 'intervalMsec', 'baseEjectionTimeMsec', 'maxEjectionTimeMsec'].forEach((name, i) => {
+        [0, -1, 1.5, '10', null].forEach(value => {
+            it(`constructor: incorrect "${name}", value = ${JSON.stringify(value)}`, function () {
+                const args = [3, 1000, 5000, 60000];
+                args[i] = value;
+
+                assert.throws(() => new OutlierDetector(...args), TypeError, `${name} must be a positive integer`);
+            });
+        });
+    });
+
+    it('constructor: max ejection time is less than base one', function () {
+        assert.throws(
+            () => new OutlierDetector(3, 1000, 5000, 4999),
+            TypeError,
+            'maxEjectionTimeMsec must not be less than baseEjectionTimeMsec'
+        );
+    });
+
+    it('instance is ejected after consecutive failures', function () {
+        const detector = new OutlierDetector(3, 1000, 5000, 60000);
+
+        assert.deepEqual(reportFailures(detector, 'transcoder_1', 3), [null, null, 5000]);
+        assert.isTrue(detector.isEjected('transcoder_1'));
+        assert.isFalse(detector.isEjected('transcoder_2'));
+        assert.deepEqual(detector.getEjected(), ['transcoder_1']);
+
+        // failures of ejected instance are ignored
+        assert.isNull(detector.reportFailure('transcoder_1'));
+    });
+
+    it('failures out of the interval are not counted', function () {
+        const detector = new OutlierDetector(3, 1000, 5000, 60000);
+
+        detector.reportFailure('transcoder_1');
+        clock.tick(1);
+        detector.reportFailure('transcoder_1');
+        clock.tick(999);
+
+        // the first failure is out of the interval already, the second one is still in
+        assert.deepEqual(reportFailures(detector, 'transcoder_1', 2), [null, 5000]);
+    });
+
+    it('success breaks the row of failures', function () {
+        const detector = new OutlierDetector(3, 1000, 5000, 60000);
+
+        reportFailures(detector, 'transcoder_1', 2);
+        assert.strictEqual(detector.reportSuccess('transcoder_1'), detector);
+
+        assert.deepEqual(reportFailures(detector, 'transcoder_1', 3), [null, null, 5000]);
+    });
+
+    it('time of ejection grows while instance fails after restore', function () {
+        const detector = new OutlierDetector(2, 1000, 5000, 12000);
+
+        assert.deepEqual(reportFailures(detector, 'transcoder_1', 2), [null, 5000]);
+        assert.isTrue(detector.restore('transcoder_1'));
+        assert.isFalse(detector.isEjected('transcoder_1'));
+        assert.deepEqual(reportFailures(detector, 'transcoder_1', 2), [null, 10000]);
+        detector.restore('transcoder_1');
+        assert.deepEqual(reportFailures(detector, 'transcoder_1', 2), [null, 12000]);
+    });
+
+    it('success after restore resets time of ejection', function () {
+        const detector = new OutlierDetector(2, 1000, 5000, 60000);
+
+        reportFailures(detector, 'transcoder_1', 2);
+        detector.reportSuccess('transcoder_1');
+        assert.isTrue(detector.isEjected('transcoder_1'), 'success of ejected instance is ignored');
+
+        detector.restore('transcoder_1');
+        detector.reportSuccess('transcoder_1');
+
+        assert.deepEqual(reportFailures(detector, 'transcoder_1', 2), [null, 5000]);
+    });
+
+    it('restore of instance that is not ejected does nothing', function () {
+        const detector = new OutlierDetector(2, 1000, 5000, 60000);
+
+        detector.reportFailure('transcoder_1');
+
+        assert.isFalse(detector.restore('transcoder_1'));
+        assert.isFalse(detector.restore('transcoder_2'));
+    });
+
+    it('retain removes state of absent instances except ejected ones', function () {
+        const detector = new OutlierDetector(2, 1000, 5000, 60000);
+
+        reportFailures(detector, 'transcoder_1', 2);
+        detector.reportFailure('transcoder_2');
+        detector.reportFailure('transcoder_3');
+
+        const instances = new ServiceInstances().addHealthy(createInstance('transcoder_3'));
+
+        assert.strictEqual(detector.retain(instances), detector);
+        assert.deepEqual(detector.getEjected(), ['transcoder_1']);
+        assert.deepEqual(reportFailures(detector, 'transcoder_2', 2), [null, 5000]);
+        assert.deepEqual(reportFailures(detector, 'transcoder_3', 1), [5000]);
+    });
+
+    it('clear removes state of all instances', function () {
+        const detector = new OutlierDetector(2, 1000, 5000, 60000);
+
+        reportFailures(detector, 'transcoder_1', 2);
+        detector.reportFailure('transcoder_2');
+
+        assert.strictEqual(detector.clear(), detector);
+        assert.deepEqual(detector.getEjected(), []);
+        assert.deepEqual(reportFailures(detector, 'transcoder_2', 2), [null, 5000]);
+    });
+});
@@ -0,0 +1,16 @@
+'use strict';
+
+const assert = require('chai').assert;
+const JsonOutputParser = require('src/OutputParser/JsonOutputParser');
+
+describe('JsonOutputParser', function () {
+    const parser = new JsonOutputParser();
+
+    it('parses JSON', function () {
+        assert.deepEqual(parser.parse('{"data":{"status":"OK","pid":29}}'), {data: {status: 'OK', pid: 29}});
+    });
+
+    it('throws on invalid JSON', function () {
+        assert.throws(() => parser.parse('status=OK'), SyntaxError);
+    });
+});
@@ -0,0 +1,39 @@
+'use strict';
+
+const assert = require('chai').assert;
+const KeyValueOutputParser = require('src/OutputParser/KeyValueOutputParser');
+
+describe('KeyValueOutputParser', function () {
+    const parser = new KeyValueOutputParser();
+
+    it('parses pairs separated by spaces and new lines', function () {
+        assert.deepEqual(
+            parser.parse('status=OK cpu=0.53\nmem_free=11078   pid=-1'),
+            {status: 'OK', cpu: 0.53, mem_free: 11078, pid: -1}
+        );
+    });
+
+    it('expands keys with dots to nested objects', function () {
+        assert.deepEqual(
+            parser.parse('status=OK cpu.usage=0.53 cpu.count=10 mem.free=11078'),
+            {status: 'OK', cpu: {usage: 0.53, count: 10}, mem: {free: 11078}}
+        );
+    });
+
+    it('values in double quotes are strings', function () {
+        assert.deepEqual(
+            parser.parse('message="all is \\"fine\\"" version="2" empty= other=""'),
+            {message: 'all is "fine"', version: '2', empty: '', other: ''}
+        );
+    });
+
+    it('empty output is parsed to empty object', function () {
+        assert.deepEqual(parser.parse(' \n'), {});
+    });
+
+    ['status OK', 'status=OK =1', 'status=O"K"'].forEach(output => {
+        it(`throws on invalid pair, output = ${JSON.stringify(output)}`, function () {
+            assert.throws(() => parser.parse(output), SyntaxError, 'Invalid key=value pair');
+        });
+    });
+});
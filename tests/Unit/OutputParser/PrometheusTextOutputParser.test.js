@@ -0,0 +1,54 @@
+'use strict';
+
+const assert = require('chai').assert;
+const PrometheusTextOutputParser = require('src/OutputParser/PrometheusTextOutputParser');
+
+describe('PrometheusTextOutputParser', function () {
+    const parser = new PrometheusTextOutputParser();
+
+    it('parses metrics with and without labels', function () {
+        const output = [
+            '# HELP process_cpu_usage CPU usage of the process',
+            '# TYPE process_cpu_usage gauge',
+            'process_cpu_usage 0.53',
+            '',
+            '# TYPE http_requests_total counter',
+            'http_requests_total{method="get",code="200"} 1027 1395066363000',
+            'http_requests_total{method="post", code="200",} 3',
+            'process_open_fds 1.5e+1',
+        ].join('\n');
+
+        assert.deepEqual(parser.parse(output), {
+            process_cpu_usage: 0.53,
+            http_requests_total: [
+                {labels: {method: 'get', code: '200'}, value: 1027},
+                {labels: {method: 'post', code: '200'}, value: 3},
+            ],
+            process_open_fds: 15,
+        });
+    });
+
+    it('parses escaped label values and special values', function () {
+        const output = [
+            'msg{text="a \\"quoted\\" \\\\ value\\n"} +Inf',
+            'lag{} -Inf',
+            'ratio NaN',
+        ].join('\n');
+
+        const result = parser.parse(output);
+
+        assert.deepEqual(result.msg, [{labels: {text: 'a "quoted" \\ value\n'}, value: Infinity}]);
+        assert.strictEqual(result.lag, -Infinity);
+        assert.isNaN(result.ratio);
+    });
+
+    [
+        ['process_cpu_usage', 'Invalid line "process_cpu_usage" of prometheus text'],
+        ['process_cpu_usage high', 'Invalid value in line "process_cpu_usage high" of prometheus text'],
+        ['requests{method=get} 1', 'Invalid labels in line "requests{method=get} 1" of prometheus text'],
+    ].forEach(([output, message]) => {
+        it(`throws on invalid line, output = ${JSON.stringify(output)}`, function () {
+            assert.throws(() => parser.parse(output), SyntaxError, message);
+        });
+    });
+});
@@ -5,6 +5,8 @@ const dataDriven = require('data-driven');
 const deepFreeze = require('deep-freeze');
 const ServiceInstance = require('src/ServiceInstance');
 const ServiceInstanceInfo = require('src/ServiceInstanceInfo');
+const HealthCheck = require('src/HealthCheck');
+const CheckResult = require('src/CheckResult');
 
 /**
  * Returns object with passed to function variable itself and its type.
@@ -638,4 +640,166 @@ describe('ServiceInstance::constructor', function () {
 
         assert.deepEqual(serviceInstance.getInfo(), null);
     });
+
+    it('error on healthReasons that is not an array', function () {
+        assert.throws(
+            function () {
+                new ServiceInstance(
+                    null, null, null, 8080, '192.168.1.10', 'node', 'dc1', 'service_192.168.1.10_8080', [], null, {}
+                );
+            },
+            TypeError,
+            'healthReasons must be an array'
+        );
+    });
+
+    it('"getHealthReasons" method returns valid value', function () {
+        const healthReasons = [
+            {rule: 'checkNotPassing', checkId: 'disk', message: 'check "disk" is in critical state'}
+        ];
+
+        const serviceInstance = new ServiceInstance(
+            null, null, null, 8080, '192.168.1.10', 'node', 'dc1', 'service_192.168.1.10_8080', [], null, healthReasons
+        );
+
+        assert.deepEqual(serviceInstance.getHealthReasons(), healthReasons);
+        assert.deepEqual(
+            new ServiceInstance(
+                null, null, null, 8080, '192.168.1.10', 'node', 'dc1', 'service_192.168.1.10_8080', [], null
+            ).getHealthReasons(),
+            []
+        );
+    });
+
+    it('error on checks that are not instances of HealthCheck', function () {
+        assert.throws(
+            function () {
+                new ServiceInstance(
+                    null, null, null, 8080, '192.168.1.10', 'node', 'dc1', 'service_192.168.1.10_8080', [], null, [],
+                    [{CheckID: 'serfHealth', Status: 'passing'}]
+                );
+            },
+            TypeError,
+            'checks must be an array of HealthCheck'
+        );
+    });
+
+    it('"getChecks", "getFailingChecks" and "getUnhealthyReason" methods return valid values', function () {
+        const serfHealth = new HealthCheck('serfHealth', 'Serf Health Status', 'passing', '', '', '', 1);
+        const status = new HealthCheck('service:transcoder', 'Status', 'warning', '429', 'http', 'transcoder_1', 2);
+        const disk = new HealthCheck('disk', 'Disk usage', 'critical', 'No space left', 'script', '', 3);
+        const healthReasons = [
+            {rule: 'checkNotPassing', checkId: 'service:transcoder', message: 'check "Status" is in warning state'},
+            {rule: 'checkNotPassing', checkId: 'disk', message: 'check "Disk usage" is in critical state'},
+        ];
+
+        const serviceInstance = new ServiceInstance(
+            null, null, null, 8080, '192.168.1.10', 'node', 'dc1', 'transcoder_1', [], null, healthReasons,
+            [serfHealth, status, disk]
+        );
+
+        assert.deepEqual(serviceInstance.getChecks(), [serfHealth, status, disk]);
+        assert.deepEqual(serviceInstance.getFailingChecks(), [status, disk]);
+        assert.strictEqual(
+            serviceInstance.getUnhealthyReason(),
+            'check "Status" is in warning state; check "Disk usage" is in critical state'
+        );
+    });
+
+    it('"getUnhealthyReason" method returns null for instance without health reasons', function () {
+        const serviceInstance = new ServiceInstance(
+            null, null, null, 8080, '192.168.1.10', 'node', 'dc1', 'transcoder_1', [], null
+        );
+
+        assert.deepEqual(serviceInstance.getChecks(), []);
+        assert.deepEqual(serviceInstance.getFailingChecks(), []);
+        assert.isNull(serviceInstance.getUnhealthyReason());
+    });
+
+    it('error on checkResult that is not an instance of CheckResult', function () {
+        assert.throws(
+            function () {
+                new ServiceInstance(
+                    null, null, null, 8080, '192.168.1.10', 'node', 'dc1', 'transcoder_1', [], null, [], [],
+                    {statusCode: 200}
+                );
+            },
+            TypeError,
+            'checkResult must be an instance of CheckResult or null'
+        );
+    });
+
+    it('"getCheckResult" method returns valid value', function () {
+        const checkResult = new CheckResult('GET', 'http://192.168.1.10:8080/status', 200, 'OK');
+
+        const serviceInstance = new ServiceInstance(
+            null, null, null, 8080, '192.168.1.10', 'node', 'dc1', 'transcoder_1', [], null, [], [], checkResult
+        );
+
+        assert.strictEqual(serviceInstance.getCheckResult(), checkResult);
+        assert.isNull(
+            new ServiceInstance(null, null, null, 8080, '192.168.1.10', 'node', 'dc1', 'transcoder_1', [], null)
+                .getCheckResult()
+        );
+    });
+
+    [-1, 1.5, '100'].forEach(infoAge => {
+        it(`error on invalid infoAge, value = ${JSON.stringify(infoAge)}`, function () {
+            assert.throws(
+                function () {
+                    new ServiceInstance(
+                        null, null, null, 8080, '192.168.1.10', 'node', 'dc1', 'transcoder_1', [], null, [], [],
+                        null, infoAge
+                    );
+                },
+                TypeError,
+                'infoAge must be a non-negative integer or null'
+            );
+        });
+    });
+
+    it('"getInfoAge" and "isInfoStale" methods return valid values', function () {
+        const info = new ServiceInstanceInfo({cpu: 1});
+
+        const freshInstance = new ServiceInstance(
+            null, null, null, 8080, '192.168.1.10', 'node', 'dc1', 'transcoder_1', [], info
+        );
+        const staleInstance = new ServiceInstance(
+            null, null, null, 8080, '192.168.1.10', 'node', 'dc1', 'transcoder_1', [], info, [], [], null, 1500
+        );
+
+        assert.strictEqual(freshInstance.getInfoAge(), 0);
+        assert.isFalse(freshInstance.isInfoStale());
+        assert.strictEqual(staleInstance.getInfoAge(), 1500);
+        assert.isTrue(staleInstance.isInfoStale());
+    });
+
+    [null, {passing: 1}, {passing: -1, warning: 1}, {passing: 10, warning: '1'}].forEach(weights => {
+        it(`error on invalid weights, value = ${JSON.stringify(weights)}`, function () {
+            assert.throws(
+                function () {
+                    new ServiceInstance(
+                        null, null, null, 8080, '192.168.1.10', 'node', 'dc1', 'transcoder_1', [], null, [], [],
+                        null, null, weights
+                    );
+                },
+                TypeError,
+                'weights must be an object with non-negative integer passing and warning'
+            );
+        });
+    });
+
+    it('"getWeights" method returns valid value', function () {
+        const weightedInstance = new ServiceInstance(
+            null, null, null, 8080, '192.168.1.10', 'node', 'dc1', 'transcoder_1', [], null, [], [], null, null,
+            {passing: 10, warning: 0}
+        );
+
+        assert.deepEqual(weightedInstance.getWeights(), {passing: 10, warning: 0});
+        assert.deepEqual(
+            new ServiceInstance(null, null, null, 8080, '192.168.1.10', 'node', 'dc1', 'transcoder_1', [], null)
+                .getWeights(),
+            {passing: 1, warning: 1}
+        );
+    });
 });
@@ -75,4 +75,41 @@ describe('ServiceInstanceInfo', function () {
             );
         });
     });
+
+    [null, [], {pid: 'error'}, {pid: {message: 'error'}}].forEach(errors => {
+        it(`constructor: incorrect "errors", value = ${JSON.stringify(errors)}`, function () {
+            assert.throws(
+                function () {
+                    new ServiceInstanceInfo({}, errors);
+                },
+                TypeError,
+                'errors argument must be a plain object with errors'
+            );
+        });
+    });
+
+    it('"getError" and "hasErrors" methods success', function () {
+        const pidError = new Error('pid is not an integer');
+
+        const serviceInstanceInfo = new ServiceInstanceInfo({status: 'OK'}, {pid: pidError});
+
+        assert.isTrue(serviceInstanceInfo.hasErrors());
+        assert.strictEqual(serviceInstanceInfo.getError('pid'), pidError);
+        assert.isNull(serviceInstanceInfo.getError('status'));
+        assert.isFalse(new ServiceInstanceInfo({status: 'OK'}).hasErrors());
+    });
+
+    dataDriven(testParams.notAString, function () {
+        it('incorrect type of "extractorName" argument for "getError" method, type = {type}', function (arg) {
+            const serviceInstanceInfo = new ServiceInstanceInfo({});
+
+            assert.throws(
+                function () {
+                    serviceInstanceInfo.getError(arg.value);
+                },
+                TypeError,
+                'extractorName argument must be a string'
+            );
+        });
+    });
 });
@@ -0,0 +1,219 @@
+'use strict';
+
+const assert = require('chai').assert;
+const sinon = require('sinon');
+const ServiceInstance = require('src/ServiceInstance');
+const ServiceInstances = require('src/ServiceInstances');
+
+function createInstance(serviceId, nodeDc = 'dc1') {
+    return new ServiceInstance(
+        null, null, null, 8080, '192.168.101.10', 'transcoder-1.priv', nodeDc, serviceId, [], null
+    );
+}
+
+describe('ServiceInstances', function () {
+
+    [null, 'true', 1].forEach(value => {
+        it(`constructor: incorrect type of "isWarningHealthy", value = ${JSON.stringify(value)}`, function () {
+            assert.throws(
+                () => new ServiceInstances(value),
+                TypeError,
+                'isWarningHealthy must be a boolean'
+            );
+        });
+    });
+
+    [true, 'OK', {}].forEach(value => {
+        it(`constructor: incorrect type of "classifier", value = ${JSON.stringify(value)}`, function () {
+            assert.throws(
+                () => new ServiceInstances(false, value),
+                TypeError,
+                'classifier must be a function'
+            );
+        });
+    });
+
+    it('warning instances are unhealthy by default', function () {
+        const healthy = createInstance('transcoder_1');
+        const warning = createInstance('transcoder_2');
+        const unhealthy = createInstance('transcoder_3');
+
+        const instances = new ServiceInstances().addHealthy(healthy).addWarning(warning).addUnhealthy(unhealthy);
+
+        assert.isFalse(instances.isWarningHealthy());
+        assert.deepEqual(instances.getHealthy(), [healthy]);
+        assert.deepEqual(instances.getWarning(), [warning]);
+        assert.deepEqual(instances.getUnhealthy(), [warning, unhealthy]);
+        assert.deepEqual(instances.getAll(), [healthy, warning, unhealthy]);
+    });
+
+    it('warning instances are healthy if isWarningHealthy is true', function () {
+        const healthy = createInstance('transcoder_1');
+        const warning = createInstance('transcoder_2');
+        const unhealthy = createInstance('transcoder_3');
+
+        const instances = new ServiceInstances(true).addHealthy(healthy).addWarning(warning).addUnhealthy(unhealthy);
+
+        assert.isTrue(instances.isWarningHealthy());
+        assert.deepEqual(instances.getHealthy(), [healthy, warning]);
+        assert.deepEqual(instances.getWarning(), [warning]);
+        assert.deepEqual(instances.getUnhealthy(), [unhealthy]);
+        assert.deepEqual(instances.getAll(), [healthy, warning, unhealthy]);
+    });
+
+    it('addFrom keeps state of instances', function () {
+        const healthy = createInstance('transcoder_1');
+        const warning = createInstance('transcoder_2');
+        const unhealthy = createInstance('transcoder_3');
+
+        const instances = new ServiceInstances().addFrom(
+            new ServiceInstances(true).addHealthy(healthy).addWarning(warning).addUnhealthy(unhealthy)
+        );
+
+        assert.deepEqual(instances.getHealthy(), [healthy]);
+        assert.deepEqual(instances.getWarning(), [warning]);
+        assert.deepEqual(instances.getUnhealthy(), [warning, unhealthy]);
+    });
+
+    it('getByDatacenter returns instances of the datacenter only', function () {
+        const healthyDc1 = createInstance('transcoder_1', 'dc1');
+        const warningDc1 = createInstance('transcoder_2', 'dc1');
+        const healthyDc2 = createInstance('transcoder_3', 'dc2');
+        const unhealthyDc2 = createInstance('transcoder_4', 'dc2');
+
+        const instances = new ServiceInstances(true)
+            .addHealthy(healthyDc1)
+            .addWarning(warningDc1)
+            .addHealthy(healthyDc2)
+            .addUnhealthy(unhealthyDc2);
+
+        const dc1Instances = instances.getByDatacenter('dc1');
+        const dc2Instances = instances.getByDatacenter('dc2');
+
+        assert.instanceOf(dc1Instances, ServiceInstances);
+        assert.isTrue(dc1Instances.isWarningHealthy());
+        assert.deepEqual(dc1Instances.getHealthy(), [healthyDc1, warningDc1]);
+        assert.deepEqual(dc1Instances.getWarning(), [warningDc1]);
+        assert.isEmpty(dc1Instances.getUnhealthy());
+        assert.deepEqual(dc2Instances.getHealthy(), [healthyDc2]);
+        assert.deepEqual(dc2Instances.getUnhealthy(), [unhealthyDc2]);
+        assert.isEmpty(instances.getByDatacenter('dc3').getAll());
+    });
+
+    it('getBucket and getBuckets return instances of every tier by names of buckets', function () {
+        const healthy = createInstance('transcoder_1');
+        const warning = createInstance('transcoder_2');
+        const unhealthy = createInstance('transcoder_3');
+        const unclassified = createInstance('transcoder_4');
+        const buckets = {transcoder_1: 'OK', transcoder_2: 'OVERLOADED', transcoder_3: 'OK'};
+        const classifier = sinon.spy(instance => buckets[instance.getServiceId()] || null);
+
+        const instances = new ServiceInstances(false, classifier)
+            .addHealthy(healthy)
+            .addWarning(warning)
+            .addUnhealthy(unhealthy)
+            .addHealthy(unclassified);
+
+        assert.strictEqual(instances.getClassifier(), classifier);
+        assert.deepEqual(instances.getBucket('OK'), [healthy, unhealthy]);
+        assert.deepEqual(instances.getBucket('OVERLOADED'), [warning]);
+        assert.deepEqual(instances.getBucket('MAINTENANCE'), []);
+        assert.deepEqual(instances.getBuckets(), {OK: [healthy, unhealthy], OVERLOADED: [warning]});
+        assert.deepEqual(classifier.firstCall.args, [healthy, null]);
+
+        // instances are classified once until the list is changed
+        assert.strictEqual(classifier.callCount, 4);
+
+        instances.addHealthy(createInstance('transcoder_5'));
+        assert.deepEqual(instances.getBucket('OVERLOADED'), [warning]);
+        assert.strictEqual(classifier.callCount, 9);
+    });
+
+    it('getBucket and getBuckets return nothing without classifier', function () {
+        const instances = new ServiceInstances().addHealthy(createInstance('transcoder_1'));
+
+        assert.isNull(instances.getClassifier());
+        assert.deepEqual(instances.getBucket('OK'), []);
+        assert.deepEqual(instances.getBuckets(), {});
+    });
+
+    it('getByDatacenter keeps classifier', function () {
+        const healthyDc1 = createInstance('transcoder_1', 'dc1');
+        const healthyDc2 = createInstance('transcoder_2', 'dc2');
+
+        const instances = new ServiceInstances(false, () => 'OK').addHealthy(healthyDc1).addHealthy(healthyDc2);
+
+        assert.deepEqual(instances.getByDatacenter('dc1').getBuckets(), {OK: [healthyDc1]});
+    });
+
+    it('ejected instances are returned by getEjected and getUnhealthy instead of getHealthy', function () {
+        const healthy = createInstance('transcoder_1');
+        const ejected = createInstance('transcoder_2');
+        const warning = createInstance('transcoder_3');
+        const unhealthy = createInstance('transcoder_4');
+
+        const instances = new ServiceInstances()
+            .addHealthy(healthy)
+            .addHealthy(ejected)
+            .addWarning(warning)
+            .addUnhealthy(unhealthy)
+            .markEjected(ejected)
+            .markEjected(warning)
+            .markEjected(unhealthy);
+
+        assert.deepEqual(instances.getHealthy(), [healthy]);
+        assert.deepEqual(instances.getEjected(), [ejected]);
+        assert.deepEqual(instances.getWarning(), [warning]);
+        assert.deepEqual(instances.getUnhealthy(), [warning, unhealthy, ejected]);
+        assert.deepEqual(instances.getAll(), [healthy, ejected, warning, unhealthy]);
+    });
+
+    it('ejected warning instances are returned by getEjected if isWarningHealthy is true', function () {
+        const healthy = createInstance('transcoder_1');
+        const warning = createInstance('transcoder_2');
+
+        const instances = new ServiceInstances(true).addHealthy(healthy).addWarning(warning).markEjected(warning);
+
+        assert.deepEqual(instances.getHealthy(), [healthy]);
+        assert.deepEqual(instances.getEjected(), [warning]);
+        assert.deepEqual(instances.getWarning(), [warning]);
+        assert.deepEqual(instances.getUnhealthy(), [warning]);
+    });
+
+    it('addFrom and getByDatacenter keep ejection of instances', function () {
+        const ejectedDc1 = createInstance('transcoder_1', 'dc1');
+        const ejectedDc2 = createInstance('transcoder_2', 'dc2');
+        const healthyDc2 = createInstance('transcoder_3', 'dc2');
+
+        const instances = new ServiceInstances()
+            .addHealthy(ejectedDc1)
+            .addHealthy(ejectedDc2)
+            .addHealthy(healthyDc2)
+            .markEjected(ejectedDc1)
+            .markEjected(ejectedDc2);
+
+        assert.deepEqual(new ServiceInstances().addFrom(instances).getEjected(), [ejectedDc1, ejectedDc2]);
+        assert.deepEqual(instances.getByDatacenter('dc2').getEjected(), [ejectedDc2]);
+        assert.deepEqual(instances.getByDatacenter('dc2').getHealthy(), [healthyDc2]);
+    });
+
+    it('instances with the same service ID and address in different datacenters are kept apart', function () {
+        const instanceDc1 = createInstance('transcoder_1', 'dc1');
+        const instanceDc2 = createInstance('transcoder_1', 'dc2');
+        const instances = new ServiceInstances()
+            .addFrom(new ServiceInstances().addHealthy(instanceDc1))
+            .addFrom(new ServiceInstances().addUnhealthy(instanceDc2));
+
+        assert.notStrictEqual(instances.getKey(instanceDc1), instances.getKey(instanceDc2));
+        assert.deepEqual(instances.getAll(), [instanceDc1, instanceDc2]);
+        assert.deepEqual(instances.getByDatacenter('dc1').getHealthy(), [instanceDc1]);
+        assert.deepEqual(instances.getByDatacenter('dc2').getUnhealthy(), [instanceDc2]);
+    });
+
+    it('getKey returns the same key for the same instance in different lists', function () {
+        const instance = createInstance('transcoder_1');
+
+        assert.strictEqual(new ServiceInstances().getKey(instance), 'transcoder_1_192.168.101.10_dc1');
+        assert.strictEqual(new ServiceInstances().getKey(instance), new ServiceInstances(true).getKey(instance));
+    });
+});
@@ -7,7 +7,12 @@ const sinon = require('sinon');
 const dataDriven = require('data-driven');
 const deepFreeze = require('deep-freeze');
 const ServiceInstancesMonitor = require('src/ServiceInstancesMonitor');
+const ServiceInstance = require('src/ServiceInstance');
 const ServiceInstances = require('src/ServiceInstances');
+const InstanceInfoCache = require('src/InstanceInfoCache');
+const ServiceInstancesDiff = require('src/ServiceInstancesDiff');
+const Factory = require('src/Factory');
+const KeyValueOutputParser = require('src/OutputParser').KeyValueOutputParser;
 const WatchError = require('src/Error').WatchError;
 
 /**
@@ -256,6 +261,509 @@ describe('ServiceInstancesMonitor::constructor', function () {
     it('no errors on extractors argument equal undefined', function () {
         new ServiceInstancesMonitor(validOptions, validConsulClient, undefined);
     });
+
+    it('valid options.dcs argument', function () {
+        new ServiceInstancesMonitor(_.assign({dcs: ['dc1', 'dc2']}, validOptions), validConsulClient);
+        new ServiceInstancesMonitor(_.assign({dcs: '*'}, validOptions), validConsulClient);
+    });
+
+    it('options.dc and options.dcs are set together', function () {
+        assert.throws(
+            function () {
+                new ServiceInstancesMonitor(_.assign({dc: 'dc1', dcs: ['dc2']}, validOptions), validConsulClient);
+            },
+            TypeError,
+            'options.dc and options.dcs can not be set together'
+        );
+    });
+
+    [[], 'dc1', ['dc1', ''], ['dc1', 123], null].forEach(dcs => {
+        it(`incorrect options.dcs argument, value = ${JSON.stringify(dcs)}`, function () {
+            assert.throws(
+                function () {
+                    new ServiceInstancesMonitor(_.assign({dcs}, validOptions), validConsulClient);
+                },
+                TypeError,
+                'options.dcs must be a non-empty array of non-empty strings or "*"'
+            );
+        });
+    });
+
+    it('valid options.tag, options.tags and options.filter arguments', function () {
+        new ServiceInstancesMonitor(_.assign({tag: 'v2', filter: 'Service.Meta.version == "2"'}, validOptions),
+            validConsulClient);
+        new ServiceInstancesMonitor(_.assign({tags: ['v2', 'primary']}, validOptions), validConsulClient);
+    });
+
+    it('options.tag and options.tags are set together', function () {
+        assert.throws(
+            function () {
+                new ServiceInstancesMonitor(_.assign({tag: 'v2', tags: ['v2']}, validOptions), validConsulClient);
+            },
+            TypeError,
+            'options.tag and options.tags can not be set together'
+        );
+    });
+
+    ['', 123, ['v2'], null].forEach(tag => {
+        it(`incorrect options.tag argument, value = ${JSON.stringify(tag)}`, function () {
+            assert.throws(
+                function () {
+                    new ServiceInstancesMonitor(_.assign({tag}, validOptions), validConsulClient);
+                },
+                TypeError,
+                'options.tag must be a non-empty string'
+            );
+        });
+    });
+
+    [[], 'v2', ['v2', ''], ['v2', 1], null].forEach(tags => {
+        it(`incorrect options.tags argument, value = ${JSON.stringify(tags)}`, function () {
+            assert.throws(
+                function () {
+                    new ServiceInstancesMonitor(_.assign({tags}, validOptions), validConsulClient);
+                },
+                TypeError,
+                'options.tags must be a non-empty array of non-empty strings'
+            );
+        });
+    });
+
+    ['', 123, {}, null].forEach(filter => {
+        it(`incorrect options.filter argument, value = ${JSON.stringify(filter)}`, function () {
+            assert.throws(
+                function () {
+                    new ServiceInstancesMonitor(_.assign({filter}, validOptions), validConsulClient);
+                },
+                TypeError,
+                'options.filter must be a non-empty string'
+            );
+        });
+    });
+
+    [
+        [null, 'options.statusCheck must be an object with one of properties: name, nameRegex, checkId, ' +
+            'checkIdTemplate, predicate'],
+        [{}, 'options.statusCheck must be an object with one of properties: name, nameRegex, checkId, ' +
+            'checkIdTemplate, predicate'],
+        [{name: 'status', checkId: 'status'}, 'options.statusCheck must be an object with one of properties: name, ' +
+            'nameRegex, checkId, checkIdTemplate, predicate'],
+        [{name: ''}, 'options.statusCheck.name must be a non-empty string'],
+        [{checkIdTemplate: 1}, 'options.statusCheck.checkIdTemplate must be a non-empty string'],
+        [{nameRegex: 'status$'}, 'options.statusCheck.nameRegex must be a RegExp'],
+        [{predicate: true}, 'options.statusCheck.predicate must be a function'],
+    ].forEach(([statusCheck, message]) => {
+        it(`incorrect options.statusCheck, value = ${JSON.stringify(statusCheck)}`, function () {
+            const options = _.assign({statusCheck}, _.omit(validOptions, 'checkNameWithStatus'));
+
+            assert.throws(() => new ServiceInstancesMonitor(options, validConsulClient), TypeError, message);
+        });
+    });
+
+    [
+        [[], 'options.statusChecks must be a non-empty array'],
+        [['status'], 'options.statusChecks[0] must be an object'],
+        [[{statusCheck: 'status'}], 'options.statusChecks[0].namespace must be a non-empty string'],
+        [
+            [{namespace: 'load', statusCheck: ''}],
+            'options.statusChecks[0].statusCheck must be a non-empty string or an object'
+        ],
+        [
+            [{namespace: 'load', statusCheck: {nameRegex: 'load'}}],
+            'options.statusChecks[0].statusCheck.nameRegex must be a RegExp'
+        ],
+        [
+            [{namespace: 'load', statusCheck: 'load', extractors: {cpu: {}}}],
+            'options.statusChecks[0].extractors instances must have a method "extract"'
+        ],
+        [
+            [{namespace: 'load', statusCheck: 'load', optional: 'yes'}],
+            'options.statusChecks[0].optional must be a boolean'
+        ],
+        [
+            [{namespace: 'load', statusCheck: 'load', payloadVersion: {extractors: {2: {cpu: {}}}}}],
+            'options.statusChecks[0].payloadVersion.extractors.2 instances must have a method "extract"'
+        ],
+        [
+            [{namespace: 'load', statusCheck: 'load'}, {namespace: 'load', statusCheck: 'features'}],
+            'options.statusChecks must have unique namespaces'
+        ],
+    ].forEach(([statusChecks, message]) => {
+        it(`incorrect options.statusChecks, value = ${JSON.stringify(statusChecks)}`, function () {
+            const options = _.assign({statusChecks}, _.omit(validOptions, 'checkNameWithStatus'));
+
+            assert.throws(() => new ServiceInstancesMonitor(options, validConsulClient), TypeError, message);
+        });
+    });
+
+    it('options.statusChecks with options.checkNameWithStatus or extractors', function () {
+        const statusChecks = [{namespace: 'load', statusCheck: 'load'}];
+
+        assert.throws(
+            () => new ServiceInstancesMonitor(_.assign({statusChecks}, validOptions), validConsulClient),
+            TypeError,
+            'options.statusChecks can not be set together with options.checkNameWithStatus or options.statusCheck'
+        );
+
+        assert.throws(
+            () => new ServiceInstancesMonitor(
+                _.assign({statusChecks}, _.omit(validOptions, 'checkNameWithStatus')), validConsulClient, {}
+            ),
+            TypeError,
+            'extractors argument can not be used together with options.statusChecks, ' +
+            'set extractors of every status check instead'
+        );
+
+        const payloadVersion = {extractors: {2: {}}};
+
+        assert.throws(
+            () => new ServiceInstancesMonitor(
+                _.assign({statusChecks, payloadVersion}, _.omit(validOptions, 'checkNameWithStatus')), validConsulClient
+            ),
+            TypeError,
+            'options.payloadVersion can not be used together with options.statusChecks, ' +
+            'set payloadVersion of every status check instead'
+        );
+    });
+
+    it('valid options.statusChecks argument', function () {
+        const extractors = {cpu: {extract: () => 1}};
+        const statusChecks = [
+            {namespace: 'load', statusCheck: {checkId: 'load'}, extractors},
+            {namespace: 'features', statusCheck: 'features', optional: true},
+        ];
+        const options = _.assign({statusChecks}, _.omit(validOptions, 'checkNameWithStatus'));
+        const monitor = new ServiceInstancesMonitor(options, validConsulClient);
+
+        assert.deepEqual(monitor._statusCheck, [
+            {namespace: 'load', statusCheck: {checkId: 'load'}, extractors, optional: false},
+            {namespace: 'features', statusCheck: 'features', optional: true},
+        ]);
+    });
+
+    it('options.statusCheck and options.checkNameWithStatus set together', function () {
+        const options = _.assign({statusCheck: {name: 'status'}}, validOptions);
+
+        assert.throws(
+            () => new ServiceInstancesMonitor(options, validConsulClient),
+            TypeError,
+            'options.checkNameWithStatus and options.statusCheck can not be set together'
+        );
+    });
+
+    it('valid options.statusCheck argument', function () {
+        const statusCheck = {checkIdTemplate: '{serviceId}_status'};
+        const options = _.assign({statusCheck}, _.omit(validOptions, 'checkNameWithStatus'));
+        const monitor = new ServiceInstancesMonitor(options, validConsulClient);
+
+        assert.strictEqual(monitor._statusCheck, statusCheck);
+    });
+
+    [
+        [null, 'options.healthPolicy must be an object'],
+        [{ignoredChecks: 'disk'}, 'options.healthPolicy.ignoredChecks must be an array of non-empty strings'],
+        [{requiredChecks: ['']}, 'options.healthPolicy.requiredChecks must be an array of non-empty strings'],
+        [
+            {ignoredChecks: ['disk'], requiredChecks: ['disk']},
+            'options.healthPolicy.ignoredChecks and options.healthPolicy.requiredChecks must not intersect'
+        ],
+        [{serfHealthCritical: 'ignore'}, 'options.healthPolicy.serfHealthCritical must be one of: skip, unhealthy'],
+    ].forEach(([healthPolicy, message]) => {
+        it(`incorrect options.healthPolicy, value = ${JSON.stringify(healthPolicy)}`, function () {
+            assert.throws(
+                function () {
+                    new ServiceInstancesMonitor(_.assign({healthPolicy}, validOptions), validConsulClient);
+                },
+                TypeError,
+                message
+            );
+        });
+    });
+
+    it('valid options.healthPolicy argument', function () {
+        const healthPolicy = {ignoredChecks: ['disk'], requiredChecks: ['mem'], serfHealthCritical: 'unhealthy'};
+        const monitor = new ServiceInstancesMonitor(_.assign({healthPolicy}, validOptions), validConsulClient);
+
+        assert.deepEqual(
+            monitor._buildOptions, {treatWarningAsHealthy: false, extractOnCritical: true, healthPolicy}
+        );
+    });
+
+    [null, 'yaml', ['json'], {}].forEach(outputParser => {
+        it(`incorrect options.outputParser, value = ${JSON.stringify(outputParser)}`, function () {
+            assert.throws(
+                function () {
+                    new ServiceInstancesMonitor(_.assign({outputParser}, validOptions), validConsulClient);
+                },
+                TypeError,
+                'options.outputParser must be one of: json, keyValue, prometheusText or an object with a method "parse"'
+            );
+        });
+    });
+
+    it('valid options.outputParser argument', function () {
+        const customParser = {parse: output => output};
+
+        const monitorWithBuiltin = new ServiceInstancesMonitor(
+            _.assign({outputParser: 'keyValue'}, validOptions), validConsulClient
+        );
+        const monitorWithCustom = new ServiceInstancesMonitor(
+            _.assign({outputParser: customParser}, validOptions), validConsulClient
+        );
+
+        assert.instanceOf(monitorWithBuiltin._buildOptions.outputParser, KeyValueOutputParser);
+        assert.strictEqual(monitorWithCustom._buildOptions.outputParser, customParser);
+    });
+
+    [null, [], {ttl: 'raw'}].forEach(outputLocators => {
+        it(`incorrect options.outputLocators, value = ${JSON.stringify(outputLocators)}`, function () {
+            assert.throws(
+                function () {
+                    new ServiceInstancesMonitor(_.assign({outputLocators}, validOptions), validConsulClient);
+                },
+                TypeError,
+                'options.outputLocators must be an object with functions'
+            );
+        });
+    });
+
+    it('valid options.outputLocators argument', function () {
+        const outputLocators = {ttl: output => output};
+        const monitor = new ServiceInstancesMonitor(_.assign({outputLocators}, validOptions), validConsulClient);
+
+        assert.strictEqual(monitor._buildOptions.outputLocators, outputLocators);
+    });
+
+    [null, 'false', 0].forEach(extractOnCritical => {
+        it(`incorrect options.extractOnCritical, value = ${JSON.stringify(extractOnCritical)}`, function () {
+            assert.throws(
+                function () {
+                    new ServiceInstancesMonitor(_.assign({extractOnCritical}, validOptions), validConsulClient);
+                },
+                TypeError,
+                'options.extractOnCritical must be a boolean'
+            );
+        });
+    });
+
+    [null, '4096', 0, -1, 1.5].forEach(outputMaxSize => {
+        it(`incorrect options.outputMaxSize, value = ${JSON.stringify(outputMaxSize)}`, function () {
+            assert.throws(
+                function () {
+                    new ServiceInstancesMonitor(_.assign({outputMaxSize}, validOptions), validConsulClient);
+                },
+                TypeError,
+                'options.outputMaxSize must be a positive integer if set'
+            );
+        });
+    });
+
+    [null, 'true', 1].forEach(fallbackToLastInfo => {
+        it(`incorrect options.fallbackToLastInfo, value = ${JSON.stringify(fallbackToLastInfo)}`, function () {
+            assert.throws(
+                function () {
+                    new ServiceInstancesMonitor(_.assign({fallbackToLastInfo}, validOptions), validConsulClient);
+                },
+                TypeError,
+                'options.fallbackToLastInfo must be a boolean'
+            );
+        });
+    });
+
+    it('valid options.outputMaxSize argument', function () {
+        const monitor = new ServiceInstancesMonitor(_.assign({outputMaxSize: 65536}, validOptions), validConsulClient);
+
+        assert.strictEqual(monitor._buildOptions.outputMaxSize, 65536);
+    });
+
+    [
+        {infoCache: null, message: 'options.infoCache must be an object'},
+        {infoCache: {}, message: 'options.infoCache must have at least one of ttlMsec and maxUpdates'},
+        {infoCache: {ttlMsec: 0}, message: 'options.infoCache.ttlMsec must be a positive integer if set'},
+        {infoCache: {ttlMsec: '1000'}, message: 'options.infoCache.ttlMsec must be a positive integer if set'},
+        {infoCache: {maxUpdates: 1.5}, message: 'options.infoCache.maxUpdates must be a positive integer if set'},
+    ].forEach(({infoCache, message}) => {
+        it(`incorrect options.infoCache, value = ${JSON.stringify(infoCache)}`, function () {
+            assert.throws(
+                function () {
+                    new ServiceInstancesMonitor(_.assign({infoCache}, validOptions), validConsulClient);
+                },
+                TypeError,
+                message
+            );
+        });
+    });
+
+    it('valid options.infoCache argument', function () {
+        const monitor = new ServiceInstancesMonitor(
+            _.assign({infoCache: {ttlMsec: 30000, maxUpdates: 3}}, validOptions), validConsulClient
+        );
+
+        assert.instanceOf(monitor._buildOptions.infoCache, InstanceInfoCache);
+        assert.strictEqual(monitor._buildOptions.infoCache._ttlMsec, 30000);
+        assert.strictEqual(monitor._buildOptions.infoCache._maxUpdates, 3);
+        assert.notProperty(new ServiceInstancesMonitor(validOptions, validConsulClient)._buildOptions, 'infoCache');
+    });
+
+    [null, '1000', 0, -1, 1.5].forEach(extractTimeoutMsec => {
+        it(`incorrect options.extractTimeoutMsec, value = ${JSON.stringify(extractTimeoutMsec)}`, function () {
+            assert.throws(
+                function () {
+                    new ServiceInstancesMonitor(_.assign({extractTimeoutMsec}, validOptions), validConsulClient);
+                },
+                TypeError,
+                'options.extractTimeoutMsec must be a positive integer if set'
+            );
+        });
+    });
+
+    [
+        [null, 'options.payloadVersion must be an object'],
+        [{path: '', extractors: {2: {}}}, 'options.payloadVersion.path must be a non-empty string'],
+        [{path: 'data.v'}, 'options.payloadVersion.extractors must be a non-empty object'],
+        [{extractors: {}}, 'options.payloadVersion.extractors must be a non-empty object'],
+        [{extractors: {2: []}}, 'options.payloadVersion.extractors.2 must be a plain object'],
+        [
+            {extractors: {2: {cpu: null}}},
+            'options.payloadVersion.extractors.2 instances must have a method "extract"'
+        ],
+    ].forEach(([payloadVersion, message]) => {
+        it(`incorrect options.payloadVersion, value = ${JSON.stringify(payloadVersion)}`, function () {
+            assert.throws(
+                function () {
+                    new ServiceInstancesMonitor(_.assign({payloadVersion}, validOptions), validConsulClient);
+                },
+                TypeError,
+                message
+            );
+        });
+    });
+
+    it('valid options.payloadVersion argument', function () {
+        const payloadVersion = {path: 'data.version', extractors: {2: {cpu: {extract: () => 1}}}};
+
+        const monitor = new ServiceInstancesMonitor(_.assign({payloadVersion}, validOptions), validConsulClient);
+
+        assert.strictEqual(monitor._buildOptions.payloadVersion, payloadVersion);
+        assert.notProperty(
+            new ServiceInstancesMonitor(validOptions, validConsulClient)._buildOptions, 'payloadVersion'
+        );
+    });
+
+    [null, 'true', 1].forEach(treatWarningAsHealthy => {
+        it(`incorrect options.treatWarningAsHealthy, value = ${JSON.stringify(treatWarningAsHealthy)}`, function () {
+            assert.throws(
+                function () {
+                    new ServiceInstancesMonitor(_.assign({treatWarningAsHealthy}, validOptions), validConsulClient);
+                },
+                TypeError,
+                'options.treatWarningAsHealthy must be a boolean'
+            );
+        });
+    });
+
+    [
+        [null, 'options.outlierDetection must be an object'],
+        [{consecutiveFailures: 0}, 'options.outlierDetection.consecutiveFailures must be a positive integer if set'],
+        [{intervalMsec: '1000'}, 'options.outlierDetection.intervalMsec must be a positive integer if set'],
+        [
+            {baseEjectionTimeMsec: 1.5},
+            'options.outlierDetection.baseEjectionTimeMsec must be a positive integer if set'
+        ],
+        [{maxEjectionTimeMsec: -1}, 'options.outlierDetection.maxEjectionTimeMsec must be a positive integer if set'],
+        [
+            {maxEjectionTimeMsec: 1000},
+            'options.outlierDetection.maxEjectionTimeMsec must not be less than ' +
+            'options.outlierDetection.baseEjectionTimeMsec'
+        ],
+    ].forEach(([outlierDetection, message]) => {
+        it(`incorrect options.outlierDetection, value = ${JSON.stringify(outlierDetection)}`, function () {
+            assert.throws(
+                function () {
+                    new ServiceInstancesMonitor(_.assign({outlierDetection}, validOptions), validConsulClient);
+                },
+                TypeError,
+                message
+            );
+        });
+    });
+
+    [null, 'status', {}].forEach(classifier => {
+        it(`incorrect options.classifier, value = ${JSON.stringify(classifier)}`, function () {
+            assert.throws(
+                function () {
+                    new ServiceInstancesMonitor(_.assign({classifier}, validOptions), validConsulClient);
+                },
+                TypeError,
+                'options.classifier must be a function'
+            );
+        });
+    });
+
+    it('valid options.classifier argument', function () {
+        const classifier = () => 'OK';
+        const monitor = new ServiceInstancesMonitor(_.assign({classifier}, validOptions), validConsulClient);
+
+        assert.strictEqual(monitor._buildOptions.classifier, classifier);
+    });
+
+    it('valid options.failover argument', function () {
+        new ServiceInstancesMonitor(
+            _.assign({failover: {datacenters: ['dc1', 'dc2'], minHealthy: 2}}, validOptions), validConsulClient
+        );
+    });
+
+    it('options.failover is set together with options.dcs', function () {
+        assert.throws(
+            function () {
+                new ServiceInstancesMonitor(
+                    _.assign({dcs: ['dc1'], failover: {datacenters: ['dc1', 'dc2']}}, validOptions),
+                    validConsulClient
+                );
+            },
+            TypeError,
+            'options.failover can not be set together with options.dc or options.dcs'
+        );
+    });
+
+    [undefined, [], ['dc1'], ['dc1', 'dc1'], ['dc1', '']].forEach(datacenters => {
+        it(`incorrect options.failover.datacenters argument, value = ${JSON.stringify(datacenters)}`, function () {
+            assert.throws(
+                function () {
+                    new ServiceInstancesMonitor(_.assign({failover: {datacenters}}, validOptions), validConsulClient);
+                },
+                TypeError,
+                'options.failover.datacenters must be an array of at least two unique non-empty strings'
+            );
+        });
+    });
+
+    [0, -1, 1.5, '1'].forEach(minHealthy => {
+        it(`incorrect options.failover.minHealthy argument, value = ${JSON.stringify(minHealthy)}`, function () {
+            assert.throws(
+                function () {
+                    new ServiceInstancesMonitor(
+                        _.assign({failover: {datacenters: ['dc1', 'dc2'], minHealthy}}, validOptions),
+                        validConsulClient
+                    );
+                },
+                TypeError,
+                'options.failover.minHealthy must be a positive integer if set'
+            );
+        });
+    });
+
+    it('consul without catalog.datacenters method for options.dcs equal "*"', function () {
+        const consulClient = _.set(_.cloneDeep(validConsulClient), 'catalog', undefined);
+
+        assert.throws(
+            function () {
+                new ServiceInstancesMonitor(_.assign({dcs: '*'}, validOptions), consulClient);
+            },
+            TypeError,
+            'consul argument does not look like Consul object'
+        );
+    });
 });
 
 describe('ServiceInstancesMonitor::_retryStartService', function () {
@@ -397,6 +905,490 @@ describe('ServiceInstancesMonitor::_retryStartService', function () {
     });
 });
 
+describe('ServiceInstancesMonitor::_onWatcherChange', function () {
+    const options = deepFreeze({
+        serviceName: 'transcoder',
+        timeoutMsec: 100,
+        checkNameWithStatus: "Service 'transcoder' check"
+    });
+    const consulClient = new Consul();
+    const response = {headers: {}};
+
+    function createInstance(serviceId) {
+        return new ServiceInstance(
+            null, null, null, 8080, '192.168.101.10', 'transcoder-1.priv', 'dc1', serviceId, [], null
+        );
+    }
+
+    let buildServiceInstancesStub;
+
+    beforeEach(() => {
+        buildServiceInstancesStub = sinon.stub(Factory, 'buildServiceInstances');
+    });
+
+    afterEach(() => {
+        buildServiceInstancesStub.restore();
+    });
+
+    it('emits instance-level events and diff after "changed"', function () {
+        const monitor = new ServiceInstancesMonitor(options, consulClient, undefined);
+        const removedInstance = createInstance('transcoder_1');
+        const previousInstance = createInstance('transcoder_2');
+        const currentInstance = createInstance('transcoder_2');
+        const addedInstance = createInstance('transcoder_3');
+
+        monitor._serviceInstances = new ServiceInstances().addHealthy(removedInstance).addHealthy(previousInstance);
+        const instances = new ServiceInstances().addUnhealthy(currentInstance).addHealthy(addedInstance);
+        buildServiceInstancesStub.returns({instances, errors: []});
+
+        const events = [];
+        ['changed', 'diff', 'instanceAdded', 'instanceRemoved', 'instanceBecameHealthy', 'instanceBecameUnhealthy',
+            'instanceInfoChanged'].forEach(eventName => {
+            monitor.on(eventName, (...args) => events.push({eventName, args}));
+        });
+
+        monitor._onWatcherChange([], response);
+
+        assert.deepEqual(events.map(event => event.eventName), [
+            'changed', 'instanceAdded', 'instanceRemoved', 'instanceBecameUnhealthy', 'diff'
+        ]);
+        assert.strictEqual(events[1].args[0], addedInstance);
+        assert.strictEqual(events[2].args[0], removedInstance);
+        assert.strictEqual(events[3].args[0], currentInstance);
+        assert.strictEqual(events[3].args[1], previousInstance);
+        assert.instanceOf(events[4].args[0], ServiceInstancesDiff);
+        assert.strictEqual(monitor.getInstances(), instances);
+    });
+
+    it('does not emit diff events for the same list of instances', function () {
+        const monitor = new ServiceInstancesMonitor(options, consulClient, undefined);
+
+        monitor._serviceInstances = new ServiceInstances().addHealthy(createInstance('transcoder_1'));
+        buildServiceInstancesStub.returns({
+            instances: new ServiceInstances().addHealthy(createInstance('transcoder_1')),
+            errors: []
+        });
+
+        let changedFired = false;
+        let diffFired = false;
+        monitor.on('changed', () => {
+            changedFired = true;
+        });
+        monitor.on('diff', () => {
+            diffFired = true;
+        });
+
+        monitor._onWatcherChange([], response);
+
+        assert.isTrue(changedFired);
+        assert.isFalse(diffFired);
+    });
+
+    it('passes previous instances to the factory if fallbackToLastInfo is true', function () {
+        const monitorWithFallback = new ServiceInstancesMonitor(
+            _.assign({fallbackToLastInfo: true}, options), consulClient, undefined
+        );
+        const monitor = new ServiceInstancesMonitor(options, consulClient, undefined);
+        const previousInstances = new ServiceInstances().addHealthy(createInstance('transcoder_1'));
+
+        monitorWithFallback._serviceInstances = previousInstances;
+        monitor._serviceInstances = previousInstances;
+        buildServiceInstancesStub.returns({instances: new ServiceInstances(), errors: []});
+
+        monitorWithFallback._onWatcherChange([], response);
+        monitor._onWatcherChange([], response);
+
+        assert.strictEqual(buildServiceInstancesStub.firstCall.args[3].previousInstances, previousInstances);
+        assert.notProperty(buildServiceInstancesStub.secondCall.args[3], 'previousInstances');
+        assert.strictEqual(monitorWithFallback._buildOptions.previousInstances, undefined);
+    });
+
+    it('removes info of absent instances from the cache', function () {
+        const monitor = new ServiceInstancesMonitor(
+            _.assign({infoCache: {maxUpdates: 3}}, options), consulClient, undefined
+        );
+        const instances = new ServiceInstances().addHealthy(createInstance('transcoder_1'));
+        const retainSpy = sinon.spy(monitor._buildOptions.infoCache, 'retain');
+        buildServiceInstancesStub.returns({instances, errors: []});
+
+        monitor._onWatcherChange([], response);
+
+        assert.strictEqual(buildServiceInstancesStub.firstCall.args[3].infoCache, monitor._buildOptions.infoCache);
+        assert.isTrue(retainSpy.calledOnceWithExactly(instances));
+    });
+
+    it('applies changes with asynchronous extractors in order of receiving', async function () {
+        const monitor = new ServiceInstancesMonitor(
+            _.assign({extractTimeoutMsec: 1000}, options), consulClient, undefined
+        );
+        const firstInstances = new ServiceInstances().addHealthy(createInstance('transcoder_1'));
+        const secondInstances = new ServiceInstances().addHealthy(createInstance('transcoder_2'));
+        let resolveFirstBuild;
+        const buildAsyncStub = sinon.stub(Factory, 'buildServiceInstancesAsync');
+        buildAsyncStub.onFirstCall().returns(new Promise(resolve => {
+            resolveFirstBuild = resolve;
+        }));
+        buildAsyncStub.onSecondCall().resolves({instances: secondInstances, errors: []});
+
+        const changes = [];
+        monitor.on('changed', instances => changes.push(instances));
+
+        try {
+            monitor._onWatcherChange([], response);
+            monitor._onWatcherChange([], response);
+
+            await new Promise(resolve => setImmediate(resolve));
+
+            assert.isTrue(buildServiceInstancesStub.notCalled);
+            assert.isTrue(buildAsyncStub.calledOnce);
+            assert.isEmpty(changes);
+
+            resolveFirstBuild({instances: firstInstances, errors: []});
+            await monitor._pendingUpdate;
+
+            assert.isTrue(buildAsyncStub.calledTwice);
+            assert.strictEqual(buildAsyncStub.firstCall.args[3].extractTimeoutMsec, 1000);
+            assert.deepEqual(changes, [firstInstances, secondInstances]);
+            assert.strictEqual(monitor.getInstances(), secondInstances);
+        } finally {
+            buildAsyncStub.restore();
+        }
+    });
+
+    it('drops change if service was stopped while asynchronous extractors were running', async function () {
+        const monitor = new ServiceInstancesMonitor(
+            _.assign({extractTimeoutMsec: 1000}, options), consulClient, undefined
+        );
+        const previousInstances = monitor.getInstances();
+        const buildAsyncStub = sinon.stub(Factory, 'buildServiceInstancesAsync')
+            .resolves({instances: new ServiceInstances(), errors: []});
+
+        monitor._watchAnyNodeChange = {};
+        const changedSpy = sinon.spy();
+        monitor.on('changed', changedSpy);
+
+        try {
+            monitor._onWatcherChange([], response);
+            monitor._watchAnyNodeChange = null;
+
+            await monitor._pendingUpdate;
+
+            assert.isTrue(changedSpy.notCalled);
+            assert.strictEqual(monitor.getInstances(), previousInstances);
+        } finally {
+            buildAsyncStub.restore();
+        }
+    });
+});
+
+describe('ServiceInstancesMonitor::reportFailure', function () {
+    const options = deepFreeze({
+        serviceName: 'transcoder',
+        checkNameWithStatus: "Service 'transcoder' check",
+        outlierDetection: {consecutiveFailures: 2, intervalMsec: 1000, baseEjectionTimeMsec: 5000}
+    });
+    const consulClient = new Consul();
+    const response = {headers: {}};
+    const firstInstance = createInstance('transcoder_1');
+    const secondInstance = createInstance('transcoder_2');
+    const unhealthyInstance = createInstance('transcoder_3');
+
+    function createInstance(serviceId) {
+        return new ServiceInstance(
+            null, null, null, 8080, '192.168.101.10', 'transcoder-1.priv', 'dc1', serviceId, [], null
+        );
+    }
+
+    let clock;
+    let buildServiceInstancesStub;
+    let monitor;
+    let events;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers();
+        buildServiceInstancesStub = sinon.stub(Factory, 'buildServiceInstances').returns({
+            instances: new ServiceInstances()
+                .addHealthy(firstInstance)
+                .addHealthy(secondInstance)
+                .addUnhealthy(unhealthyInstance),
+            errors: []
+        });
+
+        monitor = new ServiceInstancesMonitor(options, consulClient, undefined);
+        monitor._setInitialized();
+        monitor._onWatcherChange([], response);
+
+        events = [];
+        ['ejected', 'restored', 'changed', 'instanceBecameHealthy', 'instanceBecameUnhealthy'].forEach(eventName => {
+            monitor.on(eventName, (...args) => events.push([eventName, ...args]));
+        });
+    });
+
+    afterEach(() => {
+        monitor.stopService();
+        buildServiceInstancesStub.restore();
+        clock.restore();
+    });
+
+    ['', null, 123].forEach(serviceId => {
+        it(`incorrect serviceId, value = ${JSON.stringify(serviceId)}`, function () {
+            assert.throws(() => monitor.reportFailure(serviceId), TypeError, 'serviceId must be a non-empty string');
+            assert.throws(() => monitor.reportSuccess(serviceId), TypeError, 'serviceId must be a non-empty string');
+        });
+    });
+
+    it('ejects instance after consecutive failures and restores it after the ejection time', function () {
+        const err = new Error('connect ECONNREFUSED');
+
+        assert.strictEqual(monitor.reportFailure('transcoder_1', err), monitor);
+        assert.isEmpty(events);
+
+        monitor.reportFailure('transcoder_1', err);
+
+        const ejectedInstances = monitor.getInstances();
+        assert.deepEqual(ejectedInstances.getHealthy(), [secondInstance]);
+        assert.deepEqual(ejectedInstances.getEjected(), [firstInstance]);
+        assert.deepEqual(events, [
+            ['ejected', firstInstance, err],
+            ['changed', ejectedInstances],
+            ['instanceBecameUnhealthy', firstInstance, firstInstance],
+        ]);
+
+        events = [];
+        clock.tick(4999);
+        assert.isEmpty(events);
+
+        clock.tick(1);
+
+        const restoredInstances = monitor.getInstances();
+        assert.deepEqual(restoredInstances.getHealthy(), [firstInstance, secondInstance]);
+        assert.isEmpty(restoredInstances.getEjected());
+        assert.deepEqual(events, [
+            ['restored', firstInstance],
+            ['changed', restoredInstances],
+            ['instanceBecameHealthy', firstInstance, firstInstance],
+        ]);
+    });
+
+    it('success breaks the row of failures', function () {
+        monitor.reportFailure('transcoder_1');
+        assert.strictEqual(monitor.reportSuccess('transcoder_1'), monitor);
+        monitor.reportFailure('transcoder_1');
+
+        assert.isEmpty(events);
+        assert.isEmpty(monitor.getInstances().getEjected());
+    });
+
+    it('ejection lasts longer if instance fails right after restore', function () {
+        monitor.reportFailure('transcoder_1');
+        monitor.reportFailure('transcoder_1');
+        clock.tick(5000);
+        monitor.reportFailure('transcoder_1');
+        monitor.reportFailure('transcoder_1');
+
+        clock.tick(5000);
+        assert.deepEqual(monitor.getInstances().getEjected(), [firstInstance]);
+
+        clock.tick(5000);
+        assert.isEmpty(monitor.getInstances().getEjected());
+    });
+
+    it('ignores failures of absent instances, ejected unhealthy instance stays unhealthy', function () {
+        monitor.reportFailure('transcoder_4');
+        monitor.reportFailure('transcoder_4');
+        monitor.reportFailure('transcoder_3');
+        monitor.reportFailure('transcoder_3');
+
+        assert.deepEqual(events.map(event => event[0]), ['ejected', 'changed']);
+        assert.isEmpty(monitor.getInstances().getEjected());
+        assert.deepEqual(monitor.getInstances().getUnhealthy(), [unhealthyInstance]);
+    });
+
+    it('keeps ejection of instance on the next change from consul', function () {
+        monitor.reportFailure('transcoder_2');
+        monitor.reportFailure('transcoder_2');
+
+        const newInstance = createInstance('transcoder_2');
+        buildServiceInstancesStub.returns({instances: new ServiceInstances().addHealthy(newInstance), errors: []});
+        monitor._onWatcherChange([], response);
+
+        assert.deepEqual(monitor.getInstances().getEjected(), [newInstance]);
+        assert.isEmpty(monitor.getInstances().getHealthy());
+    });
+
+    it('stopService stops timers of ejection', function () {
+        monitor.reportFailure('transcoder_1');
+        monitor.reportFailure('transcoder_1');
+        events = [];
+
+        monitor.stopService();
+        clock.tick(5000);
+
+        assert.isEmpty(events);
+    });
+
+    it('reports failures to monitors of every datacenter', function () {
+        const multiMonitor = new ServiceInstancesMonitor(
+            _.assign({dcs: ['dc1', 'dc2']}, options), consulClient, undefined
+        );
+        const dcMonitors = ['dc1', 'dc2'].map(() => ({reportFailure: sinon.spy(), reportSuccess: sinon.spy()}));
+        const err = new Error('timeout');
+
+        multiMonitor._datacenterMonitors = new Map([['dc1', dcMonitors[0]], ['dc2', dcMonitors[1]]]);
+        multiMonitor.reportFailure('transcoder_1', err);
+        multiMonitor.reportSuccess('transcoder_2');
+
+        dcMonitors.forEach(dcMonitor => {
+            assert.isTrue(dcMonitor.reportFailure.calledOnceWithExactly('transcoder_1', err));
+            assert.isTrue(dcMonitor.reportSuccess.calledOnceWithExactly('transcoder_2'));
+        });
+    });
+});
+
+describe('ServiceInstancesMonitor::_onDatacenterChange', function () {
+    const options = deepFreeze({
+        serviceName: 'web',
+        checkNameWithStatus: "Service 'web' check",
+        dcs: ['dc1', 'dc2']
+    });
+    const consulClient = new Consul();
+
+    function createInstance(dc) {
+        return new ServiceInstance(null, null, null, 8080, '10.0.0.5', `web-${dc}.priv`, dc, 'web', [], null);
+    }
+
+    function createMonitor(monitorOptions, instancesByDc) {
+        const monitor = new ServiceInstancesMonitor(monitorOptions, consulClient, undefined);
+
+        monitor._datacenterMonitors = new Map(_.map(instancesByDc, (instances, dc) => [dc, {
+            getInstances: () => instances
+        }]));
+        monitor._setInitialized();
+
+        return monitor;
+    }
+
+    it('instances with the same service ID and address in different datacenters are merged apart', function () {
+        const instanceDc1 = createInstance('dc1');
+        const instanceDc2 = createInstance('dc2');
+        const monitor = createMonitor(options, {
+            dc1: new ServiceInstances().addHealthy(instanceDc1),
+            dc2: new ServiceInstances().addHealthy(instanceDc2)
+        });
+        const addedSpy = sinon.spy();
+        monitor.on('instanceAdded', addedSpy);
+
+        monitor._onDatacenterChange();
+
+        assert.deepEqual(monitor.getInstances().getHealthy(), [instanceDc1, instanceDc2]);
+        assert.deepEqual(monitor.getInstances().getByDatacenter('dc1').getHealthy(), [instanceDc1]);
+        assert.deepEqual(monitor.getInstances().getByDatacenter('dc2').getHealthy(), [instanceDc2]);
+        assert.deepEqual(addedSpy.args, [[instanceDc1], [instanceDc2]]);
+    });
+
+    it('effective instances are updated before the changed event', function () {
+        const instanceDc2 = createInstance('dc2');
+        const monitor = createMonitor(
+            _.assign({failover: {datacenters: ['dc1', 'dc2'], minHealthy: 1}}, _.omit(options, 'dcs')),
+            {
+                dc1: new ServiceInstances().addUnhealthy(createInstance('dc1')),
+                dc2: new ServiceInstances().addHealthy(instanceDc2)
+            }
+        );
+        monitor._activeDatacenter = 'dc1';
+        const states = [];
+        monitor.on('changed', () => states.push([
+            monitor.getActiveDatacenter(),
+            monitor.isFailoverActive(),
+            monitor.getEffectiveInstances().getHealthy()
+        ]));
+
+        monitor._onDatacenterChange();
+
+        assert.deepEqual(states, [['dc2', true, [instanceDc2]]]);
+    });
+});
+
+describe('ServiceInstancesMonitor::_updateFailover', function () {
+    const options = deepFreeze({
+        serviceName: 'transcoder',
+        checkNameWithStatus: "Service 'transcoder' check",
+        failover: {datacenters: ['dc1', 'dc2', 'dc3'], minHealthy: 2}
+    });
+    const consulClient = new Consul();
+
+    function createInstance(serviceId, dc) {
+        return new ServiceInstance(
+            null, null, null, 8080, '192.168.101.10', 'transcoder-1.priv', dc, serviceId, [], null
+        );
+    }
+
+    it('switches to the next datacenter and back', function () {
+        const monitor = new ServiceInstancesMonitor(options, consulClient, undefined);
+        monitor._activeDatacenter = 'dc1';
+
+        const events = [];
+        monitor.on('failoverActivated', (...args) => events.push(['failoverActivated', ...args]));
+        monitor.on('failoverDeactivated', (...args) => events.push(['failoverDeactivated', ...args]));
+
+        monitor._serviceInstances = new ServiceInstances()
+            .addHealthy(createInstance('transcoder_1', 'dc1'))
+            .addUnhealthy(createInstance('transcoder_2', 'dc1'))
+            .addHealthy(createInstance('transcoder_3', 'dc2'))
+            .addHealthy(createInstance('transcoder_4', 'dc3'))
+            .addHealthy(createInstance('transcoder_5', 'dc3'));
+        monitor._updateFailover();
+
+        assert.strictEqual(monitor.getActiveDatacenter(), 'dc3');
+        assert.isTrue(monitor.isFailoverActive());
+        assert.lengthOf(monitor.getEffectiveInstances().getHealthy(), 2);
+        assert.lengthOf(monitor.getInstances().getAll(), 5);
+
+        monitor._serviceInstances = new ServiceInstances()
+            .addHealthy(createInstance('transcoder_1', 'dc1'))
+            .addHealthy(createInstance('transcoder_2', 'dc1'))
+            .addHealthy(createInstance('transcoder_4', 'dc3'))
+            .addHealthy(createInstance('transcoder_5', 'dc3'));
+        monitor._updateFailover();
+
+        assert.strictEqual(monitor.getActiveDatacenter(), 'dc1');
+        assert.isFalse(monitor.isFailoverActive());
+        assert.deepEqual(
+            monitor.getEffectiveInstances().getHealthy().map(instance => instance.getServiceId()),
+            ['transcoder_1', 'transcoder_2']
+        );
+        assert.deepEqual(events, [
+            ['failoverActivated', 'dc3', 'dc1'],
+            ['failoverDeactivated', 'dc1', 'dc3'],
+        ]);
+    });
+
+    it('stays in the local datacenter if no datacenter has enough healthy instances', function () {
+        const monitor = new ServiceInstancesMonitor(options, consulClient, undefined);
+        monitor._activeDatacenter = 'dc1';
+
+        const eventSpy = sinon.spy();
+        monitor.on('failoverActivated', eventSpy);
+
+        monitor._serviceInstances = new ServiceInstances()
+            .addHealthy(createInstance('transcoder_1', 'dc1'))
+            .addHealthy(createInstance('transcoder_2', 'dc2'));
+        monitor._updateFailover();
+
+        assert.strictEqual(monitor.getActiveDatacenter(), 'dc1');
+        assert.isFalse(monitor.isFailoverActive());
+        assert.isTrue(eventSpy.notCalled);
+    });
+
+    it('effective instances are the same as all instances without failover', function () {
+        const monitor = new ServiceInstancesMonitor(_.omit(options, 'failover'), consulClient, undefined);
+
+        assert.strictEqual(monitor.getEffectiveInstances(), monitor.getInstances());
+        assert.isNull(monitor.getActiveDatacenter());
+        assert.isFalse(monitor.isFailoverActive());
+    });
+});
+
 describe('ServiceInstancesMonitor::_setFallbackToWatchHealthy', () => {
     let tg;
     let clock;
@@ -0,0 +1,180 @@
+'use strict';
+
+const Consul = require('consul');
+const assert = require('chai').assert;
+const sinon = require('sinon');
+const deepFreeze = require('deep-freeze');
+const {assertThrowsAsync} = require('../support/helpers');
+const ServiceRegistryMonitor = require('src/ServiceRegistryMonitor');
+const ServiceInstancesMonitor = require('src/ServiceInstancesMonitor');
+const ServiceInstance = require('src/ServiceInstance');
+const ServiceInstances = require('src/ServiceInstances');
+const {WatchError, AlreadyInitializedError} = require('src/Error');
+
+describe('ServiceRegistryMonitor::constructor', function () {
+    const consulClient = new Consul();
+
+    it('valid arguments', function () {
+        const registry = new ServiceRegistryMonitor({
+            transcoder: {checkNameWithStatus: 'Transcoder health status'},
+            http: {serviceName: 'example_http_service', checkNameWithStatus: 'http status', extractors: {}},
+        }, consulClient);
+
+        assert.deepEqual(registry.getServiceNames(), ['transcoder', 'http']);
+        assert.instanceOf(registry.getMonitor('transcoder'), ServiceInstancesMonitor);
+        assert.strictEqual(registry.getMonitor('transcoder')._serviceName, 'transcoder');
+        assert.strictEqual(registry.getMonitor('http')._serviceName, 'example_http_service');
+        assert.deepEqual(registry.getMonitor('http')._extractors, {});
+        assert.isFalse(registry.isInitialized());
+        assert.isFalse(registry.isWatchHealthy());
+    });
+
+    [null, undefined, 'string', [], {}].forEach(services => {
+        it(`incorrect services argument: ${JSON.stringify(services)}`, function () {
+            assert.throws(
+                () => new ServiceRegistryMonitor(services, consulClient),
+                TypeError,
+                'services must be a non-empty object'
+            );
+        });
+    });
+
+    it('incorrect config of service', function () {
+        assert.throws(
+            () => new ServiceRegistryMonitor({transcoder: 'config'}, consulClient),
+            TypeError,
+            'services.transcoder must be an object'
+        );
+    });
+
+    it('invalid options of service monitor', function () {
+        assert.throws(
+            () => new ServiceRegistryMonitor({transcoder: {}}, consulClient),
+            TypeError,
+            'services.transcoder: options.checkNameWithStatus must be set and be a non-empty string'
+        );
+    });
+
+    it('getInstances throws on unknown service', function () {
+        const registry = new ServiceRegistryMonitor({transcoder: {checkNameWithStatus: 'status'}}, consulClient);
+
+        assert.throws(
+            () => registry.getInstances('unknown'),
+            TypeError,
+            'service "unknown" is not registered in the registry'
+        );
+    });
+});
+
+describe('ServiceRegistryMonitor methods', function () {
+    const consulClient = new Consul();
+    const services = deepFreeze({
+        transcoder: {checkNameWithStatus: 'Transcoder health status'},
+        http: {checkNameWithStatus: 'http status'},
+    });
+
+    let registry;
+    let transcoderMonitor;
+    let httpMonitor;
+
+    beforeEach(() => {
+        registry = new ServiceRegistryMonitor(services, consulClient);
+        transcoderMonitor = registry.getMonitor('transcoder');
+        httpMonitor = registry.getMonitor('http');
+    });
+
+    it('starts all monitors and resolves with initial instances', async function () {
+        const transcoderInstances = new ServiceInstances();
+        const httpInstances = new ServiceInstances();
+
+        sinon.stub(transcoderMonitor, 'startService').resolves(transcoderInstances);
+        sinon.stub(httpMonitor, 'startService').resolves(httpInstances);
+        sinon.stub(transcoderMonitor, 'isWatchHealthy').returns(true);
+        sinon.stub(httpMonitor, 'isWatchHealthy').returns(true);
+
+        const initialInstances = await registry.startService();
+
+        assert.deepEqual(initialInstances, {transcoder: transcoderInstances, http: httpInstances});
+        assert.isTrue(registry.isInitialized());
+        assert.isTrue(registry.isWatchHealthy());
+
+        await assertThrowsAsync(() => registry.startService(), AlreadyInitializedError, 'Registry is already started');
+    });
+
+    it('stops all monitors if one of them fails to start', async function () {
+        sinon.stub(transcoderMonitor, 'startService').resolves(new ServiceInstances());
+        sinon.stub(httpMonitor, 'startService').rejects(new WatchError('Some error'));
+        const transcoderStopSpy = sinon.spy(transcoderMonitor, 'stopService');
+        const httpStopSpy = sinon.spy(httpMonitor, 'stopService');
+
+        await assertThrowsAsync(() => registry.startService(), WatchError, 'Some error');
+
+        assert.isTrue(transcoderStopSpy.calledOnce);
+        assert.isTrue(httpStopSpy.calledOnce);
+        assert.isFalse(registry.isInitialized());
+        assert.isFalse(registry.isWatchHealthy());
+    });
+
+    it('re-emits events of monitors with the name of service', function () {
+        const instances = new ServiceInstances();
+        const err = new WatchError('Some error');
+        const changedSpy = sinon.spy();
+        const errorSpy = sinon.spy();
+
+        registry.on('changed', changedSpy);
+        registry.on('error', errorSpy);
+
+        httpMonitor.emit('changed', instances);
+        transcoderMonitor.emit('error', err);
+
+        assert.isTrue(changedSpy.calledOnceWithExactly('http', instances));
+        assert.isTrue(errorSpy.calledOnceWithExactly(err, 'transcoder'));
+    });
+
+    it('re-emits events of outlier detection with the name of service', function () {
+        const instance = new ServiceInstance(
+            null, null, null, 8080, '192.168.101.10', 'transcoder-1.priv', 'dc1', 'transcoder_1', [], null
+        );
+        const err = new Error('connect ECONNREFUSED');
+        const events = [];
+
+        ['ejected', 'restored'].forEach(eventName => {
+            registry.on(eventName, (...args) => events.push([eventName, ...args]));
+        });
+
+        transcoderMonitor.emit('ejected', instance, err);
+        transcoderMonitor.emit('restored', instance);
+
+        assert.deepEqual(events, [['ejected', 'transcoder', instance, err], ['restored', 'transcoder', instance]]);
+    });
+
+    it('aggregates health state of monitors', async function () {
+        sinon.stub(transcoderMonitor, 'startService').resolves(new ServiceInstances());
+        sinon.stub(httpMonitor, 'startService').resolves(new ServiceInstances());
+        const transcoderHealthStub = sinon.stub(transcoderMonitor, 'isWatchHealthy').returns(true);
+        sinon.stub(httpMonitor, 'isWatchHealthy').returns(true);
+
+        const events = [];
+        ['healthy', 'unhealthy', 'serviceHealthy', 'serviceUnhealthy'].forEach(eventName => {
+            registry.on(eventName, (...args) => events.push([eventName, ...args]));
+        });
+
+        await registry.startService();
+
+        transcoderHealthStub.returns(false);
+        transcoderMonitor.emit('unhealthy');
+
+        assert.isFalse(registry.isWatchHealthy());
+
+        transcoderHealthStub.returns(true);
+        transcoderMonitor.emit('healthy');
+
+        assert.isTrue(registry.isWatchHealthy());
+        assert.deepEqual(events, [
+            ['serviceUnhealthy', 'transcoder'],
+            ['unhealthy'],
+            ['serviceHealthy', 'transcoder'],
+            ['healthy'],
+        ]);
+    });
+});